@@ -0,0 +1,739 @@
+#!/usr/bin/env node
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  checkApplicationProperties,
+  decodeVersionDependency,
+  EblImage,
+  FlashImage,
+  formatVersion,
+  GBL_APPLICATION_SIGNATURE,
+  GBL_APPLICATION_TYPE,
+  GBL_TYPE,
+  GeckoBootloaderImage,
+  GeckoBootloaderImageBuilder,
+  MATTER_OTA_FILE_ID,
+  MatterOtaImage,
+  ZIGBEE_OTA_FILE_ID,
+  ZigbeeOtaImage,
+} from 'gbl-tools';
+
+const USAGE = `Usage: gbl <command> [options]
+
+Commands:
+  info <file> [--json]                  Print the contents of a GBL image, or of the GBL image in a Zigbee or Matter OTA file
+  verify <file> [--crc <hex crc32>] [--sign-key <key file>]
+                                        Check the image structure, application properties, CRC32 and signature
+  extract <file> [--output <dir>] [--key <hex>]
+                                        Write the program, bootloader, SE upgrade and metadata payloads to files
+  create <firmware> --app-version <version> --output <file> [--address <address>] [--type <type>]
+         [--product-id <uuid>] [--compress lz4|lzma] [--metadata <file>]
+                                        Create a GBL image from an ELF, Intel HEX, S-record, legacy EBL or raw binary file
+  diff <file1> <file2> [--json]         Compare two GBL images tag by tag
+
+Exit codes:
+  0  Success, or images are identical
+  1  Usage or I/O error
+  2  Invalid GBL image
+  3  CRC32 does not match --crc
+  4  Signature is missing or invalid
+  5  Images differ`;
+
+const EXIT_ERROR = 1;
+const EXIT_INVALID = 2;
+const EXIT_CRC_MISMATCH = 3;
+const EXIT_SIGNATURE_INVALID = 4;
+const EXIT_DIFFERENT = 5;
+
+// Data printing helper functions
+function intToHex(n, c = 8) {
+  return n.toString(16).toUpperCase().padStart(c, '0');
+}
+
+function bootloaderVersion(v) {
+  return `${v.major}.${v.minor} (Customer 0x${intToHex(v.customer, 4)})`;
+}
+
+function bytesToHex(bytes, truncateAt = 64) {
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return truncateAt && hex.length > truncateAt ? `${hex.slice(0, truncateAt)}...` : hex;
+}
+
+function bytesToUUIDString(bytes) {
+  if (bytes.length !== 16) throw new Error('Invalid byte length');
+
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+}
+
+function flagNames(flags, source) {
+  return Object.keys(source).filter((key) => flags & source[key]);
+}
+
+function flagString(flags, source) {
+  return flagNames(flags, source).join(', ') || 'None';
+}
+
+function sha256(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+// Argument parsing helper functions
+function fail(message, code = EXIT_ERROR) {
+  console.error(message);
+  process.exit(code);
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value === undefined || !Number.isInteger(number) || number < 0 || number > 0xffffffff) {
+    fail(`Invalid ${name}: ${value}`);
+  }
+
+  return number;
+}
+
+function parseVersion(value) {
+  // Dotted versions are stored one byte per component, e.g. 1.2.3 is 0x00010203
+  if (/^\d+(\.\d+){2,3}$/.test(value)) {
+    const parts = value.split('.').map(Number);
+    if (parts.some((part) => part > 0xff)) fail(`Invalid version: ${value}`);
+    return parts.reduce((version, part) => version * 0x100 + part, 0);
+  }
+
+  return parseNumber(value, 'version');
+}
+
+function parseHexBytes(value, length, name) {
+  const hex = value.replaceAll('-', '').replace(/^0x/i, '');
+  if (!/^[0-9a-f]*$/i.test(hex) || hex.length !== length * 2) fail(`Invalid ${name}: ${value}`);
+  return Uint8Array.from(hex.match(/../g), (b) => Number.parseInt(b, 16));
+}
+
+async function readInput(filePath) {
+  try {
+    const buffer = await readFile(filePath);
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  } catch (error) {
+    if (error.code === 'ENOENT') fail(`${filePath}: No such file or directory`);
+    fail(`Error reading file ${filePath}: ${error.message || error}`);
+  }
+}
+
+async function writeOutput(filePath, data) {
+  try {
+    await writeFile(filePath, data);
+  } catch (error) {
+    fail(`Error writing file ${filePath}: ${error.message || error}`);
+  }
+}
+
+// Read and validate a GBL image, unwrapping Zigbee and Matter OTA files, exiting if the OTA file is invalid
+async function loadImage(filePath, { quiet = false } = {}) {
+  let buffer = await readInput(filePath);
+  let ota = null;
+  let matter = null;
+  if (buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === ZIGBEE_OTA_FILE_ID) {
+    try {
+      ota = new ZigbeeOtaImage(buffer);
+    } catch (error) {
+      fail(`${filePath}: Invalid Zigbee OTA file: ${error.message}`, EXIT_INVALID);
+    }
+    if (!ota.upgradeImage) fail(`${filePath}: Zigbee OTA file has no upgrade image`, EXIT_INVALID);
+    buffer = ota.upgradeImage.slice().buffer;
+  } else if (buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === MATTER_OTA_FILE_ID) {
+    try {
+      matter = new MatterOtaImage(buffer);
+      if (!(await matter.verifyDigest())) fail(`${filePath}: Matter OTA payload digest mismatch`, EXIT_INVALID);
+    } catch (error) {
+      fail(`${filePath}: Invalid Matter OTA image: ${error.message}`, EXIT_INVALID);
+    }
+    buffer = matter.payload.slice().buffer;
+  }
+
+  const image = new GeckoBootloaderImage(buffer, false);
+  const diagnostics = image.validate();
+  if (!quiet) {
+    for (const { severity, message, offset } of diagnostics) {
+      console.error(`${filePath}: ${severity}: ${message} (offset 0x${intToHex(offset)})`);
+    }
+  }
+
+  const valid = !diagnostics.some((d) => d.severity === 'error');
+  if (valid) image.parse();
+
+  if (valid && ota && !quiet && image.application && image.application.version !== ota.fileVersion) {
+    const message = `Zigbee OTA file version ${formatVersion(ota.fileVersion)} does not match application version ${formatVersion(image.application.version)}`;
+    console.error(`${filePath}: warning: ${message}`);
+  }
+
+  return { image, diagnostics, valid, ota, matter };
+}
+
+// Find the application properties in the program data, warning about mismatches with the application tag
+function loadApplicationProperties(image, filePath, { quiet = false } = {}) {
+  let check;
+  try {
+    check = checkApplicationProperties(image);
+  } catch (error) {
+    if (!quiet) console.error(`${filePath}: warning: ${error.message}`);
+    return { properties: null, mismatches: [] };
+  }
+
+  if (!quiet) {
+    for (const { message } of check.mismatches) console.error(`${filePath}: warning: ${message}`);
+  }
+
+  return check;
+}
+
+// Decompress the program data, failing on malformed compressed data
+function decompressProg(image, filePath) {
+  try {
+    return image.decompressProg();
+  } catch (error) {
+    fail(`${filePath}: Invalid compressed program data: ${error.message}`, EXIT_INVALID);
+  }
+}
+
+// Describe the fields of each tag, used for JSON output and comparing images
+function describeTags(image, filePath) {
+  const counts = {};
+  const progs = decompressProg(image, filePath);
+  let progIndex = 0;
+
+  return image.tags.map((tag) => {
+    const group = tag.name.startsWith('prog') || tag.name === 'eraseProg' ? 'prog' : tag.name;
+    const label = group === 'unknown' ? `unknown(0x${intToHex(tag.id)})` : group;
+    const occurrence = counts[label] ?? 0;
+    counts[label] = occurrence + 1;
+
+    let fields;
+    switch (tag.name) {
+      case 'header':
+        fields = { version: `0x${intToHex(image.header.version)}`, typeFlags: `0x${intToHex(image.header.typeFlags)}` };
+        break;
+      case 'versionDependency':
+        fields = { rule: decodeVersionDependency(image.versionDependency).description };
+        break;
+      case 'application':
+        fields = {
+          type: flagString(image.application.type, GBL_APPLICATION_TYPE),
+          version: `0x${intToHex(image.application.version)}`,
+          capabilities: `0x${intToHex(image.application.capabilities)}`,
+          productId: bytesToUUIDString(image.application.productId),
+        };
+        break;
+      case 'bootloader':
+        fields = {
+          version: bootloaderVersion(image.bootloader.bootloaderVersion),
+          address: `0x${intToHex(image.bootloader.address)}`,
+          size: image.bootloader.data.length,
+          sha256: sha256(image.bootloader.data),
+        };
+        break;
+      case 'seUpgrade':
+        fields = {
+          version: `0x${intToHex(image.seUpgrade.version)}`,
+          blobSize: image.seUpgrade.blobSize,
+          size: image.seUpgrade.data.length,
+          sha256: sha256(image.seUpgrade.data),
+        };
+        break;
+      case 'end':
+        fields = { crc32: `0x${intToHex(image.crc32)}` };
+        break;
+      default:
+        if (group === 'prog') {
+          // Compare the decompressed data, so changing only the compression shows as such
+          const { compression } = image.prog[progIndex];
+          const { flashStartAddress, data, erase } = progs[progIndex++];
+          fields = {
+            flashStartAddress: `0x${intToHex(flashStartAddress)}`,
+            compression: compression ?? 'none',
+            erase: erase ?? false,
+            size: data.length,
+            sha256: sha256(data),
+          };
+        } else {
+          fields = { size: tag.length, sha256: sha256(tag.raw) };
+        }
+    }
+
+    const singleton = !['prog', 'metadata', 'encryptionData', 'unknown'].includes(group);
+    return { key: singleton ? label : `${label}[${occurrence}]`, id: tag.id, offset: tag.offset, fields };
+  });
+}
+
+// Commands
+async function info(args) {
+  const { values, positionals } = parseArgs({ args, options: { json: { type: 'boolean' } }, allowPositionals: true });
+  if (positionals.length !== 1) fail(USAGE);
+
+  const [filePath] = positionals;
+  const { image, diagnostics, valid, ota, matter } = await loadImage(filePath, { quiet: values.json });
+  const { properties, mismatches } = valid
+    ? loadApplicationProperties(image, filePath, { quiet: values.json })
+    : { properties: null, mismatches: [] };
+
+  if (values.json) {
+    const output = { file: filePath, valid, diagnostics };
+    if (valid) {
+      Object.assign(output, {
+        size: image.size,
+        crc32: image.crc32,
+        encrypted: Boolean(image.header.typeFlags & GBL_TYPE.ENCRYPTION_AESCCM),
+        signed: Boolean(image.header.typeFlags & GBL_TYPE.SIGNATURE_ECDSA),
+        header: image.header,
+        zigbeeOta: ota && {
+          manufacturerCode: ota.manufacturerCode,
+          imageType: ota.imageType,
+          fileVersion: ota.fileVersion,
+          fileVersionMatches: ota.fileVersionMatches(),
+          stackVersion: ota.stackVersion,
+          headerString: ota.headerString,
+          totalImageSize: ota.totalImageSize,
+          subElements: ota.subElements.map(({ tag, data }) => ({ tag, size: data.length })),
+        },
+        matterOta: matter && {
+          vendorId: matter.vendorId,
+          productId: matter.productId,
+          softwareVersion: matter.softwareVersion,
+          softwareVersionString: matter.softwareVersionString,
+          minApplicableSoftwareVersion: matter.minApplicableSoftwareVersion,
+          maxApplicableSoftwareVersion: matter.maxApplicableSoftwareVersion,
+          releaseNotesUrl: matter.releaseNotesUrl,
+          imageDigestType: matter.imageDigestType,
+          imageDigest: bytesToHex(matter.imageDigest, 0),
+        },
+        versionDependency: image.versionDependency && {
+          ...image.versionDependency,
+          rule: decodeVersionDependency(image.versionDependency).description,
+        },
+        application: image.application && {
+          ...image.application,
+          typeNames: flagNames(image.application.type, GBL_APPLICATION_TYPE),
+          versionString: formatVersion(image.application.version),
+          productId: bytesToUUIDString(image.application.productId),
+        },
+        applicationProperties: properties && {
+          ...properties,
+          signatureTypeNames: flagNames(properties.signatureType, GBL_APPLICATION_SIGNATURE),
+          app: {
+            ...properties.app,
+            typeNames: flagNames(properties.app.type, GBL_APPLICATION_TYPE),
+            versionString: formatVersion(properties.app.version),
+            productId: bytesToUUIDString(properties.app.productId),
+          },
+          certificate: properties.certificate && {
+            structVersion: properties.certificate.structVersion,
+            version: properties.certificate.version,
+            key: bytesToHex(properties.certificate.key, 0),
+            signature: bytesToHex(properties.certificate.signature, 0),
+          },
+          mismatches: mismatches.map(({ field, message }) => ({ field, message })),
+        },
+        bootloader: image.bootloader && {
+          version: image.bootloader.bootloaderVersion,
+          address: image.bootloader.address,
+          size: image.bootloader.data.length,
+        },
+        seUpgrade: image.seUpgrade && {
+          version: image.seUpgrade.version,
+          blobSize: image.seUpgrade.blobSize,
+          size: image.seUpgrade.data.length,
+        },
+        prog: image.prog.map((prog) => ({
+          flashStartAddress: prog.flashStartAddress,
+          size: prog.data.length,
+          compression: prog.compression ?? null,
+          erase: prog.erase ?? false,
+        })),
+        metadata: image.metadata.map((metadata) => ({ size: metadata.length, data: bytesToHex(metadata, 0) })),
+        encryptionInit: image.encryptionInit && {
+          msgLen: image.encryptionInit.msgLen,
+          nonce: bytesToHex(image.encryptionInit.nonce, 0),
+        },
+        encryptionData: image.encryptionData.map((data) => ({ size: data.length })),
+        certificate: image.certificate && {
+          structVersion: image.certificate.structVersion,
+          version: image.certificate.version,
+          key: bytesToHex(image.certificate.key, 0),
+          signature: bytesToHex(image.certificate.signature, 0),
+        },
+        signature: image.signature && {
+          r: bytesToHex(image.signature.r, 0),
+          s: bytesToHex(image.signature.s, 0),
+        },
+        tags: image.tags.map(({ id, name, offset, length }) => ({ id, name, offset, length })),
+      });
+    }
+
+    console.log(JSON.stringify(output, null, 2));
+    if (!valid) process.exit(EXIT_INVALID);
+    return;
+  }
+
+  if (!valid) fail('Invalid GBL image', EXIT_INVALID);
+
+  console.log('Found valid GBL image!');
+  console.log(`  Size:                ${image.size} bytes`);
+  console.log(`  CRC32:               0x${intToHex(image.crc32)}`);
+  console.log(`  Encrypted:           ${image.header.typeFlags & GBL_TYPE.ENCRYPTION_AESCCM ? 'Yes' : 'No'}`);
+  console.log(`  Signed:              ${image.header.typeFlags & GBL_TYPE.SIGNATURE_ECDSA ? 'Yes' : 'No'}`);
+  console.log();
+
+  if (ota) {
+    console.log('Zigbee OTA:');
+    console.log(`  Manufacturer Code:   0x${intToHex(ota.manufacturerCode, 4)}`);
+    console.log(`  Image Type:          0x${intToHex(ota.imageType, 4)}`);
+    console.log(`  File Version:        0x${intToHex(ota.fileVersion)} (${formatVersion(ota.fileVersion)})`);
+    console.log(`  Stack Version:       0x${intToHex(ota.stackVersion, 4)}`);
+    console.log(`  Header String:       ${ota.headerString}`);
+    console.log(`  Total Size:          ${ota.totalImageSize} bytes`);
+    console.log();
+  }
+
+  if (matter) {
+    console.log('Matter OTA:');
+    console.log(`  Vendor ID:           0x${intToHex(matter.vendorId, 4)}`);
+    console.log(`  Product ID:          0x${intToHex(matter.productId, 4)}`);
+    console.log(`  Software Version:    ${matter.softwareVersion} (${matter.softwareVersionString})`);
+    if (matter.minApplicableSoftwareVersion !== null) {
+      console.log(`  Min Applicable:      ${matter.minApplicableSoftwareVersion}`);
+    }
+    if (matter.maxApplicableSoftwareVersion !== null) {
+      console.log(`  Max Applicable:      ${matter.maxApplicableSoftwareVersion}`);
+    }
+    if (matter.releaseNotesUrl !== null) console.log(`  Release Notes:       ${matter.releaseNotesUrl}`);
+    console.log(`  Digest:              0x${bytesToHex(matter.imageDigest)} (verified)`);
+    console.log();
+  }
+
+  if (image.versionDependency) {
+    console.log('Version Dependency:');
+    console.log(`  Rule:                ${decodeVersionDependency(image.versionDependency).description}`);
+    console.log();
+  }
+
+  if (image.bootloader) {
+    console.log('Bootloader:');
+    console.log(`  Bootloader Version:  ${bootloaderVersion(image.bootloader.bootloaderVersion)}`);
+    console.log(`  Address:             0x${intToHex(image.bootloader.address)}`);
+    console.log(`  Data:                ${image.bootloader.data.length} bytes`);
+    console.log();
+  }
+
+  if (image.application) {
+    console.log('Application:');
+    console.log(`  Type:                ${flagString(image.application.type, GBL_APPLICATION_TYPE)}`);
+    console.log(
+      `  Version:             0x${intToHex(image.application.version)} (${formatVersion(image.application.version)})`,
+    );
+    console.log(`  Capabilities:        0x${intToHex(image.application.capabilities)}`);
+    console.log(`  Product ID:          ${bytesToUUIDString(image.application.productId)}`);
+    console.log();
+  }
+
+  if (properties) {
+    const { major, minor } = properties.structVersion;
+    console.log('Application Properties:');
+    console.log(`  Address:             0x${intToHex(properties.address)}`);
+    console.log(`  Struct Version:      ${major}.${minor}`);
+    console.log(`  Signature Type:      ${flagString(properties.signatureType, GBL_APPLICATION_SIGNATURE)}`);
+    console.log(`  Signature Location:  0x${intToHex(properties.signatureLocation)}`);
+    console.log(`  Type:                ${flagString(properties.app.type, GBL_APPLICATION_TYPE)}`);
+    console.log(
+      `  Version:             0x${intToHex(properties.app.version)} (${formatVersion(properties.app.version)})`,
+    );
+    console.log(`  Capabilities:        0x${intToHex(properties.app.capabilities)}`);
+    console.log(`  Product ID:          ${bytesToUUIDString(properties.app.productId)}`);
+    if (properties.certificateAddress !== null) {
+      console.log(`  Certificate:         0x${intToHex(properties.certificateAddress)}`);
+    }
+    if (properties.longTokenSectionAddress !== null) {
+      console.log(`  Long Token Section:  0x${intToHex(properties.longTokenSectionAddress)}`);
+    }
+    console.log(`  Matches Application: ${mismatches.length === 0 ? 'Yes' : 'No'}`);
+    console.log();
+  }
+
+  for (const prog of image.prog) {
+    console.log('Program data:');
+    console.log(`  Flash Start Address: 0x${intToHex(prog.flashStartAddress)}`);
+    console.log(`  Size:                ${prog.data.length} bytes`);
+    console.log(`  Compression:         ${prog.compression ?? 'None'}`);
+    if (prog.erase) console.log('  Erase:               Yes');
+    console.log();
+  }
+
+  for (const metadata of image.metadata) {
+    console.log('Metadata:');
+    console.log(`  Data:                0x${bytesToHex(metadata)} (${metadata.length} bytes)`);
+    console.log();
+  }
+
+  if (image.encryptionInit) {
+    console.log('Encryption Init:');
+    console.log(`  Message Length:      ${image.encryptionInit.msgLen}`);
+    console.log(`  Nonce:               0x${bytesToHex(image.encryptionInit.nonce)}`);
+    console.log();
+  }
+
+  for (const encryptionData of image.encryptionData) {
+    console.log('Encryption Data:');
+    console.log(`  Size:                ${encryptionData.length} bytes`);
+    console.log();
+  }
+
+  if (image.certificate) {
+    console.log('Certificate:');
+    console.log(`  Struct Version:      ${image.certificate.structVersion}`);
+    console.log(`  Version:             ${image.certificate.version}`);
+    console.log(`  Public Key:          0x${bytesToHex(image.certificate.key)}`);
+    console.log(`  Signature:           0x${bytesToHex(image.certificate.signature)}`);
+    console.log();
+  }
+
+  if (image.signature) {
+    console.log('Signature:');
+    console.log(`  r:                   0x${bytesToHex(image.signature.r)}`);
+    console.log(`  s:                   0x${bytesToHex(image.signature.s)}`);
+    console.log();
+  }
+
+  if (image.seUpgrade) {
+    console.log('Secure Element Upgrade:');
+    console.log(`  Blob Size:           ${image.seUpgrade.blobSize} bytes`);
+    console.log(`  Version:             0x${intToHex(image.seUpgrade.version)}`);
+    console.log(`  Data:                ${image.seUpgrade.data.length} bytes`);
+    console.log();
+  }
+
+  for (const tag of image.tags.filter((tag) => tag.name === 'unknown')) {
+    console.log('Unknown tag:');
+    console.log(`  ID:                  0x${intToHex(tag.id)}`);
+    console.log(`  Offset:              0x${intToHex(tag.offset)}`);
+    console.log(`  Data:                0x${bytesToHex(tag.raw)} (${tag.length} bytes)`);
+    console.log();
+  }
+}
+
+async function verify(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: { crc: { type: 'string' }, 'sign-key': { type: 'string' } },
+    allowPositionals: true,
+  });
+  if (positionals.length !== 1) fail(USAGE);
+
+  const [filePath] = positionals;
+  const { image, valid } = await loadImage(filePath);
+  if (!valid) fail(`${filePath}: Invalid GBL image`, EXIT_INVALID);
+  console.log(`${filePath}: Structure and CRC32 OK`);
+
+  const { properties, mismatches } = loadApplicationProperties(image, filePath);
+  if (properties && mismatches.length === 0) console.log(`${filePath}: Application properties match application tag`);
+
+  if (values.crc !== undefined) {
+    // CRC32 values are always hexadecimal, with or without a 0x prefix
+    const expected = parseNumber(/^0x/i.test(values.crc) ? values.crc : `0x${values.crc}`, 'CRC32');
+    if (image.crc32 !== expected) {
+      fail(`${filePath}: CRC32 0x${intToHex(image.crc32)} does not match 0x${intToHex(expected)}`, EXIT_CRC_MISMATCH);
+    }
+    console.log(`${filePath}: CRC32 matches 0x${intToHex(expected)}`);
+  }
+
+  if (values['sign-key'] !== undefined) {
+    if (!image.signature) fail(`${filePath}: Image is not signed`, EXIT_SIGNATURE_INVALID);
+
+    // Keys can be PEM or JWK files, or raw public key bytes
+    const keyData = new Uint8Array(await readInput(values['sign-key']));
+    const text = new TextDecoder().decode(keyData).trim();
+    const key = text.startsWith('-----BEGIN') ? text : text.startsWith('{') ? JSON.parse(text) : keyData;
+
+    // The key either signed the image, or is the root key the embedded certificate was signed with
+    let verified;
+    try {
+      verified =
+        (await image.verifySignature(key)) || (image.certificate !== null && (await image.verifyCertificateChain(key)));
+    } catch (error) {
+      fail(`Invalid key ${values['sign-key']}: ${error.message}`);
+    }
+
+    if (!verified) fail(`${filePath}: Signature is invalid`, EXIT_SIGNATURE_INVALID);
+    console.log(`${filePath}: Signature OK`);
+  }
+}
+
+async function extract(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: { output: { type: 'string', short: 'o', default: '.' }, key: { type: 'string' } },
+    allowPositionals: true,
+  });
+  if (positionals.length !== 1) fail(USAGE);
+
+  const [filePath] = positionals;
+  let { image, valid } = await loadImage(filePath);
+  if (!valid) fail(`${filePath}: Invalid GBL image`, EXIT_INVALID);
+
+  if (image.encryptionInit) {
+    if (values.key === undefined) fail(`${filePath}: Image is encrypted, pass --key to decrypt it`);
+    try {
+      image = await image.decrypt(parseHexBytes(values.key, 16, 'key'));
+    } catch (error) {
+      fail(`${filePath}: Decryption failed: ${error.message}`);
+    }
+  }
+
+  const files = [];
+  decompressProg(image, filePath).forEach((prog, index) => {
+    files.push([`prog-${index}-0x${intToHex(prog.flashStartAddress)}.bin`, prog.data]);
+  });
+  if (image.bootloader) {
+    files.push([`bootloader-0x${intToHex(image.bootloader.address)}.bin`, image.bootloader.data]);
+  }
+  if (image.seUpgrade) files.push(['se-upgrade.bin', image.seUpgrade.data]);
+  image.metadata.forEach((metadata, index) => {
+    files.push([`metadata-${index}.bin`, metadata]);
+  });
+
+  await mkdir(values.output, { recursive: true });
+  for (const [name, data] of files) {
+    const outputPath = join(values.output, name);
+    await writeOutput(outputPath, data);
+    console.log(`${outputPath} (${data.length} bytes)`);
+  }
+}
+
+async function create(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      'app-version': { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      address: { type: 'string' },
+      type: { type: 'string', default: 'mcu' },
+      'product-id': { type: 'string' },
+      compress: { type: 'string' },
+      metadata: { type: 'string', multiple: true, default: [] },
+    },
+    allowPositionals: true,
+  });
+  if (positionals.length !== 1 || values['app-version'] === undefined || values.output === undefined) fail(USAGE);
+
+  // Raw binaries are placed at the given address, other formats carry their own addresses
+  const [filePath] = positionals;
+  const data = await readInput(filePath);
+  let flash;
+  if (values.address !== undefined || extname(filePath).toLowerCase() === '.bin') {
+    flash = new FlashImage().write(parseNumber(values.address ?? '0', 'address'), new Uint8Array(data));
+  } else if (extname(filePath).toLowerCase() === '.ebl') {
+    // Legacy EBL images are converted, keeping their program data
+    try {
+      const ebl = new EblImage(data);
+      if (!ebl.isValid()) fail(`${filePath}: Invalid EBL image`, EXIT_INVALID);
+      flash = FlashImage.fromEblImage(ebl);
+    } catch (error) {
+      fail(`${filePath}: ${error.message}`, EXIT_INVALID);
+    }
+  } else {
+    try {
+      flash = FlashImage.load(data);
+    } catch (error) {
+      fail(`${filePath}: ${error.message}, pass --address for raw binary files`);
+    }
+  }
+
+  let type = 0;
+  for (const name of values.type.split(',')) {
+    const flag = GBL_APPLICATION_TYPE[name.trim().toUpperCase()];
+    if (flag === undefined) fail(`Invalid type: ${name}`);
+    type |= flag;
+  }
+
+  if (values.compress !== undefined && !['lz4', 'lzma'].includes(values.compress)) {
+    fail(`Invalid compression: ${values.compress}`);
+  }
+
+  const builder = new GeckoBootloaderImageBuilder().setApplication({
+    type,
+    version: parseVersion(values['app-version']),
+    productId: values['product-id'] ? parseHexBytes(values['product-id'], 16, 'product ID') : undefined,
+  });
+  builder.addFlashImage(flash, { compress: values.compress });
+  for (const metadataPath of values.metadata) {
+    builder.addMetadata(new Uint8Array(await readInput(metadataPath)));
+  }
+
+  const gbl = builder.build();
+  await writeOutput(values.output, new Uint8Array(gbl));
+  console.log(`${values.output} (${gbl.byteLength} bytes)`);
+}
+
+async function diff(args) {
+  const { values, positionals } = parseArgs({ args, options: { json: { type: 'boolean' } }, allowPositionals: true });
+  if (positionals.length !== 2) fail(USAGE);
+
+  const images = [];
+  for (const filePath of positionals) {
+    const { image, valid } = await loadImage(filePath, { quiet: values.json });
+    if (!valid) fail(`${filePath}: Invalid GBL image`, EXIT_INVALID);
+    images.push(new Map(describeTags(image, filePath).map((tag) => [tag.key, tag])));
+  }
+
+  // Merge the tag keys of both images, keeping tags only in the second image after their predecessor
+  const [a, b] = images;
+  const keys = [...a.keys()];
+  let last = -1;
+  for (const key of b.keys()) {
+    const index = keys.indexOf(key);
+    if (index >= 0) last = index;
+    else keys.splice(++last, 0, key);
+  }
+
+  const tags = keys.map((key) => {
+    const [tagA, tagB] = [a.get(key), b.get(key)];
+    if (!tagA) return { tag: key, status: 'added', changes: [] };
+    if (!tagB) return { tag: key, status: 'removed', changes: [] };
+
+    const changes = Object.keys({ ...tagA.fields, ...tagB.fields })
+      .filter((field) => tagA.fields[field] !== tagB.fields[field])
+      .map((field) => ({ field, from: tagA.fields[field] ?? null, to: tagB.fields[field] ?? null }));
+    return { tag: key, status: changes.length > 0 ? 'changed' : 'same', changes };
+  });
+  const identical = tags.every((tag) => tag.status === 'same');
+
+  if (values.json) {
+    console.log(JSON.stringify({ files: positionals, identical, tags }, null, 2));
+  } else {
+    const markers = { same: ' ', changed: '~', added: '+', removed: '-' };
+    console.log(`--- ${positionals[0]}`);
+    console.log(`+++ ${positionals[1]}`);
+    for (const { tag, status, changes } of tags) {
+      console.log(`${markers[status]} ${tag}`);
+      for (const { field, from, to } of changes) {
+        console.log(`    ${field}: ${from} -> ${to}`);
+      }
+    }
+  }
+
+  if (!identical) process.exit(EXIT_DIFFERENT);
+}
+
+const COMMANDS = { info, verify, extract, create, diff };
+
+const [command, ...args] = process.argv.slice(2);
+if (!Object.hasOwn(COMMANDS, command)) fail(USAGE);
+
+try {
+  await COMMANDS[command](args);
+} catch (error) {
+  // Argument parsing errors
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) fail(`${error.message}\n\n${USAGE}`);
+  throw error;
+}
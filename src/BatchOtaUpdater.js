@@ -0,0 +1,259 @@
+/**
+ * Batch OTA Updater
+ *
+ * Updates many devices with the same GBL image using {@link GeckoBootloaderClient}, a few at a time, and reports the
+ * result for each device. Works with any transport accepted by the client, including {@link SimulatedOtaTarget}.
+ */
+
+import { GeckoBootloaderClient } from './GeckoBootloaderClient.js';
+import { GeckoBootloaderImage } from './GeckoBootloaderImage.js';
+import { formatVersion } from './versionDependency.js';
+
+/**
+ * Per-device result status
+ * @enum {string}
+ */
+export const GBL_BATCH_STATUS = {
+  /** The device was updated */
+  UPDATED: 'updated',
+
+  /** The device was skipped, because it didn't match the filter or already runs the image version */
+  SKIPPED: 'skipped',
+
+  /** Updating the device failed */
+  FAILED: 'failed',
+};
+
+/**
+ * Result of updating a single device.
+ * @typedef {Object} BatchOtaResult
+ * @property {string} id - Device identifier.
+ * @property {GBL_BATCH_STATUS} status - Result status.
+ * @property {?string} reason - Why the device was skipped or failed, null if updated.
+ * @property {?string} code - Code of the error the update failed with, e.g. from {@link GBL_OTA_ERROR}.
+ * @property {?number} previousVersion - Application version before the update, null if unknown.
+ * @property {?number} version - Application version after the update, null if unknown.
+ * @property {number} attempts - Number of update attempts.
+ * @property {number} duration - Time spent on the device in milliseconds.
+ */
+
+// CSV report columns
+const CSV_COLUMNS = ['id', 'status', 'reason', 'code', 'previousVersion', 'version', 'attempts', 'duration'];
+
+/**
+ * Get an identifier for a device or transport.
+ * @param {Object} device - The device or transport.
+ * @param {number} index - Position of the device in the batch.
+ * @returns {string} The identifier.
+ */
+function deviceId(device, index) {
+  return String(device?.id ?? device?.device?.id ?? device?.peripheral?.id ?? `device-${index + 1}`);
+}
+
+/**
+ * Escape a CSV field.
+ * @param {*} value - The field value.
+ * @returns {string} The escaped field.
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Batch OTA Updater
+ *
+ * Dispatches the following events, as `CustomEvent`s with the listed `detail`:
+ * - `device-started` (`{id}`): updating a device started.
+ * - `device-progress` (`{id, progress, stats}`): upload progress of a device, as passed to the progress callback of
+ *   {@link GeckoBootloaderClient#flashFirmware}.
+ * - `device-finished` ({@link BatchOtaResult}): updating a device finished.
+ */
+export class BatchOtaUpdater extends EventTarget {
+  #buffer;
+  #image;
+  #options;
+
+  /**
+   * Results of the devices processed so far, in the order the devices were listed.
+   * @type {BatchOtaResult[]}
+   */
+  results = [];
+
+  /**
+   * Create an instance of the BatchOtaUpdater class.
+   * @param {ArrayBuffer} buffer - The GBL image to upload.
+   * @param {Object} [options] - Batch options.
+   * @param {number} [options.concurrency=1] - Number of devices updated at the same time.
+   * @param {boolean} [options.skipCurrent=true] - Skip devices already running the application version of the image.
+   * @param {number} [options.retries=1] - Number of times updating a failed device is retried.
+   * @param {boolean} [options.verify=false] - Verify each device booted the new application, see
+   *   {@link GeckoBootloaderClient#verifyUpdate}.
+   * @param {(device: Object) => boolean|Promise<boolean>} [options.filter] - Only update devices for which this
+   *   returns true, the others are reported as skipped.
+   * @param {number} [options.timeout=15000] - Connection timeout in milliseconds.
+   * @param {Object} [options.flashOptions] - Options passed to {@link GeckoBootloaderClient#flashFirmware}.
+   * @param {Object} [options.verifyOptions] - Options passed to {@link GeckoBootloaderClient#verifyUpdate}.
+   * @throws {Error} If the image is invalid.
+   */
+  constructor(
+    buffer,
+    {
+      concurrency = 1,
+      skipCurrent = true,
+      retries = 1,
+      verify = false,
+      filter,
+      timeout = 15000,
+      flashOptions = {},
+      verifyOptions = {},
+    } = {},
+  ) {
+    super();
+
+    this.#buffer = buffer;
+    this.#image = new GeckoBootloaderImage(buffer);
+    this.#options = { concurrency, skipCurrent, retries, verify, filter, timeout, flashOptions, verifyOptions };
+  }
+
+  /**
+   * Update a batch of devices.
+   *
+   * If aborted, devices being updated fail with an 'ABORT_ERR' code, and the remaining devices are not started.
+   * @param {Iterable<Object>|AsyncIterable<Object>} devices - The devices to update, as Web Bluetooth devices or
+   *   transports, e.g. an array or an async generator yielding devices as they are discovered.
+   * @param {Object} [options] - Run options.
+   * @param {AbortSignal} [options.signal] - Abort signal to cancel the batch.
+   * @returns {Promise<BatchOtaResult[]>} The results, in the order the devices were listed.
+   */
+  async run(devices, { signal } = {}) {
+    this.results = [];
+
+    const iterator = devices[Symbol.asyncIterator]?.() ?? devices[Symbol.iterator]();
+    let count = 0;
+
+    // Each worker pulls the next device from the shared iterator until it's exhausted
+    const worker = async () => {
+      while (!signal?.aborted) {
+        const { value: device, done } = await iterator.next();
+        if (done) return;
+
+        const index = count++;
+        this.results[index] = await this.#update(device, index, signal);
+        this.#emit('device-finished', this.results[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, this.#options.concurrency) }, worker));
+    return this.results;
+  }
+
+  /**
+   * Get the report as plain objects, so the updater can be serialized using `JSON.stringify()`.
+   * @returns {BatchOtaResult[]} The results.
+   */
+  toJSON() {
+    return this.results.map((result) => ({ ...result }));
+  }
+
+  /**
+   * Get the report as CSV, with versions formatted as dotted numbers.
+   * @returns {string} The CSV report.
+   */
+  toCSV() {
+    const rows = this.results.map((result) =>
+      CSV_COLUMNS.map((column) => {
+        const value = result[column];
+        return csvField(
+          (column === 'previousVersion' || column === 'version') && value !== null ? formatVersion(value) : value,
+        );
+      }).join(','),
+    );
+
+    return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+  }
+
+  async #update(device, index, signal) {
+    const { skipCurrent, retries, verify, filter, timeout, flashOptions, verifyOptions } = this.#options;
+    const expected = this.#image.application?.version ?? null;
+
+    const startTime = performance.now();
+    const id = deviceId(device, index);
+    const result = {
+      id,
+      status: GBL_BATCH_STATUS.FAILED,
+      reason: null,
+      code: null,
+      previousVersion: null,
+      version: null,
+      attempts: 0,
+      duration: 0,
+    };
+
+    // A throwing filter or an invalid device fails this device only
+    let client;
+    try {
+      if (filter && !(await filter(device))) {
+        return { ...result, status: GBL_BATCH_STATUS.SKIPPED, reason: 'Filtered out' };
+      }
+
+      client = new GeckoBootloaderClient(device);
+    } catch (error) {
+      const duration = Math.round(performance.now() - startTime);
+      return { ...result, reason: error.message, code: error.code ?? error.name, duration };
+    }
+
+    this.#emit('device-started', { id });
+
+    for (let attempt = 1; attempt <= retries + 1 && !signal?.aborted; attempt++) {
+      result.attempts = attempt;
+
+      try {
+        await client.connect({ timeout });
+
+        // Skip devices already running the image version
+        result.previousVersion ??= await client.getApplicationVersion().catch(() => null);
+        if (skipCurrent && expected !== null && result.previousVersion === expected) {
+          Object.assign(result, { status: GBL_BATCH_STATUS.SKIPPED, reason: 'Already up to date', version: expected });
+          break;
+        }
+
+        await client.flashFirmware(this.#buffer, {
+          rebootToAppLoader: true,
+          ...flashOptions,
+          progress: (progress, stats) => {
+            flashOptions.progress?.(progress, stats);
+            this.#emit('device-progress', { id, progress, stats });
+          },
+          signal,
+        });
+
+        if (verify) {
+          const { status, actual } = await client.verifyUpdate(this.#image, { ...verifyOptions, signal });
+          result.version = actual;
+          if (status !== 'success') {
+            Object.assign(result, { reason: `Update not applied (${status})`, code: status });
+            continue;
+          }
+        } else {
+          result.version = expected;
+        }
+
+        Object.assign(result, { status: GBL_BATCH_STATUS.UPDATED, reason: null, code: null });
+        break;
+      } catch (error) {
+        Object.assign(result, { reason: error.message, code: error.code ?? error.name });
+        if (error.name === 'AbortError') break;
+      } finally {
+        if (client.connected) client.disconnect();
+      }
+    }
+
+    result.duration = Math.round(performance.now() - startTime);
+    return result;
+  }
+
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Ember Bootloader Image Parser
+ *
+ * Parses legacy Ember Bootloader (EBL) image files, as used by EmberZNet devices before the Gecko Bootloader. Unlike
+ * GBL, tag IDs, lengths and fields are big-endian.
+ *
+ * See the file format description here:
+ * https://www.silabs.com/documents/public/application-notes/an772-using-ember-standalone-bootloader.pdf
+ */
+
+import { crc32 } from './crc32.js';
+
+// Tag IDs
+export const EBL_TAG_ID_HEADER = 0x0000;
+export const EBL_TAG_ID_PROG = 0xfe01;
+export const EBL_TAG_ID_MFGPROG = 0x02fe;
+export const EBL_TAG_ID_ERASEPROG = 0xfd03;
+export const EBL_TAG_ID_END = 0xfc04;
+export const EBL_TAG_ID_ENC_HEADER = 0xfb05;
+export const EBL_TAG_ID_ENC_INIT = 0xfa06;
+export const EBL_TAG_ID_ENC_EBL_DATA = 0xf907;
+export const EBL_TAG_ID_ENC_MAC = 0xf709;
+
+// Magic signature in the header tag
+export const EBL_IMAGE_SIGNATURE = 0xe350;
+
+// CRC32 residue of an image up to and including the end tag, before the final inversion
+const EBL_CRC_RESIDUE = 0xdebb20e3;
+
+const EBL_TAG_NAMES = {
+  [EBL_TAG_ID_HEADER]: 'header',
+  [EBL_TAG_ID_PROG]: 'prog',
+  [EBL_TAG_ID_MFGPROG]: 'mfgProg',
+  [EBL_TAG_ID_ERASEPROG]: 'eraseProg',
+  [EBL_TAG_ID_END]: 'end',
+  [EBL_TAG_ID_ENC_HEADER]: 'encryptionHeader',
+  [EBL_TAG_ID_ENC_INIT]: 'encryptionInit',
+  [EBL_TAG_ID_ENC_EBL_DATA]: 'encryptionData',
+  [EBL_TAG_ID_ENC_MAC]: 'encryptionMac',
+};
+
+/**
+ * Ember Bootloader Image class
+ * Parses and validates an Ember Bootloader (EBL) image file.
+ */
+export class EblImage {
+  #buffer;
+  #dataView;
+  #eof;
+
+  /**
+   * EBL header tag type.
+   * @typedef {Object} EblHeader
+   * @property {number} version - EBL format version.
+   * @property {number} signature - Magic signature, {@link EBL_IMAGE_SIGNATURE} for valid images.
+   * @property {number} flashAddress - Address the application address table is written to.
+   * @property {number} aatCrc - CRC of the application address table.
+   * @property {Uint8Array} aat - Start of the application address table, written to flash at the flash address.
+   */
+
+  /**
+   * EBL header, null for encrypted images.
+   * @type {?EblHeader}
+   */
+  header = null;
+
+  /**
+   * EBL flash program tag type.
+   * @typedef {Object} EblProg
+   * @property {number} flashStartAddress - Address to start flashing.
+   * @property {Uint8Array} data - Data to flash.
+   * @property {boolean} [erase] - Whether the flash is erased before programming (ERASEPROG tag).
+   */
+
+  /**
+   * Array of flash program sections, including erase program sections.
+   * @type {EblProg[]}
+   */
+  prog = [];
+
+  /**
+   * Array of manufacturing flash program sections (MFGPROG tags), which write the manufacturing token area.
+   * @type {EblProg[]}
+   */
+  mfgProg = [];
+
+  /**
+   * EBL encryption header tag type.
+   * @typedef {Object} EblEncryptionHeader
+   * @property {number} version - EBL format version.
+   * @property {number} encryptionType - Encryption type, 1 for AES-CCM.
+   * @property {number} signature - Magic signature, {@link EBL_IMAGE_SIGNATURE} for valid images.
+   */
+
+  /**
+   * Encryption header, for encrypted images.
+   * @type {?EblEncryptionHeader}
+   */
+  encryptionHeader = null;
+
+  /**
+   * EBL encryption init tag type.
+   * @typedef {Object} EblEncryptionInit
+   * @property {number} msgLen - Length of the cipher text in bytes.
+   * @property {Uint8Array} nonce - Nonce used for AES-CCM.
+   * @property {Uint8Array} associatedData - Additional authenticated data.
+   */
+
+  /**
+   * Encryption initialization data, for encrypted images.
+   * @type {?EblEncryptionInit}
+   */
+  encryptionInit = null;
+
+  /**
+   * Array of encrypted data sections.
+   * @type {Uint8Array[]}
+   */
+  encryptionData = [];
+
+  /**
+   * Message authentication code of the encrypted data.
+   * @type {?Uint8Array}
+   */
+  encryptionMac = null;
+
+  /**
+   * CRC32 checksum embedded in the end tag.
+   * @type {?number}
+   */
+  crc32 = null;
+
+  /**
+   * Raw tags, as found in the image file.
+   * @type {import('./GeckoBootloaderImage.js').GblTag[]}
+   */
+  tags = [];
+
+  /**
+   * Creates an instance of the EblImage class.
+   * @param {ArrayBuffer} buffer - The EBL image file buffer.
+   * @param {boolean} [parse=true] - Whether to parse the buffer immediately.
+   */
+  constructor(buffer, parse = true) {
+    this.#buffer = buffer;
+    this.#dataView = new DataView(buffer);
+
+    if (parse) this.parse();
+  }
+
+  /**
+   * Parses the EBL image file buffer.
+   *
+   * Parsing stops at the end tag, as images may be padded following it.
+   * @throws {Error} If the image is malformed.
+   */
+  parse() {
+    let offset = 0;
+    while (offset < this.#buffer.byteLength) {
+      // Read tag header
+      if (offset + 4 > this.#buffer.byteLength) throw new Error('Truncated tag header');
+      const tagType = this.#dataView.getUint16(offset);
+      const tagLength = this.#dataView.getUint16(offset + 2);
+      offset += 4;
+
+      if (offset + tagLength > this.#buffer.byteLength) throw new Error('Tag length exceeds image size');
+      if (this.tags.length === 0 && tagType !== EBL_TAG_ID_HEADER && tagType !== EBL_TAG_ID_ENC_HEADER) {
+        throw new Error('Image does not start with a header tag');
+      }
+
+      this.tags.push({
+        id: tagType,
+        name: EBL_TAG_NAMES[tagType] ?? 'unknown',
+        offset: offset - 4,
+        length: tagLength,
+        raw: new Uint8Array(this.#buffer, offset, tagLength),
+      });
+
+      // Parse tag content
+      if (tagType === EBL_TAG_ID_HEADER) {
+        this.header = this.#parseHeaderTag(offset, tagLength);
+      } else if (tagType === EBL_TAG_ID_PROG) {
+        this.prog.push(this.#parseProgTag(offset, tagLength));
+      } else if (tagType === EBL_TAG_ID_ERASEPROG) {
+        this.prog.push(this.#parseProgTag(offset, tagLength, true));
+      } else if (tagType === EBL_TAG_ID_MFGPROG) {
+        this.mfgProg.push(this.#parseProgTag(offset, tagLength));
+      } else if (tagType === EBL_TAG_ID_END) {
+        this.crc32 = this.#parseEndTag(offset, tagLength);
+      } else if (tagType === EBL_TAG_ID_ENC_HEADER) {
+        this.encryptionHeader = this.#parseEncryptionHeaderTag(offset, tagLength);
+      } else if (tagType === EBL_TAG_ID_ENC_INIT) {
+        this.encryptionInit = this.#parseEncryptionInitTag(offset, tagLength);
+      } else if (tagType === EBL_TAG_ID_ENC_EBL_DATA) {
+        this.encryptionData.push(new Uint8Array(this.#buffer, offset, tagLength));
+      } else if (tagType === EBL_TAG_ID_ENC_MAC) {
+        this.encryptionMac = new Uint8Array(this.#buffer, offset, tagLength);
+      }
+      offset += tagLength;
+
+      // Break if we have read the end tag, ignoring the padding following it
+      if (tagType === EBL_TAG_ID_END) break;
+    }
+
+    // Save the EOF position
+    this.#eof = offset;
+  }
+
+  /**
+   * Size of the image in bytes, up to and including the end tag once parsed, excluding any padding.
+   * @type {number}
+   */
+  get size() {
+    return this.#eof ?? this.#buffer.byteLength;
+  }
+
+  /**
+   * Validates the EBL image by checking the header signature and the CRC32 residue.
+   * @returns {boolean} True if the EBL image is valid, false otherwise.
+   */
+  isValid() {
+    const signature = (this.header ?? this.encryptionHeader)?.signature;
+    if (signature !== EBL_IMAGE_SIGNATURE || this.crc32 === null) return false;
+
+    // The checksum covers the whole image including the stored CRC, leaving a constant residue
+    return ~crc32(new Uint8Array(this.#buffer, 0, this.#eof)) >>> 0 === EBL_CRC_RESIDUE;
+  }
+
+  #parseHeaderTag(offset, length) {
+    if (length < 12) throw new Error('Invalid header tag length');
+
+    return {
+      version: this.#dataView.getUint16(offset),
+      signature: this.#dataView.getUint16(offset + 2),
+      flashAddress: this.#dataView.getUint32(offset + 4),
+      aatCrc: this.#dataView.getUint32(offset + 8),
+      aat: new Uint8Array(this.#buffer, offset + 12, length - 12),
+    };
+  }
+
+  #parseProgTag(offset, length, erase = undefined) {
+    if (length < 4) throw new Error('Invalid prog tag length');
+
+    return {
+      flashStartAddress: this.#dataView.getUint32(offset),
+      data: new Uint8Array(this.#buffer, offset + 4, length - 4),
+      ...(erase && { erase }),
+    };
+  }
+
+  #parseEndTag(offset, length) {
+    if (length !== 4) throw new Error('Invalid end tag length');
+
+    return this.#dataView.getUint32(offset, true);
+  }
+
+  #parseEncryptionHeaderTag(offset, length) {
+    if (length < 6) throw new Error('Invalid encryption header tag length');
+
+    return {
+      version: this.#dataView.getUint16(offset),
+      encryptionType: this.#dataView.getUint16(offset + 2),
+      signature: this.#dataView.getUint16(offset + 4),
+    };
+  }
+
+  #parseEncryptionInitTag(offset, length) {
+    if (length < 16) throw new Error('Invalid encryption init tag length');
+
+    return {
+      msgLen: this.#dataView.getUint32(offset),
+      nonce: new Uint8Array(this.#buffer, offset + 4, 12),
+      associatedData: new Uint8Array(this.#buffer, offset + 16, length - 16),
+    };
+  }
+}
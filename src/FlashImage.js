@@ -0,0 +1,465 @@
+/**
+ * Flash Memory Image
+ *
+ * Sparse representation of flash memory contents, used to reconstruct what a GBL image writes to flash and to export
+ * it in common firmware file formats.
+ *
+ * Intel HEX format documentation:
+ * https://en.wikipedia.org/wiki/Intel_HEX
+ *
+ * Motorola S-record format documentation:
+ * https://en.wikipedia.org/wiki/SREC_(file_format)
+ *
+ * ELF format documentation:
+ * https://refspecs.linuxfoundation.org/elf/elf.pdf
+ */
+
+// ELF constants
+const ELF_MAGIC = 0x7f454c46;
+const ELF_CLASS_32 = 1;
+const ELF_DATA_LSB = 1;
+const ELF_PT_LOAD = 1;
+
+/**
+ * Format a number as fixed width, uppercase hexadecimal.
+ * @param {number} n - The number to format.
+ * @param {number} width - Number of hex digits.
+ * @returns {string} The hex string.
+ */
+function hex(n, width) {
+  return n.toString(16).toUpperCase().padStart(width, '0');
+}
+
+/**
+ * Format a record's bytes as hex, followed by a checksum.
+ * @param {number[]} bytes - Record bytes to format.
+ * @param {(sum: number) => number} checksum - Function calculating the checksum from the byte sum.
+ * @returns {string} The formatted record.
+ */
+function record(bytes, checksum) {
+  const sum = bytes.reduce((a, b) => a + b, 0);
+  return bytes.map((b) => hex(b, 2)).join('') + hex(checksum(sum) & 0xff, 2);
+}
+
+/**
+ * Split a 32-bit number into big-endian bytes.
+ * @param {number} n - The number to split.
+ * @param {number} count - Number of bytes.
+ * @returns {number[]} The bytes.
+ */
+function beBytes(n, count) {
+  return Array.from({ length: count }, (_, i) => (n >>> ((count - 1 - i) * 8)) & 0xff);
+}
+
+/**
+ * Split a text file into trimmed, non-empty lines.
+ * @param {string} text - The file contents.
+ * @returns {[number, string][]} Pairs of line numbers and line contents.
+ */
+function lines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line, i) => [i + 1, line.trim()])
+    .filter(([, line]) => line.length > 0);
+}
+
+/**
+ * Decode a record's hex digits into bytes.
+ * @param {string} digits - Hex digits.
+ * @param {number} lineNumber - Line number, used in error messages.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function recordBytes(digits, lineNumber) {
+  if (digits.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(digits)) {
+    throw new Error(`Invalid record on line ${lineNumber}`);
+  }
+
+  return Uint8Array.from(digits.match(/../g) ?? [], (byte) => Number.parseInt(byte, 16));
+}
+
+/**
+ * Flash Image class
+ * Sparse flash memory contents, made up of non-overlapping, non-adjacent segments sorted by address.
+ */
+export class FlashImage {
+  /**
+   * Contiguous flash memory segment.
+   * @typedef {Object} FlashSegment
+   * @property {number} address - Start address of the segment.
+   * @property {Uint8Array} data - Segment contents.
+   */
+
+  /**
+   * Segments, each backed by a buffer which may be larger than its contents, so it can grow in place.
+   * @type {{address: number, data: Uint8Array, buffer: Uint8Array}[]}
+   */
+  #segments = [];
+
+  /**
+   * Flash memory region.
+   * @typedef {Object} FlashRegion
+   * @property {number} address - Start address of the region.
+   * @property {number} length - Length of the region in bytes.
+   */
+
+  /**
+   * Regions written more than once, in the order they were detected. Later writes take precedence.
+   * @type {FlashRegion[]}
+   */
+  overlaps = [];
+
+  /**
+   * Reconstruct the flash contents written by a GBL image.
+   * @param {import('./GeckoBootloaderImage.js').GeckoBootloaderImage} image - The parsed image.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.bootloader=true] - Whether to include the bootloader upgrade data at its address.
+   * @returns {FlashImage} The flash contents.
+   * @throws {Error} If compressed program data is malformed.
+   */
+  static fromGeckoBootloaderImage(image, { bootloader = true } = {}) {
+    const flash = new FlashImage();
+
+    if (bootloader && image.bootloader) {
+      flash.write(image.bootloader.address, image.bootloader.data);
+    }
+
+    for (const prog of image.decompressProg()) {
+      flash.write(prog.flashStartAddress, prog.data);
+    }
+
+    return flash;
+  }
+
+  /**
+   * Reconstruct the flash contents written by a legacy EBL image.
+   *
+   * The application address table in the header is written at its flash address, followed by the program data. Erase
+   * program sections are written like other program sections.
+   * @param {import('./EblImage.js').EblImage} image - The parsed image.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.manufacturing=false] - Whether to include the manufacturing program data (MFGPROG tags).
+   * @returns {FlashImage} The flash contents.
+   * @throws {Error} If the image is encrypted.
+   */
+  static fromEblImage(image, { manufacturing = false } = {}) {
+    if (!image.header) throw new Error('Encrypted EBL images are not supported');
+
+    const flash = new FlashImage();
+    if (image.header.aat.length > 0) flash.write(image.header.flashAddress, image.header.aat);
+
+    for (const prog of [...image.prog, ...(manufacturing ? image.mfgProg : [])]) {
+      flash.write(prog.flashStartAddress, prog.data);
+    }
+
+    return flash;
+  }
+
+  /**
+   * Parse an Intel HEX file.
+   * @param {string} text - The file contents.
+   * @returns {FlashImage} The flash contents.
+   * @throws {Error} If the file is malformed.
+   */
+  static fromIntelHex(text) {
+    const flash = new FlashImage();
+    let base = 0;
+
+    for (const [lineNumber, line] of lines(text)) {
+      if (line[0] !== ':') throw new Error(`Invalid record on line ${lineNumber}`);
+
+      const bytes = recordBytes(line.slice(1), lineNumber);
+      if (bytes.length < 5 || bytes.length !== bytes[0] + 5) {
+        throw new Error(`Invalid record length on line ${lineNumber}`);
+      }
+      if (bytes.reduce((a, b) => a + b, 0) & 0xff) throw new Error(`Invalid checksum on line ${lineNumber}`);
+
+      const offset = (bytes[1] << 8) | bytes[2];
+      const type = bytes[3];
+      const data = bytes.subarray(4, -1);
+
+      // Extended address records hold a 16-bit address
+      if ((type === 0x02 || type === 0x04) && data.length !== 2) {
+        throw new Error(`Invalid record length on line ${lineNumber}`);
+      }
+
+      if (type === 0x00) {
+        flash.write(base + offset, data);
+      } else if (type === 0x01) {
+        break;
+      } else if (type === 0x02) {
+        base = ((data[0] << 8) | data[1]) * 16;
+      } else if (type === 0x04) {
+        base = ((data[0] << 24) | (data[1] << 16)) >>> 0;
+      }
+    }
+
+    return flash;
+  }
+
+  /**
+   * Parse a Motorola S-record file.
+   * @param {string} text - The file contents.
+   * @returns {FlashImage} The flash contents.
+   * @throws {Error} If the file is malformed.
+   */
+  static fromSRecord(text) {
+    const flash = new FlashImage();
+    const addressSizes = { 1: 2, 2: 3, 3: 4 };
+
+    for (const [lineNumber, line] of lines(text)) {
+      if (line[0] !== 'S') throw new Error(`Invalid record on line ${lineNumber}`);
+
+      const bytes = recordBytes(line.slice(2), lineNumber);
+      if (bytes.length < 1 || bytes.length !== bytes[0] + 1) {
+        throw new Error(`Invalid record length on line ${lineNumber}`);
+      }
+      if ((bytes.reduce((a, b) => a + b, 0) & 0xff) !== 0xff) throw new Error(`Invalid checksum on line ${lineNumber}`);
+
+      // Only S1, S2 and S3 records contain data
+      const addressSize = addressSizes[line[1]];
+      if (!addressSize) continue;
+
+      const address = bytes.subarray(1, 1 + addressSize).reduce((a, b) => a * 256 + b, 0);
+      flash.write(address, bytes.subarray(1 + addressSize, -1));
+    }
+
+    return flash;
+  }
+
+  /**
+   * Load the loadable (PT_LOAD) segments of a 32-bit little-endian ELF file at their physical addresses.
+   * @param {ArrayBuffer|Uint8Array} buffer - The file contents.
+   * @returns {FlashImage} The flash contents.
+   * @throws {Error} If the file is not a supported ELF file.
+   */
+  static fromElf(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < 52 || view.getUint32(0) !== ELF_MAGIC) throw new Error('Invalid ELF file');
+    if (bytes[4] !== ELF_CLASS_32 || bytes[5] !== ELF_DATA_LSB) {
+      throw new Error('Unsupported ELF file, expected 32-bit little-endian');
+    }
+
+    const phoff = view.getUint32(0x1c, true);
+    const phentsize = view.getUint16(0x2a, true);
+    const phnum = view.getUint16(0x2c, true);
+    if (phoff + phnum * phentsize > bytes.length) throw new Error('Invalid ELF program header table');
+
+    const flash = new FlashImage();
+    for (let i = 0; i < phnum; i++) {
+      const ph = phoff + i * phentsize;
+      if (view.getUint32(ph, true) !== ELF_PT_LOAD) continue;
+
+      const offset = view.getUint32(ph + 4, true);
+      const paddr = view.getUint32(ph + 12, true);
+      const filesz = view.getUint32(ph + 16, true);
+      if (offset + filesz > bytes.length) throw new Error('Invalid ELF program header');
+
+      flash.write(paddr, bytes.subarray(offset, offset + filesz));
+    }
+
+    return flash;
+  }
+
+  /**
+   * Load a firmware file, detecting whether it is an ELF, Intel HEX or S-record file.
+   * @param {ArrayBuffer|Uint8Array|string} data - The file contents.
+   * @returns {FlashImage} The flash contents.
+   * @throws {Error} If the format is not recognized or the file is malformed.
+   */
+  static load(data) {
+    if (typeof data !== 'string') {
+      const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+      if (bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0) === ELF_MAGIC) {
+        return FlashImage.fromElf(bytes);
+      }
+
+      data = new TextDecoder().decode(bytes);
+    }
+
+    const text = data.trimStart();
+    if (text[0] === ':') return FlashImage.fromIntelHex(text);
+    if (text[0] === 'S') return FlashImage.fromSRecord(text);
+
+    throw new Error('Unrecognized firmware file format');
+  }
+
+  /**
+   * Contiguous segments, sorted by address.
+   * @type {FlashSegment[]}
+   */
+  get segments() {
+    return this.#segments.map(({ address, data }) => ({ address, data }));
+  }
+
+  /**
+   * Unwritten regions between the first and last segment.
+   * @type {FlashRegion[]}
+   */
+  get gaps() {
+    const gaps = [];
+    for (let i = 1; i < this.#segments.length; i++) {
+      const prev = this.#segments[i - 1];
+      const address = prev.address + prev.data.length;
+      gaps.push({ address, length: this.#segments[i].address - address });
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Lowest written address, or null if the image is empty.
+   * @type {?number}
+   */
+  get startAddress() {
+    return this.#segments[0]?.address ?? null;
+  }
+
+  /**
+   * Address following the highest written address, or null if the image is empty.
+   * @type {?number}
+   */
+  get endAddress() {
+    const last = this.#segments.at(-1);
+    return last ? last.address + last.data.length : null;
+  }
+
+  /**
+   * Write data to the image, merging it with any overlapping or adjacent segments.
+   * @param {number} address - Start address.
+   * @param {Uint8Array} data - Data to write.
+   * @returns {FlashImage} This image.
+   */
+  write(address, data) {
+    if (data.length === 0) return this;
+
+    const end = address + data.length;
+    if (address < 0 || end > 0x100000000) throw new Error('Data does not fit in the 32-bit address space');
+
+    // Find segments that overlap or touch the new data
+    const touching = this.#segments.filter((s) => s.address <= end && s.address + s.data.length >= address);
+
+    for (const s of touching) {
+      const overlapStart = Math.max(s.address, address);
+      const overlapEnd = Math.min(s.address + s.data.length, end);
+      if (overlapEnd > overlapStart) this.overlaps.push({ address: overlapStart, length: overlapEnd - overlapStart });
+    }
+
+    // Extend a single segment in place when the data doesn't start before it, as when loading consecutive records
+    if (touching.length === 1 && touching[0].address <= address) {
+      const s = touching[0];
+      const length = Math.max(s.data.length, end - s.address);
+      if (length > s.buffer.length) {
+        // Grow the buffer geometrically, so a series of appends takes linear time
+        const buffer = new Uint8Array(Math.max(length, s.buffer.length * 2));
+        buffer.set(s.data);
+        s.buffer = buffer;
+      }
+
+      s.buffer.set(data, address - s.address);
+      s.data = s.buffer.subarray(0, length);
+      return this;
+    }
+
+    // Merge into a single segment, with the new data taking precedence
+    const start = Math.min(address, ...touching.map((s) => s.address));
+    const stop = Math.max(end, ...touching.map((s) => s.address + s.data.length));
+    const merged = new Uint8Array(stop - start);
+    for (const s of touching) merged.set(s.data, s.address - start);
+    merged.set(data, address - start);
+
+    const others = this.#segments.filter((s) => !touching.includes(s));
+    this.#segments = [...others, { address: start, data: merged, buffer: merged }].sort(
+      (a, b) => a.address - b.address,
+    );
+    return this;
+  }
+
+  /**
+   * Read data from the image.
+   * @param {number} address - Start address.
+   * @param {number} length - Number of bytes to read.
+   * @param {number} [fill=0xff] - Value for unwritten bytes.
+   * @returns {Uint8Array} The data.
+   */
+  read(address, length, fill = 0xff) {
+    const data = new Uint8Array(length).fill(fill);
+
+    for (const s of this.#segments) {
+      const from = Math.max(s.address, address);
+      const to = Math.min(s.address + s.data.length, address + length);
+      if (to > from) data.set(s.data.subarray(from - s.address, to - s.address), from - address);
+    }
+
+    return data;
+  }
+
+  /**
+   * Export as a raw binary, starting at {@link FlashImage#startAddress}.
+   * @param {Object} [options] - Options.
+   * @param {number} [options.fill=0xff] - Value for gaps between segments.
+   * @returns {Uint8Array} The binary contents.
+   */
+  toBinary({ fill = 0xff } = {}) {
+    if (this.#segments.length === 0) return new Uint8Array(0);
+
+    return this.read(this.startAddress, this.endAddress - this.startAddress, fill);
+  }
+
+  /**
+   * Export in the Intel HEX format, using extended linear address records.
+   * @param {Object} [options] - Options.
+   * @param {number} [options.recordSize=16] - Maximum number of data bytes per record.
+   * @returns {string} The Intel HEX file contents.
+   */
+  toIntelHex({ recordSize = 16 } = {}) {
+    const checksum = (sum) => -sum;
+    const lines = [];
+    let upper = 0;
+
+    for (const { address, data } of this.#segments) {
+      for (let offset = 0; offset < data.length; ) {
+        const current = address + offset;
+
+        // Emit an extended linear address record when the upper 16 bits change
+        if (current >>> 16 !== upper) {
+          upper = current >>> 16;
+          lines.push(`:${record([2, 0, 0, 4, ...beBytes(upper, 2)], checksum)}`);
+        }
+
+        // Records don't cross 64 KiB boundaries
+        const length = Math.min(recordSize, data.length - offset, 0x10000 - (current & 0xffff));
+        const bytes = data.subarray(offset, offset + length);
+        lines.push(`:${record([length, ...beBytes(current & 0xffff, 2), 0, ...bytes], checksum)}`);
+        offset += length;
+      }
+    }
+
+    lines.push(':00000001FF');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Export in the Motorola S-record format, using 32-bit addresses (S3/S7 records).
+   * @param {Object} [options] - Options.
+   * @param {number} [options.recordSize=16] - Maximum number of data bytes per record.
+   * @param {string} [options.header=''] - Contents of the S0 header record.
+   * @returns {string} The S-record file contents.
+   */
+  toSRecord({ recordSize = 16, header = '' } = {}) {
+    const checksum = (sum) => ~sum;
+    const headerBytes = Array.from(new TextEncoder().encode(header));
+    const lines = [`S0${record([headerBytes.length + 3, 0, 0, ...headerBytes], checksum)}`];
+
+    for (const { address, data } of this.#segments) {
+      for (let offset = 0; offset < data.length; offset += recordSize) {
+        const bytes = data.subarray(offset, offset + recordSize);
+        lines.push(`S3${record([bytes.length + 5, ...beBytes(address + offset, 4), ...bytes], checksum)}`);
+      }
+    }
+
+    lines.push(`S7${record([5, 0, 0, 0, 0], checksum)}`);
+    return `${lines.join('\n')}\n`;
+  }
+}
@@ -1,22 +1,42 @@
 /**
  * Gecko Bootloader BLE OTA Client
  *
- * Web Bluetooth implementation of the Gecko Bootloader OTA protocol.
+ * Implementation of the Gecko Bootloader OTA protocol, using Web Bluetooth or any other {@link GattTransport}.
  *
  * Protocol documentation:
  * https://docs.silabs.com/bluetooth/latest/using-gecko-bootloader-with-bluetooth-apps/03-bluetooth-ota-upgrade
  */
 
+import { WebBluetoothTransport } from './WebBluetoothTransport.js';
+
+/** @typedef {import('./WebBluetoothTransport.js').GattTransport} GattTransport */
+
 /** GBL OTA Service UUID */
 export const GBL_OTA_SERVICE_UUID = '1d14d6ee-fd63-4fa1-bfa4-8f47b42119f0';
 
-// Characteristic UUIDs
-const OTA_CONTROL_UUID = 'f7bf3564-fb6d-4e53-88a4-5e37e0326063';
-const OTA_DATA_UUID = '984227f3-34fc-4045-a5d0-2c581f81a153';
-const APPLOADER_VERSION_UUID = '4f4a2368-8cca-451e-bfff-cf0e2ee23e9f';
-const OTA_VERSION_UUID = '4cc07bcf-0868-4b32-9dad-ba4cc41e5316';
-const GECKO_BOOTLOADER_VERSION_UUID = '25f05c0a-e917-46e9-b2a5-aa2be1245afe';
-const APPLICATION_VERSION_UUID = '0d77cc11-4ac1-49f2-bfa9-cd96ac7a92f8';
+/**
+ * GBL OTA Characteristic UUIDs
+ * @enum {string}
+ */
+export const GBL_OTA_CHARACTERISTIC_UUID = {
+  OTA_CONTROL: 'f7bf3564-fb6d-4e53-88a4-5e37e0326063',
+  OTA_DATA: '984227f3-34fc-4045-a5d0-2c581f81a153',
+  APPLOADER_VERSION: '4f4a2368-8cca-451e-bfff-cf0e2ee23e9f',
+  OTA_VERSION: '4cc07bcf-0868-4b32-9dad-ba4cc41e5316',
+  GECKO_BOOTLOADER_VERSION: '25f05c0a-e917-46e9-b2a5-aa2be1245afe',
+  APPLICATION_VERSION: '0d77cc11-4ac1-49f2-bfa9-cd96ac7a92f8',
+};
+
+// Chunk sizes, the maximum fits a 247 byte ATT MTU
+const DEFAULT_CHUNK_SIZE = 64;
+const MAX_CHUNK_SIZE = 244;
+
+// Initial and maximum wait between unacknowledged writes with automatic pacing, in milliseconds
+const AUTO_WAIT_INITIAL = 10;
+const AUTO_WAIT_MAX = 100;
+
+// Interval of acknowledged writes with automatic pacing
+const AUTO_ACK_INTERVAL = 16;
 
 /**
  * Commands for the OTA control characteristic
@@ -33,11 +53,117 @@ export const GBL_OTA_COMMAND = {
   CLOSE_CONNECTION: 0x04,
 };
 
+/**
+ * Classification of OTA upload failures, set as the `code` of errors thrown by
+ * {@link GeckoBootloaderClient#flashFirmware}
+ * @enum {string}
+ */
+export const GBL_OTA_ERROR = {
+  /** The device didn't respond in time */
+  TIMEOUT: 'ETIMEDOUT',
+
+  /** The connection was lost, and couldn't be recovered */
+  DISCONNECTED: 'ECONNRESET',
+
+  /** The device rejected a command or data, e.g. an invalid image */
+  REJECTED: 'EREJECTED',
+
+  /** The upload was aborted using the abort signal */
+  ABORTED: 'ABORT_ERR',
+};
+
+/**
+ * Create a timeout error.
+ * @param {string} message - Error message.
+ * @returns {Error} The error.
+ */
+function timeoutError(message) {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Wait for a delay, rejecting early if aborted.
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} [signal] - Abort signal.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Upload statistics passed to the progress callback of {@link GeckoBootloaderClient#flashFirmware}.
+ * @typedef {Object} UploadProgress
+ * @property {number} bytesSent - Number of bytes written.
+ * @property {number} total - Total number of bytes to write.
+ * @property {number} bytesPerSecond - Average throughput of the upload so far.
+ * @property {?number} eta - Estimated time until the upload is finished in seconds, null if unknown.
+ */
+
+/**
+ * Calculate upload statistics.
+ * @param {number} bytesSent - Number of bytes written.
+ * @param {number} total - Total number of bytes to write.
+ * @param {number} elapsed - Time since the upload started in milliseconds.
+ * @returns {UploadProgress} The statistics.
+ */
+function uploadProgress(bytesSent, total, elapsed) {
+  const bytesPerSecond = elapsed > 0 ? (bytesSent * 1000) / elapsed : 0;
+  return {
+    bytesSent,
+    total,
+    bytesPerSecond,
+    eta: bytesPerSecond > 0 ? (total - bytesSent) / bytesPerSecond : null,
+  };
+}
+
+/**
+ * Options for rebooting an application into AppLoader.
+ * @typedef {Object} RebootOptions
+ * @property {number} [timeout=15000] - Time to wait for the device to reboot, and for each reconnection attempt, in
+ *   milliseconds.
+ * @property {number} [retries=5] - Number of times reconnecting is retried.
+ * @property {number} [retryDelay=1000] - Delay between reconnection attempts in milliseconds.
+ * @property {(info: {attempt: number}) => Promise<BluetoothDevice|GattTransport|undefined>} [reconnect] - Called before
+ *   each reconnection attempt. May return a different device or transport to connect to, e.g. when AppLoader
+ *   advertises with a different address. The same device is reconnected if nothing is returned.
+ * @property {(phase: ("rebooting" | "disconnected" | "reconnecting" | "connected"), info?: {attempt: number}) => void}
+ *   [phase] - Called when each phase of the reboot starts.
+ * @property {AbortSignal} [signal] - Abort signal to cancel the reboot.
+ */
+
 /**
  * Gecko Bootloader Client
+ *
+ * Dispatches the following events, as `CustomEvent`s with the listed `detail`:
+ * - `connecting` (`{timeout}`): connecting to the GATT server.
+ * - `connected` (`{}`): connected to the GATT server.
+ * - `service-discovered` (`{mode}`): the OTA service and characteristics were found, see {@link mode}.
+ * - `ota-started` (`{total, chunkSize}`): the upload was started.
+ * - `chunk-written` ({@link UploadProgress}): a chunk of data was written.
+ * - `ota-finished` (`{total, duration}`): the upload was finished, duration is in milliseconds.
+ * - `disconnected` (`{reason}`): the connection was closed, reason is 'requested', 'reboot' or 'connection-lost'.
+ * - `error` (`{error}`): connecting or uploading failed.
  */
-export class GeckoBootloaderClient {
-  #device;
+export class GeckoBootloaderClient extends EventTarget {
+  #transport;
+  #disconnectHandlers = new Set();
+  #disconnectReason = null;
 
   #otaControlChar;
   #otaDataChar;
@@ -48,10 +174,22 @@ export class GeckoBootloaderClient {
 
   /**
    * Create an instance of the GeckoBootloaderClient class.
-   * @param {BluetoothDevice} device - The Bluetooth device to connect to.
+   * @param {BluetoothDevice|GattTransport} device - The Web Bluetooth device to connect to, or a transport such as
+   *   {@link NobleTransport} or {@link SimulatedOtaTarget}.
    */
   constructor(device) {
-    this.#device = device;
+    super();
+
+    this.#disconnectHandlers.add(this.#onDisconnect);
+    this.#setTransport(device);
+  }
+
+  /**
+   * The transport used to access the device.
+   * @type {GattTransport}
+   */
+  get transport() {
+    return this.#transport;
   }
 
   /**
@@ -59,38 +197,25 @@ export class GeckoBootloaderClient {
    * @param {Object} options - Connection options.
    * @param {number} options.timeout - Connection timeout in milliseconds.
    * @throws {Error} If the connection times out or fails.
+   * @throws {DOMException} with name 'NotFoundError' if the device doesn't expose the OTA service or control
+   *   characteristic.
    * @returns {Promise<void>}
    */
   async connect({ timeout = 15000 } = {}) {
-    // Connect to the GATT server
-    await Promise.race([
-      this.#device.gatt.connect(),
-
-      new Promise((_resolve, reject) =>
-        setTimeout(() => {
-          const error = new Error('Connection timed out');
-          error.name = 'TimeoutError';
-          error.code = 'ETIMEDOUT';
-          reject(error);
-        }, timeout),
-      ),
-    ]);
-
-    // Set up characteristics
-    const service = await this.#device.gatt.getPrimaryService(GBL_OTA_SERVICE_UUID);
-    this.#otaControlChar = await service.getCharacteristic(OTA_CONTROL_UUID);
-    this.#otaDataChar = await service.getCharacteristic(OTA_DATA_UUID);
-    this.#appLoaderVersionChar = await service.getCharacteristic(APPLOADER_VERSION_UUID);
-    this.#otaVersionChar = await service.getCharacteristic(OTA_VERSION_UUID);
-    this.#geckoBootloaderVersionChar = await service.getCharacteristic(GECKO_BOOTLOADER_VERSION_UUID);
-    this.#applicationVersionChar = await service.getCharacteristic(APPLICATION_VERSION_UUID);
+    try {
+      await this.#connect({ timeout });
+    } catch (error) {
+      this.#emit('error', { error });
+      throw error;
+    }
   }
 
   /**
    * Disconnect from the GATT server.
    */
   disconnect() {
-    this.#device.gatt.disconnect();
+    this.#disconnectReason = 'requested';
+    this.#transport.disconnect();
   }
 
   /**
@@ -98,7 +223,17 @@ export class GeckoBootloaderClient {
    * @returns {boolean} True if connected, false otherwise.
    */
   get connected() {
-    return this.#device.gatt.connected ?? false;
+    return this.#transport.connected;
+  }
+
+  /**
+   * Whether the device is running AppLoader, and can receive firmware, or an application which must first be rebooted
+   * into AppLoader using {@link rebootToAppLoader}. Detected from the presence of the OTA data characteristic.
+   * @returns {?("apploader" | "application")} The mode, or null if not connected.
+   */
+  get mode() {
+    if (!this.#otaControlChar) return null;
+    return this.#otaDataChar ? 'apploader' : 'application';
   }
 
   /**
@@ -106,7 +241,8 @@ export class GeckoBootloaderClient {
    * @param {Function} handler - The disconnect handler function.
    */
   addDisconnectHandler(handler) {
-    this.#device.addEventListener('gattserverdisconnected', handler);
+    this.#disconnectHandlers.add(handler);
+    this.#transport.addDisconnectHandler(handler);
   }
 
   /**
@@ -114,7 +250,62 @@ export class GeckoBootloaderClient {
    * @param {Function} handler - The disconnect handler function.
    */
   removeDisconnectHandler(handler) {
-    this.#device.removeEventListener('gattserverdisconnected', handler);
+    this.#disconnectHandlers.delete(handler);
+    this.#transport.removeDisconnectHandler(handler);
+  }
+
+  /**
+   * Reboot a device running an application into AppLoader, and reconnect to it.
+   *
+   * Writing START_OTA to the control characteristic of an application makes it reboot into AppLoader, which drops the
+   * connection.
+   * @param {RebootOptions} [options] - Reboot options.
+   * @throws {DOMException} with name 'AbortError' if the reboot is aborted.
+   * @throws {Error} with name 'TimeoutError' if the device doesn't disconnect before the timeout.
+   * @throws {Error} If reconnecting fails, or the device doesn't come back in AppLoader mode.
+   * @returns {Promise<void>}
+   */
+  async rebootToAppLoader({ timeout = 15000, retries = 5, retryDelay = 1000, reconnect, phase, signal } = {}) {
+    // Handle abort signal
+    signal?.throwIfAborted();
+
+    // Trigger the reboot, and wait for the device to drop the connection
+    phase?.('rebooting');
+    this.#disconnectReason = 'reboot';
+    await this.#untilDisconnected(async () => {
+      try {
+        await this.otaControl(GBL_OTA_COMMAND.START_OTA);
+      } catch (error) {
+        // The device may reset before acknowledging the write
+        if (error.name !== 'NetworkError') throw error;
+      }
+    }, timeout).catch((error) => {
+      this.#disconnectReason = null;
+      throw error;
+    });
+    this.#otaControlChar = this.#otaDataChar = null;
+    phase?.('disconnected');
+
+    // Reconnect, possibly to a different device
+    for (let attempt = 1; ; attempt++) {
+      signal?.throwIfAborted();
+      phase?.('reconnecting', { attempt });
+
+      try {
+        await this.#reconnect(reconnect, attempt, timeout);
+        break;
+      } catch (error) {
+        if (attempt > retries) throw error;
+        await sleep(retryDelay, signal);
+      }
+    }
+
+    if (this.mode !== 'apploader') {
+      this.disconnect();
+      throw new Error('Device did not reboot into AppLoader');
+    }
+
+    phase?.('connected');
   }
 
   /**
@@ -123,57 +314,150 @@ export class GeckoBootloaderClient {
    * @returns {Promise<void>}
    */
   async otaControl(command) {
+    if (command === GBL_OTA_COMMAND.CLOSE_CONNECTION) this.#disconnectReason = 'requested';
     await this.#otaControlChar.writeValueWithResponse(Uint8Array.of(command));
   }
 
   /**
    * Flashes a complete firmware image to the device.
+   *
+   * If the connection is lost, the client reconnects and restarts the upload, up to `retries` times. AppLoader can't
+   * resume an interrupted upload, so each attempt uploads the image from the start.
    * @param {ArrayBuffer} data - The firmware data to upload.
    * @param {Object} options - Upload options.
    * @param {boolean} [options.reliable=false] - Whether to use reliable mode, i.e. wait for an acknowledgment after each chunk.
-   * @param {number} [options.wait=10] - Wait time between chunks in milliseconds when not using reliable mode.
-   * @param {number} [options.chunkSize=64] - Size of each chunk in bytes, maximum is 244 bytes.
-   * @param {Function} [options.progress] - Progress callback function.
+   * @param {number|"auto"} [options.wait=10] - Wait time between chunks in milliseconds when not using reliable mode,
+   *   or 'auto' to adapt it to the latency measured on acknowledged writes.
+   * @param {number} [options.ackInterval] - Write every nth chunk with an acknowledgment, to avoid overflowing the
+   *   transmit queue when not using reliable mode. Defaults to 16 with automatic pacing, otherwise 0 (never).
+   * @param {number|"auto"} [options.chunkSize=64] - Size of each chunk in bytes, maximum is 244 bytes, or 'auto' to
+   *   derive it from the negotiated ATT MTU where the transport reports it.
+   * @param {(percent: number, stats: UploadProgress) => void} [options.progress] - Progress callback function.
+   * @param {boolean|RebootOptions} [options.rebootToAppLoader=false] - Whether to reboot a device running an
+   *   application into AppLoader before uploading, optionally with options for {@link rebootToAppLoader}.
+   * @param {number} [options.retries=0] - Number of times the upload is restarted after the connection is lost.
+   * @param {number} [options.retryDelay=1000] - Delay before the first restart in milliseconds, doubled for each
+   *   following restart.
+   * @param {number} [options.chunkRetries=3] - Number of times a chunk write failing with a 'NetworkError' is retried
+   *   while still connected.
+   * @param {number} [options.timeout=15000] - Reconnection timeout in milliseconds.
    * @param {AbortSignal} [options.signal] - Abort signal to cancel the upload.
-   * @throws {DOMException} with name 'AbortError' if the upload is aborted.
+   * @throws {Error} with a `code` from {@link GBL_OTA_ERROR} if the upload fails, the `name` and `cause` of which are
+   *   taken from the underlying error, e.g. 'AbortError' if the upload is aborted.
    * @returns {Promise<void>}
    */
-  async flashFirmware(data, { reliable = false, wait = 10, chunkSize = 64, progress, signal } = {}) {
-    // Handle abort signal
-    signal?.throwIfAborted();
+  async flashFirmware(
+    data,
+    {
+      reliable = false,
+      wait = 10,
+      ackInterval,
+      chunkSize = DEFAULT_CHUNK_SIZE,
+      progress,
+      rebootToAppLoader = false,
+      retries = 0,
+      retryDelay = 1000,
+      chunkRetries = 3,
+      timeout = 15000,
+      signal,
+    } = {},
+  ) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Handle abort signal
+        signal?.throwIfAborted();
 
-    // Start the OTA process
-    await this.otaControl(GBL_OTA_COMMAND.START_OTA);
+        // Reconnect after losing the connection
+        if (attempt > 0 && !this.connected) await this.#connect({ timeout });
 
-    // Write the firmware in chunks
-    const total = data.byteLength;
-    for (let start = 0; start < total; start += chunkSize) {
-      // Handle abort signal
-      signal?.throwIfAborted();
+        // Reboot an application into AppLoader first
+        if (this.mode === 'application') {
+          if (!rebootToAppLoader) throw new Error('Device is running an application, not AppLoader');
+          await this.rebootToAppLoader({ ...(rebootToAppLoader === true ? {} : rebootToAppLoader), signal });
+        }
 
-      // Grab the next chunk
-      const chunk = data.slice(start, start + chunkSize);
+        await this.#upload(data, { reliable, wait, ackInterval, chunkSize, progress, chunkRetries, signal });
+        return;
+      } catch (error) {
+        const code = signal?.aborted ? GBL_OTA_ERROR.ABORTED : this.#classifyError(error);
 
-      // Write the chunk
-      if (reliable) {
-        await this.#otaDataChar.writeValueWithResponse(chunk);
-      } else {
-        await this.#otaDataChar.writeValueWithoutResponse(chunk);
-        await new Promise((r) => setTimeout(r, wait));
-      }
+        // Restart the upload if the connection was lost, including while reconnecting
+        const recoverable =
+          code !== GBL_OTA_ERROR.ABORTED && (code === GBL_OTA_ERROR.DISCONNECTED || (attempt > 0 && !this.connected));
+        if (!recoverable || attempt >= retries) {
+          const otaError = new Error(error.message, { cause: error });
+          otaError.name = error.name;
+          otaError.code = code;
+          this.#emit('error', { error: otaError });
+          throw otaError;
+        }
 
-      // Update progress
-      progress?.((start / total) * 100);
+        await sleep(retryDelay * 2 ** attempt, signal).catch(() => {});
+      }
     }
+  }
+
+  /**
+   * Verify that the device booted the uploaded firmware.
+   *
+   * Asks the device to close the connection if still connected, which makes AppLoader reboot into the new
+   * application, then reconnects and compares the application version with the one in the image. The application must
+   * expose the OTA service, including the application version characteristic.
+   * @param {import('./GeckoBootloaderImage.js').GeckoBootloaderImage} image - The uploaded image.
+   * @param {Object} [options] - Verification options.
+   * @param {number} [options.timeout=60000] - Time to wait for the device to reboot and reconnect in milliseconds.
+   * @param {number} [options.retryDelay=1000] - Delay between reconnection attempts in milliseconds.
+   * @param {(info: {attempt: number}) => Promise<BluetoothDevice|GattTransport|undefined>} [options.reconnect] -
+   *   Called before each reconnection attempt, may return a different device or transport to connect to.
+   * @param {AbortSignal} [options.signal] - Abort signal to cancel the verification.
+   * @throws {Error} If the image has no application tag.
+   * @throws {DOMException} with name 'AbortError' if the verification is aborted.
+   * @returns {Promise<{status: ("success" | "rollback" | "timeout"), expected: number, actual: ?number}>} The result,
+   *   'rollback' if the device runs a different version than the image, and 'timeout' if it couldn't be reconnected.
+   */
+  async verifyUpdate(image, { timeout = 60000, retryDelay = 1000, reconnect, signal } = {}) {
+    const expected = image.application?.version;
+    if (expected === undefined) throw new Error('Image has no application tag');
 
     // Handle abort signal
     signal?.throwIfAborted();
 
-    // Finish the OTA process
-    await this.otaControl(GBL_OTA_COMMAND.FINISH_OTA);
+    // Make the device reboot, if it hasn't already
+    const deadline = performance.now() + timeout;
+    if (this.connected) {
+      try {
+        await this.#untilDisconnected(async () => {
+          try {
+            await this.otaControl(GBL_OTA_COMMAND.CLOSE_CONNECTION);
+          } catch (error) {
+            // The device may reset before acknowledging the write
+            if (error.name !== 'NetworkError') throw error;
+          }
+        }, timeout);
+      } catch (error) {
+        this.#disconnectReason = null;
+        if (error.name === 'TimeoutError') return { status: 'timeout', expected, actual: null };
+        throw error;
+      }
+    }
 
-    // Always report 100% progress at the end
-    progress?.(100);
+    // Reconnect once the device has rebooted
+    for (let attempt = 1; ; attempt++) {
+      signal?.throwIfAborted();
+
+      const remaining = deadline - performance.now();
+      if (remaining <= 0) return { status: 'timeout', expected, actual: null };
+
+      try {
+        await this.#reconnect(reconnect, attempt, remaining);
+        break;
+      } catch {
+        await sleep(Math.min(retryDelay, Math.max(0, deadline - performance.now())), signal);
+      }
+    }
+
+    const actual = await this.getApplicationVersion();
+    return { status: actual === expected ? 'success' : 'rollback', expected, actual };
   }
 
   /**
@@ -181,7 +465,7 @@ export class GeckoBootloaderClient {
    * @returns {Promise<number>} The OTA protocol version.
    */
   async getOtaVersion() {
-    return (await this.#otaVersionChar.readValue()).getUint8(0);
+    return (await this.#read(this.#otaVersionChar, 'OTA version')).getUint8(0);
   }
 
   /**
@@ -189,7 +473,7 @@ export class GeckoBootloaderClient {
    * @returns {Promise<{major: number, minor: number, patch: number, build: number}>} The AppLoader version.
    */
   async getAppLoaderVersion() {
-    const version = await this.#appLoaderVersionChar.readValue();
+    const version = await this.#read(this.#appLoaderVersionChar, 'AppLoader version');
     return {
       major: version.getUint16(0, true),
       minor: version.getUint16(2, true),
@@ -203,7 +487,7 @@ export class GeckoBootloaderClient {
    * @returns {Promise<{major: number, minor: number, customer: number}>} The Gecko Bootloader version.
    */
   async getGeckoBootloaderVersion() {
-    const version = await this.#geckoBootloaderVersionChar.readValue();
+    const version = await this.#read(this.#geckoBootloaderVersionChar, 'Gecko Bootloader version');
     return {
       major: version.getUint8(3),
       minor: version.getUint8(2),
@@ -216,6 +500,166 @@ export class GeckoBootloaderClient {
    * @returns {Promise<number>} The application version.
    */
   async getApplicationVersion() {
-    return (await this.#applicationVersionChar.readValue()).getUint32(0, true);
+    return (await this.#read(this.#applicationVersionChar, 'application version')).getUint32(0, true);
+  }
+
+  async #upload(data, { reliable, wait, ackInterval, chunkSize, progress, chunkRetries, signal }) {
+    const adaptive = wait === 'auto';
+    let delay = adaptive ? AUTO_WAIT_INITIAL : wait;
+    let minLatency = Number.POSITIVE_INFINITY;
+
+    if (chunkSize === 'auto') chunkSize = this.#autoChunkSize();
+    ackInterval ??= adaptive ? AUTO_ACK_INTERVAL : 0;
+
+    // Start the OTA process
+    await this.otaControl(GBL_OTA_COMMAND.START_OTA);
+
+    // Write the firmware in chunks
+    const total = data.byteLength;
+    const startTime = performance.now();
+    this.#emit('ota-started', { total, chunkSize });
+    for (let start = 0, index = 1; start < total; start += chunkSize, index++) {
+      // Handle abort signal
+      signal?.throwIfAborted();
+
+      // Grab the next chunk
+      const chunk = data.slice(start, start + chunkSize);
+      const acknowledged = reliable || (ackInterval > 0 && index % ackInterval === 0);
+
+      // Write the chunk, retrying transient failures
+      for (let attempt = 0; ; attempt++) {
+        try {
+          if (acknowledged) {
+            const writeStart = performance.now();
+            await this.#otaDataChar.writeValueWithResponse(chunk);
+
+            // Slow down when acknowledgments queue up behind unacknowledged writes, speed up otherwise
+            if (adaptive) {
+              const latency = performance.now() - writeStart;
+              minLatency = Math.min(minLatency, latency);
+              delay = latency > 2 * minLatency ? Math.min(delay * 2 + 1, AUTO_WAIT_MAX) : delay * 0.75;
+            }
+          } else {
+            await this.#otaDataChar.writeValueWithoutResponse(chunk);
+            await new Promise((r) => setTimeout(r, delay));
+          }
+          break;
+        } catch (error) {
+          if (error.name !== 'NetworkError' || !this.connected || attempt >= chunkRetries) throw error;
+          if (adaptive) delay = Math.min(delay * 2 + 1, AUTO_WAIT_MAX);
+          await new Promise((r) => setTimeout(r, delay));
+        }
+      }
+
+      // Update progress
+      const stats = uploadProgress(start + chunk.byteLength, total, performance.now() - startTime);
+      this.#emit('chunk-written', stats);
+      progress?.((start / total) * 100, stats);
+    }
+
+    // Handle abort signal
+    signal?.throwIfAborted();
+
+    // Finish the OTA process
+    await this.otaControl(GBL_OTA_COMMAND.FINISH_OTA);
+    this.#emit('ota-finished', { total, duration: performance.now() - startTime });
+
+    // Always report 100% progress at the end
+    progress?.(100, uploadProgress(total, total, performance.now() - startTime));
+  }
+
+  #autoChunkSize() {
+    const mtu = this.#transport.mtu;
+    if (!mtu) return DEFAULT_CHUNK_SIZE;
+
+    // Leave room for the 3 byte ATT write header, and keep chunks word-aligned
+    return Math.min(MAX_CHUNK_SIZE, (mtu - 3) & ~3);
+  }
+
+  #classifyError(error) {
+    if (error.name === 'AbortError') return GBL_OTA_ERROR.ABORTED;
+    if (error.name === 'TimeoutError') return GBL_OTA_ERROR.TIMEOUT;
+    if (error.name === 'NetworkError' || !this.connected) return GBL_OTA_ERROR.DISCONNECTED;
+    return GBL_OTA_ERROR.REJECTED;
+  }
+
+  async #reconnect(reconnect, attempt, timeout) {
+    const device = await reconnect?.({ attempt });
+    if (device) this.#setTransport(device);
+
+    await this.#connect({ timeout });
+  }
+
+  async #connect({ timeout }) {
+    // Connect to the GATT server
+    this.#emit('connecting', { timeout });
+    await this.#transport.connect({ timeout });
+    this.#emit('connected', {});
+
+    // Set up characteristics, only the control characteristic is exposed by applications supporting OTA
+    const characteristic = (uuid) => this.#transport.getCharacteristic(GBL_OTA_SERVICE_UUID, uuid);
+    const optional = (uuid) =>
+      characteristic(uuid).catch((error) => {
+        if (error.name === 'NotFoundError') return null;
+        throw error;
+      });
+
+    this.#otaControlChar = await characteristic(GBL_OTA_CHARACTERISTIC_UUID.OTA_CONTROL);
+    this.#otaDataChar = await optional(GBL_OTA_CHARACTERISTIC_UUID.OTA_DATA);
+    this.#appLoaderVersionChar = await optional(GBL_OTA_CHARACTERISTIC_UUID.APPLOADER_VERSION);
+    this.#otaVersionChar = await optional(GBL_OTA_CHARACTERISTIC_UUID.OTA_VERSION);
+    this.#geckoBootloaderVersionChar = await optional(GBL_OTA_CHARACTERISTIC_UUID.GECKO_BOOTLOADER_VERSION);
+    this.#applicationVersionChar = await optional(GBL_OTA_CHARACTERISTIC_UUID.APPLICATION_VERSION);
+    this.#emit('service-discovered', { mode: this.mode });
+  }
+
+  #setTransport(device) {
+    const transport = device.gatt ? new WebBluetoothTransport(device) : device;
+
+    // Move disconnect handlers to the new transport
+    for (const handler of this.#disconnectHandlers) {
+      this.#transport?.removeDisconnectHandler(handler);
+      transport.addDisconnectHandler(handler);
+    }
+
+    this.#transport = transport;
+  }
+
+  async #untilDisconnected(action, timeout) {
+    const transport = this.#transport;
+
+    let handler;
+    let timer;
+    const disconnected = new Promise((resolve, reject) => {
+      handler = resolve;
+      timer = setTimeout(() => reject(timeoutError('Timed out waiting for the device to disconnect')), timeout);
+    });
+
+    transport.addDisconnectHandler(handler);
+    try {
+      await action();
+      if (transport.connected) await disconnected;
+    } finally {
+      clearTimeout(timer);
+      transport.removeDisconnectHandler(handler);
+    }
+  }
+
+  #onDisconnect = () => {
+    const reason = this.#disconnectReason ?? 'connection-lost';
+    this.#disconnectReason = null;
+    this.#emit('disconnected', { reason });
+  };
+
+  #emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  async #read(characteristic, name) {
+    if (!characteristic) {
+      throw new DOMException(`The device doesn't expose the ${name} characteristic`, 'NotFoundError');
+    }
+
+    return characteristic.readValue();
   }
 }
@@ -7,25 +7,67 @@
  * https://docs.silabs.com/mcu-bootloader/latest/bootloader-user-guide-gsdk-4/02-gecko-bootloader-file-format
  */
 
+import { aesCcmCrypt } from './aesccm.js';
+import { crc32 } from './crc32.js';
+import { verifyEcdsa } from './ecdsa.js';
+import { concat, encodeTag, uint32s } from './encoding.js';
+import { lz4Decompress } from './lz4.js';
+import { lzmaDecompress } from './lzma.js';
+
 // GBL format version
-const GBL_VERSION = 0x03000000;
+export const GBL_VERSION = 0x03000000;
 
 // Tag IDs
-const GBL_TAG_ID_HEADER_V3 = 0x03a617eb;
-const GBL_TAG_ID_BOOTLOADER = 0xf50909f5;
-const GBL_TAG_ID_APPLICATION = 0xf40a0af4;
-const GBL_TAG_ID_METADATA = 0xf60808f6;
-const GBL_TAG_ID_PROG = 0xfe0101fe;
-const GBL_TAG_ID_PROG_LZ4 = 0xfd0505fd;
-const GBL_TAG_ID_PROG_LZMA = 0xfd0707fd;
-const GBL_TAG_ID_ERASEPROG = 0xfd0303fd;
-const GBL_TAG_ID_END = 0xfc0404fc;
-const GBL_TAG_ID_SE_UPGRADE = 0x5ea617eb;
-const GBL_TAG_ID_VERSION_DEPENDENCY = 0x76a617eb;
-const GBL_TAG_ID_ENC_INIT = 0xfa0606fa;
-const GBL_TAG_ID_ENC_GBL_DATA = 0xf90707f9;
-const GBL_TAG_ID_CERTIFICATE = 0xf30b0bf3;
-const GBL_TAG_ID_SIGNATURE = 0xf70a0af7;
+export const GBL_TAG_ID_HEADER_V3 = 0x03a617eb;
+export const GBL_TAG_ID_BOOTLOADER = 0xf50909f5;
+export const GBL_TAG_ID_APPLICATION = 0xf40a0af4;
+export const GBL_TAG_ID_METADATA = 0xf60808f6;
+export const GBL_TAG_ID_PROG = 0xfe0101fe;
+export const GBL_TAG_ID_PROG_LZ4 = 0xfd0505fd;
+export const GBL_TAG_ID_PROG_LZMA = 0xfd0707fd;
+export const GBL_TAG_ID_ERASEPROG = 0xfd0303fd;
+export const GBL_TAG_ID_END = 0xfc0404fc;
+export const GBL_TAG_ID_SE_UPGRADE = 0x5ea617eb;
+export const GBL_TAG_ID_VERSION_DEPENDENCY = 0x76a617eb;
+export const GBL_TAG_ID_ENC_INIT = 0xfa0606fa;
+export const GBL_TAG_ID_ENC_GBL_DATA = 0xf90707f9;
+export const GBL_TAG_ID_CERTIFICATE = 0xf30b0bf3;
+export const GBL_TAG_ID_SIGNATURE = 0xf70a0af7;
+
+// Tag descriptions: name, exact or minimum payload length, whether the tag may only appear once,
+// and position in the tag order given by the specification
+const GBL_TAGS = {
+  [GBL_TAG_ID_HEADER_V3]: { name: 'header', length: 8, singleton: true, order: 0 },
+  [GBL_TAG_ID_VERSION_DEPENDENCY]: { name: 'versionDependency', length: 8, singleton: true, order: 1 },
+  [GBL_TAG_ID_ENC_INIT]: { name: 'encryptionInit', length: 16, singleton: true, order: 2 },
+  [GBL_TAG_ID_ENC_GBL_DATA]: { name: 'encryptionData', minLength: 0, order: 3 },
+  [GBL_TAG_ID_APPLICATION]: { name: 'application', length: 28, singleton: true, order: 2 },
+  [GBL_TAG_ID_SE_UPGRADE]: { name: 'seUpgrade', minLength: 8, singleton: true, order: 3 },
+  [GBL_TAG_ID_BOOTLOADER]: { name: 'bootloader', minLength: 8, singleton: true, order: 4 },
+  [GBL_TAG_ID_METADATA]: { name: 'metadata', minLength: 0, order: 5 },
+  [GBL_TAG_ID_PROG]: { name: 'prog', minLength: 4, order: 6 },
+  [GBL_TAG_ID_PROG_LZ4]: { name: 'progLz4', minLength: 4, order: 6 },
+  [GBL_TAG_ID_PROG_LZMA]: { name: 'progLzma', minLength: 4, order: 6 },
+  [GBL_TAG_ID_ERASEPROG]: { name: 'eraseProg', minLength: 4, order: 6 },
+  [GBL_TAG_ID_CERTIFICATE]: { name: 'certificate', length: 136, singleton: true, order: 7 },
+  [GBL_TAG_ID_SIGNATURE]: { name: 'signature', length: 64, singleton: true, order: 8 },
+  [GBL_TAG_ID_END]: { name: 'end', length: 4, singleton: true, order: 9 },
+};
+
+// Tags that must be in their specified position for the image to be accepted
+const GBL_STRUCTURAL_TAGS = [GBL_TAG_ID_HEADER_V3, GBL_TAG_ID_CERTIFICATE, GBL_TAG_ID_SIGNATURE, GBL_TAG_ID_END];
+
+// Tags that are encrypted in an encrypted image
+const GBL_CONTENT_TAGS = [
+  GBL_TAG_ID_APPLICATION,
+  GBL_TAG_ID_SE_UPGRADE,
+  GBL_TAG_ID_BOOTLOADER,
+  GBL_TAG_ID_METADATA,
+  GBL_TAG_ID_PROG,
+  GBL_TAG_ID_PROG_LZ4,
+  GBL_TAG_ID_PROG_LZMA,
+  GBL_TAG_ID_ERASEPROG,
+];
 
 /**
  * Type flags for the header tag indicating whether the file is encrypted and/or signed
@@ -36,6 +78,45 @@ export const GBL_TYPE = {
   SIGNATURE_ECDSA: 1 << 8,
 };
 
+/**
+ * Diagnostic codes reported by {@link GeckoBootloaderImage#validate}
+ * @enum {string}
+ */
+export const GBL_DIAGNOSTIC = {
+  /** The image does not start with a header tag */
+  MISSING_HEADER: 'missing-header',
+
+  /** The header declares an unsupported GBL format version */
+  UNSUPPORTED_VERSION: 'unsupported-version',
+
+  /** The image has no end tag */
+  MISSING_END: 'missing-end',
+
+  /** A tag appears out of the order given by the specification */
+  TAG_ORDER: 'tag-order',
+
+  /** A tag that may only appear once appears more than once */
+  DUPLICATE_TAG: 'duplicate-tag',
+
+  /** A tag extends past the end of the image */
+  TAG_OVERRUN: 'tag-overrun',
+
+  /** A tag has an invalid length for its type */
+  INVALID_TAG_LENGTH: 'invalid-tag-length',
+
+  /** A tag ID is not recognized */
+  UNKNOWN_TAG: 'unknown-tag',
+
+  /** The CRC32 in the end tag does not match the image contents */
+  CRC_MISMATCH: 'crc-mismatch',
+
+  /** There is data following the end tag */
+  TRAILING_DATA: 'trailing-data',
+
+  /** The header type flags are inconsistent with the tags present */
+  FLAG_MISMATCH: 'flag-mismatch',
+};
+
 /**
  * Type flags for the application info tag
  * @enum {number}
@@ -113,6 +194,7 @@ export class GeckoBootloaderImage {
    * @property {number} flashStartAddress - Address to start flashing.
    * @property {Uint8Array} data - Data to flash.
    * @property {"lz4" | "lzma"} [compression] - Compression algorithm used.
+   * @property {boolean} [erase] - Whether the flash is erased before programming (ERASEPROG tag).
    */
 
   /**
@@ -203,6 +285,22 @@ export class GeckoBootloaderImage {
    */
   crc32 = null;
 
+  /**
+   * Raw tag, as found in the image file.
+   * @typedef {Object} GblTag
+   * @property {number} id - Tag ID.
+   * @property {string} name - Tag name, or "unknown" for tags not recognized by this parser.
+   * @property {number} offset - Offset of the tag header in the image.
+   * @property {number} length - Length of the tag payload in bytes.
+   * @property {Uint8Array} raw - Tag payload, excluding the tag header.
+   */
+
+  /**
+   * Array of all tags in the image, in file order, including unknown tags.
+   * @type {GblTag[]}
+   */
+  tags = [];
+
   /**
    * Creates an instance of the GeckoBootloaderImage class.
    * @param {ArrayBuffer} buffer - The GBL image file buffer.
@@ -222,10 +320,21 @@ export class GeckoBootloaderImage {
     let offset = 0;
     while (offset < this.#buffer.byteLength) {
       // Read tag header
+      if (offset + 8 > this.#buffer.byteLength) throw new Error('Truncated tag header');
       const tagType = this.#dataView.getUint32(offset, true);
       const tagLength = this.#dataView.getUint32(offset + 4, true);
       offset += 8;
 
+      if (offset + tagLength > this.#buffer.byteLength) throw new Error('Tag length exceeds image size');
+
+      this.tags.push({
+        id: tagType,
+        name: GBL_TAGS[tagType]?.name ?? 'unknown',
+        offset: offset - 8,
+        length: tagLength,
+        raw: new Uint8Array(this.#buffer, offset, tagLength),
+      });
+
       // Parse tag content
       if (tagType === GBL_TAG_ID_HEADER_V3) {
         this.header = this.#parseHeaderTag(offset, tagLength);
@@ -242,7 +351,7 @@ export class GeckoBootloaderImage {
       } else if (tagType === GBL_TAG_ID_PROG_LZMA) {
         this.prog.push(this.#parseProgTag(offset, tagLength, 'lzma'));
       } else if (tagType === GBL_TAG_ID_ERASEPROG) {
-        this.prog.push(this.#parseProgTag(offset, tagLength));
+        this.prog.push(this.#parseProgTag(offset, tagLength, undefined, true));
       } else if (tagType === GBL_TAG_ID_END) {
         this.crc32 = this.#parseEndTag(offset, tagLength);
       } else if (tagType === GBL_TAG_ID_SE_UPGRADE) {
@@ -268,23 +377,114 @@ export class GeckoBootloaderImage {
     this.#eof = offset;
   }
 
+  /**
+   * Size of the image in bytes, up to and including the end tag once parsed.
+   * @type {number}
+   */
+  get size() {
+    return this.#eof ?? this.#buffer.byteLength;
+  }
+
   /**
    * Calculate the CRC32 checksum of the GBL image.
    * @returns {number} The CRC32 checksum.
    */
   calculateCRC32() {
-    const buf = new Uint8Array(this.#buffer, 0, this.#eof - 4);
-    let crc = 0xffffffff;
-
-    for (let i = 0; i < buf.length; i++) {
-      const byte = buf[i];
-      crc ^= byte;
-      for (let j = 0; j < 8; j++) {
-        crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
-      }
+    return crc32(new Uint8Array(this.#buffer, 0, this.#eof - 4));
+  }
+
+  /**
+   * Decrypt an AES-CCM encrypted image.
+   *
+   * The decrypted tags are combined with the header and version dependency tags into a new, unencrypted image. Any
+   * signature applies to the encrypted image, so the certificate and signature tags are not included.
+   * @param {Uint8Array|ArrayBuffer|CryptoKey} key - The 128-bit AES key, raw or as an AES-CTR CryptoKey.
+   * @returns {Promise<GeckoBootloaderImage>} The decrypted image.
+   * @throws {Error} If the image is not encrypted, the encrypted data is malformed, or the decrypted data is not a valid
+   *   image, usually because the key is wrong.
+   */
+  async decrypt(key) {
+    if (!this.header || !this.encryptionInit) throw new Error('Image is not encrypted');
+
+    const ciphertext = concat(this.encryptionData);
+    if (ciphertext.length !== this.encryptionInit.msgLen) {
+      throw new Error('Encrypted data length does not match message length');
     }
 
-    return (crc ^ 0xffffffff) >>> 0;
+    const plaintext = await aesCcmCrypt(key, this.encryptionInit.nonce, ciphertext);
+
+    const typeFlags = this.header.typeFlags & ~(GBL_TYPE.ENCRYPTION_AESCCM | GBL_TYPE.SIGNATURE_ECDSA);
+    const tags = [encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(this.header.version, typeFlags))];
+
+    if (this.versionDependency) {
+      const { imageType, statement, version } = this.versionDependency;
+      tags.push(encodeTag(GBL_TAG_ID_VERSION_DEPENDENCY, Uint8Array.of(imageType, statement, 0, 0), uint32s(version)));
+    }
+
+    const bytes = concat([...tags, plaintext, encodeTag(GBL_TAG_ID_END, new Uint8Array(4))]);
+    new DataView(bytes.buffer).setUint32(bytes.length - 4, crc32(bytes.subarray(0, -4)), true);
+
+    // AES-CTR decrypts with any key, so a wrong key only shows as malformed tags
+    try {
+      return new GeckoBootloaderImage(bytes.buffer);
+    } catch (error) {
+      throw new Error('Decrypted data is not a valid image, the decryption key is probably wrong', { cause: error });
+    }
+  }
+
+  /**
+   * Verify the image signature.
+   *
+   * The signature is an ECDSA secp256r1 signature over the SHA-256 hash of the image up to, but not including, the
+   * signature tag.
+   * @param {import('./ecdsa.js').EcdsaPublicKey} publicKey - The public key to verify against.
+   * @returns {Promise<boolean>} True if the image is signed and the signature is valid, false otherwise.
+   */
+  async verifySignature(publicKey) {
+    if (!this.signature) return false;
+
+    const { offset } = this.tags.find((tag) => tag.id === GBL_TAG_ID_SIGNATURE);
+    const signed = new Uint8Array(this.#buffer, 0, offset);
+    return verifyEcdsa(publicKey, this.signature.r, this.signature.s, signed);
+  }
+
+  /**
+   * Verify that the embedded certificate was signed by a root key.
+   * @param {import('./ecdsa.js').EcdsaPublicKey} rootKey - The root public key.
+   * @returns {Promise<boolean>} True if the image has a certificate and its signature is valid, false otherwise.
+   */
+  async verifyCertificate(rootKey) {
+    if (!this.certificate) return false;
+
+    // The certificate signature covers all certificate fields preceding it
+    const { signature } = this.certificate;
+    const { raw } = this.tags.find((tag) => tag.id === GBL_TAG_ID_CERTIFICATE);
+    const signed = raw.subarray(0, 72);
+    return verifyEcdsa(rootKey, signature.subarray(0, 32), signature.subarray(32), signed);
+  }
+
+  /**
+   * Verify the certificate chain: the embedded certificate must be signed by the root key, and the image must be
+   * signed by the key in the certificate.
+   * @param {import('./ecdsa.js').EcdsaPublicKey} rootKey - The root public key.
+   * @returns {Promise<boolean>} True if both the certificate and image signature are valid, false otherwise.
+   */
+  async verifyCertificateChain(rootKey) {
+    return (await this.verifyCertificate(rootKey)) && this.verifySignature(this.certificate.key);
+  }
+
+  /**
+   * Get the flash program sections with any compressed data decompressed.
+   * @returns {GblProg[]} Array of flash program sections, in the same order as {@link GeckoBootloaderImage#prog}.
+   * @throws {Error} If compressed data is malformed.
+   */
+  decompressProg() {
+    return this.prog.map(({ flashStartAddress, data, compression, erase }) => {
+      if (compression === 'lz4') data = lz4Decompress(data);
+      if (compression === 'lzma') data = lzmaDecompress(data);
+
+      return { flashStartAddress, data, erase };
+    });
   }
 
   /**
@@ -295,6 +495,148 @@ export class GeckoBootloaderImage {
     return this.header?.version === GBL_VERSION && this.crc32 === this.calculateCRC32();
   }
 
+  /**
+   * Validation diagnostic.
+   * @typedef {Object} GblDiagnostic
+   * @property {"error" | "warning"} severity - Errors cause the image to be rejected by the bootloader.
+   * @property {GBL_DIAGNOSTIC} code - Diagnostic code.
+   * @property {string} message - Human readable description.
+   * @property {number} offset - Offset in the image the diagnostic applies to.
+   * @property {number} [tagId] - ID of the tag the diagnostic applies to.
+   */
+
+  /**
+   * Validates the structure of the GBL image, reporting every problem found.
+   *
+   * Unlike {@link GeckoBootloaderImage#parse}, this never throws, so it can be used on images which fail to parse.
+   * @returns {GblDiagnostic[]} Diagnostics, in the order of the offsets they apply to. Empty if the image is valid.
+   */
+  validate() {
+    const diagnostics = [];
+    const report = (severity, code, message, offset, tagId) => {
+      diagnostics.push({ severity, code, message, offset, ...(tagId !== undefined && { tagId }) });
+    };
+    const hex = (n) => `0x${n.toString(16).padStart(8, '0')}`;
+
+    const size = this.#buffer.byteLength;
+    const seen = new Set();
+    let maxOrder = { order: -1 };
+    let header = null;
+    let endOffset = null;
+    let endLength = null;
+    let offset = 0;
+
+    while (offset < size) {
+      if (offset + 8 > size) {
+        report('error', GBL_DIAGNOSTIC.TAG_OVERRUN, 'Truncated tag header', offset);
+        break;
+      }
+
+      const tagId = this.#dataView.getUint32(offset, true);
+      const length = this.#dataView.getUint32(offset + 4, true);
+      const tag = GBL_TAGS[tagId];
+      const name = tag?.name ?? hex(tagId);
+
+      if (offset === 0 && tagId !== GBL_TAG_ID_HEADER_V3) {
+        report('error', GBL_DIAGNOSTIC.MISSING_HEADER, 'Image does not start with a header tag', offset, tagId);
+      }
+
+      if (offset + 8 + length > size) {
+        report('error', GBL_DIAGNOSTIC.TAG_OVERRUN, `Tag ${name} extends past the end of the image`, offset, tagId);
+        break;
+      }
+
+      if (!tag) {
+        report('warning', GBL_DIAGNOSTIC.UNKNOWN_TAG, `Unknown tag ${name}`, offset, tagId);
+      } else {
+        if ((tag.length !== undefined && length !== tag.length) || length < (tag.minLength ?? 0)) {
+          report('error', GBL_DIAGNOSTIC.INVALID_TAG_LENGTH, `Invalid ${name} tag length ${length}`, offset, tagId);
+        }
+
+        if (tag.singleton && seen.has(tagId)) {
+          report('error', GBL_DIAGNOSTIC.DUPLICATE_TAG, `Duplicate ${name} tag`, offset, tagId);
+        }
+
+        if (tag.order < maxOrder.order) {
+          const structural = GBL_STRUCTURAL_TAGS.includes(tagId) || GBL_STRUCTURAL_TAGS.includes(maxOrder.tagId);
+          const message = `Tag ${name} must precede ${GBL_TAGS[maxOrder.tagId].name} tag`;
+          report(structural ? 'error' : 'warning', GBL_DIAGNOSTIC.TAG_ORDER, message, offset, tagId);
+        } else {
+          maxOrder = { order: tag.order, tagId };
+        }
+
+        seen.add(tagId);
+      }
+
+      if (tagId === GBL_TAG_ID_HEADER_V3 && length === 8 && !header) {
+        header = {
+          version: this.#dataView.getUint32(offset + 8, true),
+          typeFlags: this.#dataView.getUint32(offset + 12, true),
+        };
+        if (header.version !== GBL_VERSION) {
+          const message = `Unsupported GBL version ${hex(header.version)}`;
+          report('error', GBL_DIAGNOSTIC.UNSUPPORTED_VERSION, message, offset, tagId);
+        }
+      }
+
+      offset += 8 + length;
+
+      if (tagId === GBL_TAG_ID_END) {
+        endOffset = offset;
+        endLength = length;
+        break;
+      }
+    }
+
+    if (size === 0) {
+      report('error', GBL_DIAGNOSTIC.MISSING_HEADER, 'Image is empty', 0);
+    }
+
+    if (endOffset === null) {
+      report('error', GBL_DIAGNOSTIC.MISSING_END, 'Image has no end tag', offset);
+    } else {
+      // The CRC32 covers everything up to the checksum itself
+      if (endLength === 4) {
+        const expected = this.#dataView.getUint32(endOffset - 4, true);
+        const actual = crc32(new Uint8Array(this.#buffer, 0, endOffset - 4));
+        if (expected !== actual) {
+          const message = `CRC32 mismatch, expected ${hex(expected)} but calculated ${hex(actual)}`;
+          report('error', GBL_DIAGNOSTIC.CRC_MISMATCH, message, endOffset - 12, GBL_TAG_ID_END);
+        }
+      }
+
+      if (endOffset < size) {
+        const message = `${size - endOffset} bytes of data following the end tag`;
+        report('warning', GBL_DIAGNOSTIC.TRAILING_DATA, message, endOffset);
+      }
+    }
+
+    if (header) {
+      const checkFlag = (flag, hasTag, description) => {
+        const flagSet = (header.typeFlags & flag) !== 0;
+        if (flagSet && !hasTag) {
+          report('error', GBL_DIAGNOSTIC.FLAG_MISMATCH, `Header is flagged ${description}, but tags are missing`, 0);
+        } else if (!flagSet && hasTag) {
+          report(
+            'error',
+            GBL_DIAGNOSTIC.FLAG_MISMATCH,
+            `Header is not flagged ${description}, but tags are present`,
+            0,
+          );
+        }
+      };
+
+      checkFlag(GBL_TYPE.ENCRYPTION_AESCCM, seen.has(GBL_TAG_ID_ENC_INIT), 'encrypted');
+      checkFlag(GBL_TYPE.SIGNATURE_ECDSA, seen.has(GBL_TAG_ID_SIGNATURE), 'signed');
+
+      if (seen.has(GBL_TAG_ID_ENC_INIT) && GBL_CONTENT_TAGS.some((id) => seen.has(id))) {
+        report('error', GBL_DIAGNOSTIC.FLAG_MISMATCH, 'Encrypted image contains unencrypted content tags', 0);
+      }
+    }
+
+    return diagnostics.sort((a, b) => a.offset - b.offset);
+  }
+
   #parseHeaderTag(offset, length) {
     if (length !== 8) throw new Error('Invalid header tag length');
 
@@ -333,13 +675,14 @@ export class GeckoBootloaderImage {
     return new Uint8Array(this.#buffer, offset, length);
   }
 
-  #parseProgTag(offset, length, compression = undefined) {
+  #parseProgTag(offset, length, compression = undefined, erase = undefined) {
     if (length < 4) throw new Error('Invalid program data tag length');
 
     return {
       flashStartAddress: this.#dataView.getUint32(offset, true),
       data: new Uint8Array(this.#buffer, offset + 4, length - 4),
       compression,
+      erase,
     };
   }
 
@@ -0,0 +1,524 @@
+/**
+ * Gecko Bootloader Image Builder
+ *
+ * Constructs Gecko Bootloader (GBL) image files, either from scratch or from a parsed image.
+ *
+ * See specifications here:
+ * https://docs.silabs.com/mcu-bootloader/latest/bootloader-user-guide-gsdk-4/02-gecko-bootloader-file-format
+ */
+
+import { aesCcmCrypt } from './aesccm.js';
+import { crc32 } from './crc32.js';
+import { signEcdsa } from './ecdsa.js';
+import { concat, encodeTag, uint32s } from './encoding.js';
+import { FlashImage } from './FlashImage.js';
+import {
+  GBL_TAG_ID_APPLICATION,
+  GBL_TAG_ID_BOOTLOADER,
+  GBL_TAG_ID_CERTIFICATE,
+  GBL_TAG_ID_ENC_GBL_DATA,
+  GBL_TAG_ID_ENC_INIT,
+  GBL_TAG_ID_END,
+  GBL_TAG_ID_ERASEPROG,
+  GBL_TAG_ID_HEADER_V3,
+  GBL_TAG_ID_METADATA,
+  GBL_TAG_ID_PROG,
+  GBL_TAG_ID_PROG_LZ4,
+  GBL_TAG_ID_PROG_LZMA,
+  GBL_TAG_ID_SE_UPGRADE,
+  GBL_TAG_ID_SIGNATURE,
+  GBL_TAG_ID_VERSION_DEPENDENCY,
+  GBL_TYPE,
+  GBL_VERSION,
+} from './GeckoBootloaderImage.js';
+import { lz4Compress } from './lz4.js';
+import { lzmaCompress } from './lzma.js';
+import { encodeBootloaderVersion } from './versionDependency.js';
+
+/**
+ * Get the ID of an encoded tag.
+ * @param {Uint8Array} tag - The encoded tag.
+ * @returns {number} The tag ID.
+ */
+function tagId(tag) {
+  return new DataView(tag.buffer, tag.byteOffset, 4).getUint32(0, true);
+}
+
+/**
+ * Gecko Bootloader Image Builder class
+ * Constructs a Gecko Bootloader (GBL) image file.
+ *
+ * Fields mirror those of {@link GeckoBootloaderImage}, so a parsed image can be edited and serialized again.
+ */
+export class GeckoBootloaderImageBuilder {
+  /**
+   * GBL header. The type flags are combined with flags implied by the tags present when building.
+   * @type {import('./GeckoBootloaderImage.js').GblHeader}
+   */
+  header = { version: GBL_VERSION, typeFlags: 0 };
+
+  /**
+   * Bootloader upgrade information and data.
+   * @type {?import('./GeckoBootloaderImage.js').GblBootloader}
+   */
+  bootloader = null;
+
+  /**
+   * Application information.
+   * @type {?import('./GeckoBootloaderImage.js').GblApplication}
+   */
+  application = null;
+
+  /**
+   * Array of metadata sections.
+   * @type {Uint8Array[]}
+   */
+  metadata = [];
+
+  /**
+   * Array of flash program sections.
+   * @type {import('./GeckoBootloaderImage.js').GblProg[]}
+   */
+  prog = [];
+
+  /**
+   * SE upgrade information and data.
+   * @type {?import('./GeckoBootloaderImage.js').GblSeUpgrade}
+   */
+  seUpgrade = null;
+
+  /**
+   * Version dependency information.
+   * @type {?import('./GeckoBootloaderImage.js').VersionDependency}
+   */
+  versionDependency = null;
+
+  /**
+   * Encryption initialization data.
+   * @type {?import('./GeckoBootloaderImage.js').GblEncryptionInitAesCcm}
+   */
+  encryptionInit = null;
+
+  /**
+   * Array of encryption data sections.
+   * @type {Uint8Array[]}
+   */
+  encryptionData = [];
+
+  /**
+   * Certificate information.
+   * @type {?import('./GeckoBootloaderImage.js').GblCertificateEcdsaP256}
+   */
+  certificate = null;
+
+  /**
+   * Signature information.
+   * @type {?import('./GeckoBootloaderImage.js').GblSignatureEcdsaP256}
+   */
+  signature = null;
+
+  /**
+   * Tag not otherwise supported by the builder, such as vendor specific tags.
+   * @typedef {Object} GblCustomTag
+   * @property {number} id - Tag ID.
+   * @property {Uint8Array} data - Tag payload.
+   * @property {number} [index] - Position of the tag among all tags preceding the end tag. Tags without a position
+   *   follow the image contents, before any certificate and signature tags.
+   */
+
+  /**
+   * Array of custom tags.
+   * @type {GblCustomTag[]}
+   */
+  customTags = [];
+
+  /**
+   * IDs of the tags preceding the end tag in the parsed image the builder was created from, in their original order.
+   * @type {?number[]}
+   */
+  #tagOrder = null;
+
+  /**
+   * Create a builder populated from a parsed image.
+   * @param {import('./GeckoBootloaderImage.js').GeckoBootloaderImage} image - The parsed image.
+   * @returns {GeckoBootloaderImageBuilder} The populated builder.
+   */
+  static fromImage(image) {
+    const builder = new GeckoBootloaderImageBuilder();
+
+    if (image.header) builder.header = { ...image.header };
+    builder.bootloader = image.bootloader;
+    builder.application = image.application;
+    builder.metadata = [...image.metadata];
+    builder.prog = [...image.prog];
+    builder.seUpgrade = image.seUpgrade;
+    builder.versionDependency = image.versionDependency;
+    builder.encryptionInit = image.encryptionInit;
+    builder.encryptionData = [...image.encryptionData];
+    builder.certificate = image.certificate;
+    builder.signature = image.signature;
+    builder.#tagOrder = image.tags.filter(({ name }) => name !== 'end').map(({ id }) => id);
+
+    // Unknown tags keep their original position through the tag order
+    for (const { id, name, raw } of image.tags) {
+      if (name === 'unknown') builder.addTag(id, raw);
+    }
+
+    return builder;
+  }
+
+  /**
+   * Create a builder converting a legacy EBL image, so it can be uploaded using the Gecko Bootloader.
+   *
+   * EBL images carry no application information, so pass it in to include an application tag.
+   * @param {import('./EblImage.js').EblImage} image - The parsed, unencrypted EBL image.
+   * @param {Object} [options] - Options.
+   * @param {import('./GeckoBootloaderImage.js').GblApplication} [options.application] - Application information, see
+   *   {@link GeckoBootloaderImageBuilder#setApplication}.
+   * @param {"lz4" | "lzma"} [options.compress] - Compress the program data with this algorithm.
+   * @param {boolean} [options.manufacturing=false] - Whether to include the manufacturing program data (MFGPROG tags).
+   * @returns {GeckoBootloaderImageBuilder} The populated builder.
+   * @throws {Error} If the EBL image is encrypted.
+   */
+  static fromEblImage(image, { application, compress, manufacturing = false } = {}) {
+    const builder = new GeckoBootloaderImageBuilder();
+
+    if (application) builder.setApplication(application);
+    builder.addFlashImage(FlashImage.fromEblImage(image, { manufacturing }), { compress });
+
+    return builder;
+  }
+
+  /**
+   * Set the application information.
+   * @param {Object} application - Application information.
+   * @param {number} application.type - Bitfield representing type of application, see {@link GBL_APPLICATION_TYPE}.
+   * @param {number} application.version - Version number for this application.
+   * @param {number} [application.capabilities=0] - Capabilities of this application.
+   * @param {Uint8Array} [application.productId] - Unique ID (UUID or GUID) for the product, defaults to all zeros.
+   * @returns {GeckoBootloaderImageBuilder} This builder.
+   */
+  setApplication({ type, version, capabilities = 0, productId = new Uint8Array(16) }) {
+    if (productId.length !== 16) throw new Error('Invalid product ID length');
+
+    this.application = { type, version, capabilities, productId };
+    return this;
+  }
+
+  /**
+   * Set the bootloader upgrade information and data.
+   * @param {import('./GeckoBootloaderImage.js').GblBootloader} bootloader - Bootloader upgrade information.
+   * @returns {GeckoBootloaderImageBuilder} This builder.
+   */
+  setBootloader({ bootloaderVersion, address, data }) {
+    this.bootloader = { bootloaderVersion, address, data };
+    return this;
+  }
+
+  /**
+   * Add a metadata section.
+   * @param {Uint8Array} data - Metadata contents.
+   * @returns {GeckoBootloaderImageBuilder} This builder.
+   */
+  addMetadata(data) {
+    this.metadata.push(data);
+    return this;
+  }
+
+  /**
+   * Add a flash program section.
+   * @param {import('./GeckoBootloaderImage.js').GblProg} prog - Flash program section. Data must already be compressed
+   *   when a compression algorithm is given.
+   * @param {Object} [options] - Options.
+   * @param {"lz4" | "lzma"} [options.compress] - Compress the (uncompressed) data with this algorithm.
+   * @returns {GeckoBootloaderImageBuilder} This builder.
+   */
+  addProg({ flashStartAddress, data, compression, erase }, { compress } = {}) {
+    if (compress && compression) throw new Error('Program data is already compressed');
+    if (compress === 'lz4') data = lz4Compress(data);
+    else if (compress === 'lzma') data = lzmaCompress(data);
+    else if (compress) throw new Error(`Unsupported compression algorithm: ${compress}`);
+
+    compression ??= compress;
+    if (compression && erase) throw new Error('Compressed program data cannot be combined with erase');
+
+    this.prog.push({ flashStartAddress, data, compression, erase });
+    return this;
+  }
+
+  /**
+   * Add a flash program section for each contiguous segment of a flash image.
+   * @param {import('./FlashImage.js').FlashImage} flash - The flash contents, e.g. loaded from an ELF, Intel HEX or
+   *   S-record file.
+   * @param {Object} [options] - Options.
+   * @param {"lz4" | "lzma"} [options.compress] - Compress the data with this algorithm.
+   * @returns {GeckoBootloaderImageBuilder} This builder.
+   */
+  addFlashImage(flash, { compress } = {}) {
+    for (const { address, data } of flash.segments) {
+      this.addProg({ flashStartAddress: address, data }, { compress });
+    }
+
+    return this;
+  }
+
+  /**
+   * Add a tag not otherwise supported by the builder. Custom tags are never encrypted.
+   * @param {number} id - Tag ID.
+   * @param {Uint8Array} data - Tag payload.
+   * @param {Object} [options] - Options.
+   * @param {number} [options.index] - Position of the tag among all tags preceding the end tag.
+   * @returns {GeckoBootloaderImageBuilder} This builder.
+   */
+  addTag(id, data, { index } = {}) {
+    if (id === GBL_TAG_ID_END) throw new Error('The end tag is added when building');
+
+    this.customTags.push({ id, data, index });
+    return this;
+  }
+
+  /**
+   * Set the SE upgrade information and data.
+   * @param {Object} seUpgrade - SE upgrade information.
+   * @param {number} seUpgrade.version - Version of the SE image.
+   * @param {Uint8Array} seUpgrade.data - Data for the SE upgrade.
+   * @param {number} [seUpgrade.blobSize] - Size of the SE upgrade blob, defaults to the data length.
+   * @returns {GeckoBootloaderImageBuilder} This builder.
+   */
+  setSeUpgrade({ version, data, blobSize = data.length }) {
+    this.seUpgrade = { blobSize, version, data };
+    return this;
+  }
+
+  /**
+   * Set the version dependency.
+   * @param {import('./GeckoBootloaderImage.js').VersionDependency} versionDependency - Version dependency information.
+   * @returns {GeckoBootloaderImageBuilder} This builder.
+   */
+  setVersionDependency({ imageType, statement, version }) {
+    this.versionDependency = { imageType, statement, version };
+    return this;
+  }
+
+  /**
+   * Encrypt the image contents using AES-CCM.
+   *
+   * The application, SE upgrade, bootloader, metadata and program data tags are encrypted as one stream, with each tag
+   * stored in its own encrypted data tag. These fields must be final before encrypting, later changes to them are not
+   * included in the built image.
+   * @param {Uint8Array|ArrayBuffer|CryptoKey} key - The 128-bit AES key, raw or as an AES-CTR CryptoKey.
+   * @param {Object} [options] - Options.
+   * @param {Uint8Array} [options.nonce] - The 12-byte nonce, randomly generated by default.
+   * @returns {Promise<GeckoBootloaderImageBuilder>} This builder.
+   * @throws {Error} If the image is already encrypted.
+   */
+  async encrypt(key, { nonce = crypto.getRandomValues(new Uint8Array(12)) } = {}) {
+    if (this.encryptionInit) throw new Error('Image is already encrypted');
+
+    const tags = this.#orderTags(this.#encodeContentTags());
+    const ciphertext = await aesCcmCrypt(key, nonce, concat(tags));
+
+    this.encryptionData = [];
+    let offset = 0;
+    for (const tag of tags) {
+      this.encryptionData.push(ciphertext.subarray(offset, offset + tag.length));
+      offset += tag.length;
+    }
+
+    this.encryptionInit = { msgLen: ciphertext.length, nonce };
+    return this;
+  }
+
+  /**
+   * External signer, for keys that can't be imported into WebCrypto (e.g. keys held in an HSM).
+   * @callback GblSigner
+   * @param {Uint8Array} digest - SHA-256 hash of the data to sign.
+   * @param {Uint8Array} data - The data to sign.
+   * @returns {Promise<import('./GeckoBootloaderImage.js').GblSignatureEcdsaP256>} The raw signature.
+   */
+
+  /**
+   * Sign the image using ECDSA secp256r1.
+   *
+   * The signature covers the SHA-256 hash of the image up to the signature tag, so all other fields must be final
+   * before signing, including encryption.
+   * @param {import('./ecdsa.js').EcdsaPrivateKey|GblSigner} signer - The private key, or an external signer.
+   * @param {Object} [options] - Options.
+   * @param {import('./GeckoBootloaderImage.js').GblCertificateEcdsaP256} [options.certificate] - Certificate to include,
+   *   whose key the signer's private key corresponds to.
+   * @returns {Promise<GeckoBootloaderImageBuilder>} This builder.
+   */
+  async sign(signer, { certificate } = {}) {
+    const previous = { certificate: this.certificate, signature: this.signature };
+    let signed = false;
+
+    try {
+      if (certificate) this.certificate = certificate;
+
+      // Use a placeholder signature, so the header includes the signature flag
+      this.signature = { r: new Uint8Array(32), s: new Uint8Array(32) };
+      const tags = this.#encodeTags();
+      const data = concat(
+        tags.slice(
+          0,
+          tags.findIndex((tag) => tagId(tag) === GBL_TAG_ID_SIGNATURE),
+        ),
+      );
+
+      let signature;
+      if (typeof signer === 'function') {
+        signature = await signer(new Uint8Array(await crypto.subtle.digest('SHA-256', data)), data);
+      } else {
+        signature = await signEcdsa(signer, data);
+      }
+
+      if (signature?.r?.length !== 32 || signature?.s?.length !== 32) throw new Error('Invalid signature');
+
+      this.signature = { r: signature.r, s: signature.s };
+      signed = true;
+      return this;
+    } finally {
+      // Leave the builder unchanged if signing fails
+      if (!signed) Object.assign(this, previous);
+    }
+  }
+
+  /**
+   * Serialize the image.
+   * @returns {ArrayBuffer} The GBL image file contents.
+   */
+  build() {
+    const bytes = concat([...this.#encodeTags(), encodeTag(GBL_TAG_ID_END, new Uint8Array(4))]);
+    new DataView(bytes.buffer).setUint32(bytes.length - 4, crc32(bytes.subarray(0, -4)), true);
+
+    return bytes.buffer;
+  }
+
+  /**
+   * Type flags implied by the tags present, combined with the explicitly set flags.
+   * @returns {number} Bitwise OR of {@link GBL_TYPE} values.
+   */
+  #typeFlags() {
+    let flags = this.header.typeFlags;
+    if (this.encryptionInit) flags |= GBL_TYPE.ENCRYPTION_AESCCM;
+    if (this.signature) flags |= GBL_TYPE.SIGNATURE_ECDSA;
+
+    return flags >>> 0;
+  }
+
+  /**
+   * Encode all tags preceding the end tag, in their original order for a builder created from a parsed image, and
+   * otherwise in the order given by the GBL specification.
+   * @returns {Uint8Array[]} The encoded tags.
+   */
+  #encodeTags() {
+    const tags = [encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(this.header.version, this.#typeFlags()))];
+
+    if (this.versionDependency) {
+      const { imageType, statement, version } = this.versionDependency;
+      tags.push(encodeTag(GBL_TAG_ID_VERSION_DEPENDENCY, Uint8Array.of(imageType, statement, 0, 0), uint32s(version)));
+    }
+
+    if (this.encryptionInit) {
+      const { msgLen, nonce } = this.encryptionInit;
+      if (nonce.length !== 12) throw new Error('Invalid nonce length');
+
+      tags.push(encodeTag(GBL_TAG_ID_ENC_INIT, uint32s(msgLen), nonce));
+      for (const data of this.encryptionData) {
+        tags.push(encodeTag(GBL_TAG_ID_ENC_GBL_DATA, data));
+      }
+    } else {
+      tags.push(...this.#encodeContentTags());
+    }
+
+    for (const { id, data, index } of this.customTags) {
+      if (index === undefined) tags.push(encodeTag(id, data));
+    }
+
+    if (this.certificate) {
+      const { structVersion, flags, key, version, signature } = this.certificate;
+      if (key.length !== 64 || signature.length !== 64) throw new Error('Invalid certificate');
+
+      tags.push(
+        encodeTag(GBL_TAG_ID_CERTIFICATE, Uint8Array.of(structVersion), flags, key, uint32s(version), signature),
+      );
+    }
+
+    if (this.signature) {
+      const { r, s } = this.signature;
+      if (r.length !== 32 || s.length !== 32) throw new Error('Invalid signature');
+
+      tags.push(encodeTag(GBL_TAG_ID_SIGNATURE, r, s));
+    }
+
+    const ordered = this.#orderTags(tags);
+    const positioned = this.customTags.filter(({ index }) => index !== undefined).sort((a, b) => a.index - b.index);
+    for (const { id, data, index } of positioned) {
+      ordered.splice(index, 0, encodeTag(id, data));
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Reorder encoded tags to match the parsed image the builder was created from, if any.
+   *
+   * Tags keep the position of the first unused tag with the same ID in the original image. Tags not found there are
+   * inserted after the tag preceding them in specification order.
+   * @param {Uint8Array[]} tags - The encoded tags, in specification order.
+   * @returns {Uint8Array[]} The reordered tags.
+   */
+  #orderTags(tags) {
+    if (!this.#tagOrder) return tags;
+
+    const remaining = [...tags];
+    const ordered = [];
+    for (const id of this.#tagOrder) {
+      const index = remaining.findIndex((tag) => tagId(tag) === id);
+      if (index !== -1) ordered.push(...remaining.splice(index, 1));
+    }
+
+    for (const tag of remaining) {
+      ordered.splice(ordered.indexOf(tags[tags.indexOf(tag) - 1]) + 1, 0, tag);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Encode the tags describing the image contents, which are encrypted in an encrypted image.
+   * @returns {Uint8Array[]} The encoded tags.
+   */
+  #encodeContentTags() {
+    const tags = [];
+
+    if (this.application) {
+      const { type, version, capabilities, productId } = this.application;
+      tags.push(encodeTag(GBL_TAG_ID_APPLICATION, uint32s(type, version, capabilities), productId));
+    }
+
+    if (this.seUpgrade) {
+      const { blobSize, version, data } = this.seUpgrade;
+      tags.push(encodeTag(GBL_TAG_ID_SE_UPGRADE, uint32s(blobSize, version), data));
+    }
+
+    if (this.bootloader) {
+      const { bootloaderVersion, address, data } = this.bootloader;
+      tags.push(encodeTag(GBL_TAG_ID_BOOTLOADER, uint32s(encodeBootloaderVersion(bootloaderVersion), address), data));
+    }
+
+    for (const data of this.metadata) {
+      tags.push(encodeTag(GBL_TAG_ID_METADATA, data));
+    }
+
+    for (const { flashStartAddress, data, compression, erase } of this.prog) {
+      let tagId = erase ? GBL_TAG_ID_ERASEPROG : GBL_TAG_ID_PROG;
+      if (compression === 'lz4') tagId = GBL_TAG_ID_PROG_LZ4;
+      if (compression === 'lzma') tagId = GBL_TAG_ID_PROG_LZMA;
+
+      tags.push(encodeTag(tagId, uint32s(flashStartAddress), data));
+    }
+
+    return tags;
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Gecko Bootloader UART XMODEM Client
+ *
+ * Drives the menu of the Gecko standalone bootloader over UART, and uploads GBL images using XMODEM-CRC.
+ *
+ * Works with any byte stream transport exposing `readable` and `writable` web streams, such as a Web Serial
+ * `SerialPort`, or a Node.js stream converted using `Duplex.toWeb()`.
+ *
+ * Bootloader documentation:
+ * https://docs.silabs.com/mcu-bootloader/latest/bootloader-user-guide-gsdk-4/04-gecko-bootloader-operation-standalone
+ */
+
+import { crc16 } from './crc16.js';
+
+// XMODEM control characters
+const SOH = 0x01;
+const EOT = 0x04;
+const ACK = 0x06;
+const NAK = 0x15;
+const CAN = 0x18;
+const CRC_MODE = 0x43; // 'C'
+const PAD = 0x1a;
+
+const XMODEM_BLOCK_SIZE = 128;
+
+// Bootloader menu
+const MENU_PROMPT = 'BL >';
+const MENU_UPLOAD = '1';
+const MENU_RUN = '2';
+const MENU_INFO = '3';
+
+/**
+ * Create a timeout error, matching the errors thrown by {@link GeckoBootloaderClient}.
+ * @param {string} message - Error message.
+ * @returns {Error} The error.
+ */
+function timeoutError(message) {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Gecko Bootloader Serial Client
+ */
+export class GeckoBootloaderSerialClient {
+  #port;
+  #reader;
+  #writer;
+  #pendingRead = null;
+  #received = [];
+
+  /**
+   * Bootloader version string from the menu banner, e.g. "1.12.0", once connected.
+   * @type {?string}
+   */
+  version = null;
+
+  /**
+   * Create an instance of the GeckoBootloaderSerialClient class.
+   * @param {{readable: ReadableStream<Uint8Array>, writable: WritableStream<Uint8Array>}} port - The byte stream
+   *   transport, e.g. an opened Web Serial `SerialPort`.
+   */
+  constructor(port) {
+    this.#port = port;
+  }
+
+  /**
+   * Connect to the bootloader, and wait for its menu.
+   * @param {Object} options - Connection options.
+   * @param {number} options.timeout - Connection timeout in milliseconds.
+   * @param {AbortSignal} [options.signal] - Abort signal to cancel connecting.
+   * @throws {Error} If the bootloader menu isn't shown before the timeout.
+   * @returns {Promise<void>}
+   */
+  async connect({ timeout = 5000, signal } = {}) {
+    this.#reader = this.#port.readable.getReader();
+    this.#writer = this.#port.writable.getWriter();
+
+    // Any unrecognized input makes the bootloader print its menu
+    await this.#write('\r\n');
+    const menu = await this.#readUntil(MENU_PROMPT, timeout, signal);
+    this.version = menu.match(/Gecko Bootloader v(\S+)/)?.[1] ?? null;
+  }
+
+  /**
+   * Release the transport streams, so the port can be closed or used by others.
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await this.#reader?.cancel();
+    this.#reader?.releaseLock();
+    this.#writer?.releaseLock();
+    this.#reader = this.#writer = this.#pendingRead = null;
+  }
+
+  /**
+   * Get the bootloader information, as printed by the "ebl info" menu option.
+   * @param {Object} [options] - Options.
+   * @param {number} [options.timeout=5000] - Timeout in milliseconds.
+   * @param {AbortSignal} [options.signal] - Abort signal to cancel waiting for the information.
+   * @returns {Promise<string>} The information text.
+   */
+  async getInfo({ timeout = 5000, signal } = {}) {
+    await this.#write(MENU_INFO);
+    const output = await this.#readUntil(MENU_PROMPT, timeout, signal);
+
+    // Strip the echoed option, and the menu (including its banner) following the information
+    const lines = output
+      .slice(0, output.lastIndexOf('1. upload'))
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0 && line !== MENU_INFO);
+    if (lines.length > 1 && /^Gecko Bootloader/.test(lines.at(-1))) lines.pop();
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Run the application, exiting the bootloader.
+   * @returns {Promise<void>}
+   */
+  async run() {
+    await this.#write(MENU_RUN);
+  }
+
+  /**
+   * Flashes a complete firmware image to the device using XMODEM-CRC.
+   * @param {ArrayBuffer} data - The firmware data to upload.
+   * @param {Object} options - Upload options.
+   * @param {number} [options.retries=10] - Number of times each packet is retried before giving up.
+   * @param {number} [options.timeout=5000] - Time to wait for each response from the bootloader in milliseconds.
+   * @param {Function} [options.progress] - Progress callback function.
+   * @param {AbortSignal} [options.signal] - Abort signal to cancel the upload.
+   * @throws {DOMException} with name 'AbortError' if the upload is aborted.
+   * @throws {Error} If the bootloader rejects the upload.
+   * @returns {Promise<void>}
+   */
+  async flashFirmware(data, { retries = 10, timeout = 5000, progress, signal } = {}) {
+    // Handle abort signal
+    signal?.throwIfAborted();
+
+    // Start the upload, and wait for the receiver to request CRC mode
+    await this.#write(MENU_UPLOAD);
+    await this.#readUntil(String.fromCharCode(CRC_MODE), timeout, signal);
+
+    // The bootloader repeats the request until the first packet arrives, so drop any further requests already received
+    this.#received = [];
+
+    // Send the firmware in blocks
+    const bytes = new Uint8Array(data);
+    const total = bytes.length;
+    for (let start = 0, block = 1; start < total; start += XMODEM_BLOCK_SIZE, block++) {
+      if (signal?.aborted) {
+        await this.#cancel();
+        signal.throwIfAborted();
+      }
+
+      const payload = new Uint8Array(XMODEM_BLOCK_SIZE).fill(PAD);
+      payload.set(bytes.subarray(start, start + XMODEM_BLOCK_SIZE));
+
+      const crc = crc16(payload);
+      const packet = Uint8Array.of(SOH, block & 0xff, ~block & 0xff, ...payload, crc >>> 8, crc & 0xff);
+      await this.#send(packet, { retries, timeout, signal });
+
+      // Update progress
+      progress?.((start / total) * 100);
+    }
+
+    // End the transfer
+    await this.#send(Uint8Array.of(EOT), { retries, timeout, signal });
+
+    // Check the result reported by the bootloader
+    const output = await this.#readUntil(MENU_PROMPT, timeout, signal);
+    if (!/upload complete/i.test(output)) {
+      const reason = output.match(/upload aborted\W*(.*)/i)?.[1]?.trim();
+      throw new Error(`Serial upload failed${reason ? `: ${reason}` : ''}`);
+    }
+
+    // Always report 100% progress at the end
+    progress?.(100);
+  }
+
+  /**
+   * Send a packet, retrying until it is acknowledged.
+   * @param {Uint8Array} packet - The packet.
+   * @param {Object} options - Options.
+   * @param {number} options.retries - Number of retries.
+   * @param {number} options.timeout - Time to wait for a response in milliseconds.
+   * @param {AbortSignal} [options.signal] - Abort signal, cancelling the transfer when aborted.
+   */
+  async #send(packet, { retries, timeout, signal }) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      await this.#writer.write(packet);
+
+      let response;
+      try {
+        // Skip CRC mode requests sent before the bootloader received the first packet
+        do {
+          response = await this.#readByte(timeout, signal);
+        } while (response === CRC_MODE);
+      } catch (error) {
+        if (signal?.aborted) {
+          await this.#cancel();
+          throw error;
+        }
+
+        if (error.name === 'TimeoutError') continue;
+        throw error;
+      }
+
+      if (response === ACK) return;
+      if (response === CAN) throw new Error('Upload cancelled by the bootloader');
+
+      // Retry on NAK or garbage
+      if (response !== NAK) this.#received = [];
+    }
+
+    await this.#cancel();
+    throw timeoutError('Packet not acknowledged, retries exhausted');
+  }
+
+  async #cancel() {
+    await this.#writer.write(Uint8Array.of(CAN, CAN, CAN));
+  }
+
+  async #write(text) {
+    await this.#writer.write(new TextEncoder().encode(text));
+  }
+
+  async #readByte(timeout, signal) {
+    signal?.throwIfAborted();
+
+    while (this.#received.length === 0) {
+      // Keep any pending read across timeouts and aborts, so no data is lost
+      this.#pendingRead ??= this.#reader.read();
+
+      let timer;
+      let onAbort;
+      const { value, done } = await Promise.race([
+        this.#pendingRead,
+        new Promise((_resolve, reject) => {
+          timer = setTimeout(() => reject(timeoutError('Timed out waiting for the bootloader')), timeout);
+          onAbort = () => reject(signal.reason);
+          signal?.addEventListener('abort', onAbort, { once: true });
+        }),
+      ]).finally(() => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      });
+
+      this.#pendingRead = null;
+      if (done) throw new Error('Serial port closed');
+      this.#received.push(...value);
+    }
+
+    return this.#received.shift();
+  }
+
+  async #readUntil(text, timeout, signal) {
+    // The timeout covers all output, so a device that keeps printing without showing the text still times out
+    const deadline = performance.now() + timeout;
+
+    let output = '';
+    while (!output.includes(text)) {
+      const remaining = deadline - performance.now();
+      if (remaining <= 0) throw timeoutError('Timed out waiting for the bootloader');
+
+      output += String.fromCharCode(await this.#readByte(remaining, signal));
+    }
+
+    return output;
+  }
+}
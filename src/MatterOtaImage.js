@@ -0,0 +1,416 @@
+/**
+ * Matter OTA Image
+ *
+ * Parses and builds Matter OTA image files (.ota), the container Matter OTA providers serve firmware in. For EFR32
+ * devices the payload is a GBL image.
+ *
+ * See the Matter Core specification, section 11.21.2 "OTA Software Update File Format":
+ * https://csa-iot.org/developer-resource/specifications-download-request/
+ */
+
+import { concat, encodeTag } from './encoding.js';
+import { GeckoBootloaderImage } from './GeckoBootloaderImage.js';
+import { formatVersion } from './versionDependency.js';
+
+// OTA image file identifier
+export const MATTER_OTA_FILE_ID = 0x1beef11e;
+
+// Size of the file identifier, total size and header size fields preceding the header
+const PREFIX_SIZE = 16;
+
+/**
+ * Image digest types, from the IANA Named Information Hash Algorithm Registry
+ * @enum {number}
+ */
+export const MATTER_OTA_DIGEST_TYPE = {
+  SHA_256: 1,
+  SHA_256_128: 2,
+  SHA_256_120: 3,
+  SHA_256_96: 4,
+  SHA_256_64: 5,
+  SHA_256_32: 6,
+  SHA_384: 7,
+  SHA_512: 8,
+};
+
+// WebCrypto algorithm and digest length in bytes of each supported digest type
+const DIGESTS = {
+  [MATTER_OTA_DIGEST_TYPE.SHA_256]: { algorithm: 'SHA-256', length: 32 },
+  [MATTER_OTA_DIGEST_TYPE.SHA_256_128]: { algorithm: 'SHA-256', length: 16 },
+  [MATTER_OTA_DIGEST_TYPE.SHA_256_120]: { algorithm: 'SHA-256', length: 15 },
+  [MATTER_OTA_DIGEST_TYPE.SHA_256_96]: { algorithm: 'SHA-256', length: 12 },
+  [MATTER_OTA_DIGEST_TYPE.SHA_256_64]: { algorithm: 'SHA-256', length: 8 },
+  [MATTER_OTA_DIGEST_TYPE.SHA_256_32]: { algorithm: 'SHA-256', length: 4 },
+  [MATTER_OTA_DIGEST_TYPE.SHA_384]: { algorithm: 'SHA-384', length: 48 },
+  [MATTER_OTA_DIGEST_TYPE.SHA_512]: { algorithm: 'SHA-512', length: 64 },
+};
+
+// Context tags of the header fields
+const TAG = {
+  VENDOR_ID: 0,
+  PRODUCT_ID: 1,
+  SOFTWARE_VERSION: 2,
+  SOFTWARE_VERSION_STRING: 3,
+  PAYLOAD_SIZE: 4,
+  MIN_APPLICABLE_SOFTWARE_VERSION: 5,
+  MAX_APPLICABLE_SOFTWARE_VERSION: 6,
+  RELEASE_NOTES_URL: 7,
+  IMAGE_DIGEST_TYPE: 8,
+  IMAGE_DIGEST: 9,
+};
+
+// TLV element types, in the low 5 bits of the control byte
+const TLV_UINT = 0x04;
+const TLV_UTF8 = 0x0c;
+const TLV_BYTES = 0x10;
+const TLV_STRUCTURE = 0x15;
+const TLV_END_OF_CONTAINER = 0x18;
+
+// TLV tag control, in the high 3 bits of the control byte
+const TLV_CONTEXT_TAG = 0x20;
+
+// Size of the tag for each tag control value
+const TLV_TAG_SIZES = [0, 1, 2, 4, 2, 4, 6, 8];
+
+/**
+ * Calculate the digest of a payload.
+ * @param {number} type - Digest type, see {@link MATTER_OTA_DIGEST_TYPE}.
+ * @param {Uint8Array} payload - The payload.
+ * @returns {Promise<Uint8Array>} The digest.
+ * @throws {Error} If the digest type is not supported.
+ */
+async function digest(type, payload) {
+  const info = DIGESTS[type];
+  if (!info) throw new Error(`Unsupported digest type ${type}`);
+
+  return new Uint8Array(await crypto.subtle.digest(info.algorithm, payload)).slice(0, info.length);
+}
+
+/**
+ * Decode the context-tagged fields of the anonymous TLV structure the header consists of.
+ *
+ * Fields with other tags, and nested containers, are skipped.
+ * @param {Uint8Array} bytes - The encoded header.
+ * @returns {Map<number, number|bigint|string|boolean|Uint8Array|null>} Field values by context tag.
+ * @throws {Error} If the header is malformed.
+ */
+function decodeTlvHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fields = new Map();
+
+  const need = (offset, length) => {
+    if (offset + length > bytes.length) throw new Error('Truncated TLV header');
+  };
+
+  need(0, 1);
+  if (bytes[0] !== TLV_STRUCTURE) throw new Error('TLV header is not an anonymous structure');
+
+  let offset = 1;
+  let depth = 0;
+  for (;;) {
+    need(offset, 1);
+    const control = bytes[offset++];
+    const type = control & 0x1f;
+
+    if (type === TLV_END_OF_CONTAINER) {
+      if (depth === 0) break;
+      depth--;
+      continue;
+    }
+
+    const tagControl = control >>> 5;
+    need(offset, TLV_TAG_SIZES[tagControl]);
+    const tag = tagControl === TLV_CONTEXT_TAG >>> 5 ? bytes[offset] : null;
+    offset += TLV_TAG_SIZES[tagControl];
+
+    let value;
+    if (type <= 0x07) {
+      // Signed and unsigned integers of 1, 2, 4 or 8 bytes
+      const size = 1 << (type & 0x03);
+      need(offset, size);
+      const signed = type < TLV_UINT;
+      if (size === 8) {
+        const big = signed ? view.getBigInt64(offset, true) : view.getBigUint64(offset, true);
+        value = big <= BigInt(Number.MAX_SAFE_INTEGER) && big >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(big) : big;
+      } else {
+        value = view[`get${signed ? 'Int' : 'Uint'}${size * 8}`](offset, true);
+      }
+      offset += size;
+    } else if (type === 0x08 || type === 0x09) {
+      value = type === 0x09;
+    } else if (type === 0x0a || type === 0x0b) {
+      const size = type === 0x0a ? 4 : 8;
+      need(offset, size);
+      value = size === 4 ? view.getFloat32(offset, true) : view.getFloat64(offset, true);
+      offset += size;
+    } else if (type >= TLV_UTF8 && type <= 0x13) {
+      // UTF-8 and octet strings, with a length of 1, 2, 4 or 8 bytes
+      const lengthSize = 1 << (type & 0x03);
+      need(offset, lengthSize);
+      const length =
+        lengthSize === 8 ? Number(view.getBigUint64(offset, true)) : view[`getUint${lengthSize * 8}`](offset, true);
+      offset += lengthSize;
+      need(offset, length);
+      const data = bytes.slice(offset, offset + length);
+      value = type < TLV_BYTES ? new TextDecoder().decode(data) : data;
+      offset += length;
+    } else if (type === 0x14) {
+      value = null;
+    } else if (type >= TLV_STRUCTURE && type <= 0x17) {
+      depth++;
+      continue;
+    } else {
+      throw new Error(`Invalid TLV element type 0x${type.toString(16)}`);
+    }
+
+    if (depth === 0 && tag !== null) fields.set(tag, value);
+  }
+
+  return fields;
+}
+
+/**
+ * Encode an unsigned integer TLV element with a context tag, using the smallest size that fits.
+ * @param {number} tag - Context tag.
+ * @param {number} value - The value.
+ * @returns {Uint8Array} The encoded element.
+ */
+function tlvUint(tag, value) {
+  const size = value <= 0xff ? 1 : value <= 0xffff ? 2 : value <= 0xffffffff ? 4 : 8;
+  const bytes = new Uint8Array(2 + size);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = TLV_CONTEXT_TAG | TLV_UINT | Math.log2(size);
+  bytes[1] = tag;
+  if (size === 8) {
+    view.setBigUint64(2, BigInt(value), true);
+  } else {
+    view[`setUint${size * 8}`](2, value, true);
+  }
+
+  return bytes;
+}
+
+/**
+ * Encode a UTF-8 or octet string TLV element with a context tag.
+ * @param {number} tag - Context tag.
+ * @param {string|Uint8Array} value - The value, a string for UTF-8 strings.
+ * @returns {Uint8Array} The encoded element.
+ */
+function tlvString(tag, value) {
+  const data = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  const type = typeof value === 'string' ? TLV_UTF8 : TLV_BYTES;
+  if (data.length > 0xffff) throw new Error('TLV string is too long');
+
+  if (data.length <= 0xff) return concat([Uint8Array.of(TLV_CONTEXT_TAG | type, tag, data.length), data]);
+  return concat([Uint8Array.of(TLV_CONTEXT_TAG | type | 1, tag, data.length & 0xff, data.length >>> 8), data]);
+}
+
+/**
+ * Matter OTA Image class
+ * Parses a Matter OTA image file and gives access to the GBL image it contains.
+ */
+export class MatterOtaImage {
+  /**
+   * Vendor ID of the product the image is for.
+   * @type {number}
+   */
+  vendorId = 0;
+
+  /**
+   * Product ID of the product the image is for.
+   * @type {number}
+   */
+  productId = 0;
+
+  /**
+   * Software version of the image.
+   * @type {number}
+   */
+  softwareVersion = 0;
+
+  /**
+   * Human readable software version.
+   * @type {string}
+   */
+  softwareVersionString = '';
+
+  /**
+   * Lowest software version the image can be applied to, if restricted.
+   * @type {?number}
+   */
+  minApplicableSoftwareVersion = null;
+
+  /**
+   * Highest software version the image can be applied to, if restricted.
+   * @type {?number}
+   */
+  maxApplicableSoftwareVersion = null;
+
+  /**
+   * URL of the release notes, if any.
+   * @type {?string}
+   */
+  releaseNotesUrl = null;
+
+  /**
+   * Digest type, see {@link MATTER_OTA_DIGEST_TYPE}.
+   * @type {number}
+   */
+  imageDigestType = MATTER_OTA_DIGEST_TYPE.SHA_256;
+
+  /**
+   * Digest of the payload.
+   * @type {Uint8Array}
+   */
+  imageDigest = new Uint8Array(0);
+
+  /**
+   * The payload, a GBL image for EFR32 devices.
+   * @type {Uint8Array}
+   */
+  payload = new Uint8Array(0);
+
+  /**
+   * Creates an instance of the MatterOtaImage class.
+   *
+   * The payload digest is not checked, use {@link MatterOtaImage#verifyDigest} for that.
+   * @param {ArrayBuffer} buffer - The OTA image file buffer.
+   * @throws {Error} If the file is malformed.
+   */
+  constructor(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < PREFIX_SIZE || view.getUint32(0, true) !== MATTER_OTA_FILE_ID) {
+      throw new Error('Not a Matter OTA image');
+    }
+
+    const totalSize = view.getBigUint64(4, true);
+    const headerSize = view.getUint32(12, true);
+    if (totalSize > BigInt(buffer.byteLength)) throw new Error('Total size exceeds file size');
+    if (PREFIX_SIZE + headerSize > Number(totalSize)) throw new Error('Header size exceeds total size');
+
+    const fields = decodeTlvHeader(new Uint8Array(buffer, PREFIX_SIZE, headerSize));
+    const field = (tag, name, type) => {
+      const value = fields.get(tag);
+      if (value === undefined) return null;
+      if (typeof value !== type && !(type === 'object' && value instanceof Uint8Array)) {
+        throw new Error(`Invalid ${name} in TLV header`);
+      }
+
+      return value;
+    };
+    const required = (tag, name, type) => {
+      const value = field(tag, name, type);
+      if (value === null) throw new Error(`Missing ${name} in TLV header`);
+
+      return value;
+    };
+
+    this.vendorId = required(TAG.VENDOR_ID, 'vendor ID', 'number');
+    this.productId = required(TAG.PRODUCT_ID, 'product ID', 'number');
+    this.softwareVersion = required(TAG.SOFTWARE_VERSION, 'software version', 'number');
+    this.softwareVersionString = required(TAG.SOFTWARE_VERSION_STRING, 'software version string', 'string');
+    this.minApplicableSoftwareVersion = field(TAG.MIN_APPLICABLE_SOFTWARE_VERSION, 'minimum version', 'number');
+    this.maxApplicableSoftwareVersion = field(TAG.MAX_APPLICABLE_SOFTWARE_VERSION, 'maximum version', 'number');
+    this.releaseNotesUrl = field(TAG.RELEASE_NOTES_URL, 'release notes URL', 'string');
+    this.imageDigestType = required(TAG.IMAGE_DIGEST_TYPE, 'image digest type', 'number');
+    this.imageDigest = required(TAG.IMAGE_DIGEST, 'image digest', 'object');
+
+    const payloadSize = required(TAG.PAYLOAD_SIZE, 'payload size', 'number');
+    const payloadOffset = PREFIX_SIZE + headerSize;
+    if (payloadOffset + payloadSize !== Number(totalSize)) throw new Error('Payload size does not match total size');
+
+    this.payload = new Uint8Array(buffer.slice(payloadOffset, payloadOffset + payloadSize));
+  }
+
+  /**
+   * Wrap a GBL image in a Matter OTA image file.
+   * @param {GeckoBootloaderImage|ArrayBuffer} image - The parsed GBL image, or the GBL image file.
+   * @param {Object} options - Header fields.
+   * @param {number} options.vendorId - Vendor ID.
+   * @param {number} options.productId - Product ID.
+   * @param {number} [options.softwareVersion] - Software version. Defaults to the application version of the GBL image.
+   * @param {string} [options.softwareVersionString] - Human readable software version, 1 to 64 characters. Defaults
+   *   to the software version formatted as dotted bytes.
+   * @param {number} [options.minApplicableSoftwareVersion] - Lowest software version the image can be applied to.
+   * @param {number} [options.maxApplicableSoftwareVersion] - Highest software version the image can be applied to.
+   * @param {string} [options.releaseNotesUrl] - URL of the release notes.
+   * @param {number} [options.digestType=MATTER_OTA_DIGEST_TYPE.SHA_256] - Digest type.
+   * @returns {Promise<ArrayBuffer>} The OTA image file contents.
+   * @throws {Error} If the GBL image or a header field is invalid.
+   */
+  static async wrap(
+    image,
+    {
+      vendorId,
+      productId,
+      softwareVersion,
+      softwareVersionString,
+      minApplicableSoftwareVersion,
+      maxApplicableSoftwareVersion,
+      releaseNotesUrl,
+      digestType = MATTER_OTA_DIGEST_TYPE.SHA_256,
+    },
+  ) {
+    if (vendorId === undefined || productId === undefined) throw new Error('Vendor ID and product ID are required');
+
+    if (!(image instanceof GeckoBootloaderImage)) image = new GeckoBootloaderImage(image);
+    const payload = concat(image.tags.map(({ id, raw }) => encodeTag(id, raw)));
+
+    softwareVersion ??= image.application?.version;
+    if (softwareVersion === undefined) {
+      throw new Error('GBL image has no application tag, a software version is required');
+    }
+    softwareVersionString ??= formatVersion(softwareVersion);
+    if (softwareVersionString.length < 1 || softwareVersionString.length > 64) {
+      throw new Error('Software version string must be 1 to 64 characters');
+    }
+
+    const elements = [
+      tlvUint(TAG.VENDOR_ID, vendorId),
+      tlvUint(TAG.PRODUCT_ID, productId),
+      tlvUint(TAG.SOFTWARE_VERSION, softwareVersion),
+      tlvString(TAG.SOFTWARE_VERSION_STRING, softwareVersionString),
+      tlvUint(TAG.PAYLOAD_SIZE, payload.length),
+    ];
+    if (minApplicableSoftwareVersion !== undefined) {
+      elements.push(tlvUint(TAG.MIN_APPLICABLE_SOFTWARE_VERSION, minApplicableSoftwareVersion));
+    }
+    if (maxApplicableSoftwareVersion !== undefined) {
+      elements.push(tlvUint(TAG.MAX_APPLICABLE_SOFTWARE_VERSION, maxApplicableSoftwareVersion));
+    }
+    if (releaseNotesUrl !== undefined) elements.push(tlvString(TAG.RELEASE_NOTES_URL, releaseNotesUrl));
+    elements.push(
+      tlvUint(TAG.IMAGE_DIGEST_TYPE, digestType),
+      tlvString(TAG.IMAGE_DIGEST, await digest(digestType, payload)),
+    );
+
+    const header = concat([Uint8Array.of(TLV_STRUCTURE), ...elements, Uint8Array.of(TLV_END_OF_CONTAINER)]);
+    const bytes = concat([new Uint8Array(PREFIX_SIZE), header, payload]);
+
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, MATTER_OTA_FILE_ID, true);
+    view.setBigUint64(4, BigInt(bytes.length), true);
+    view.setUint32(12, header.length, true);
+
+    return bytes.buffer;
+  }
+
+  /**
+   * Check the payload against the image digest.
+   * @returns {Promise<boolean>} True if the digest matches, false otherwise.
+   * @throws {Error} If the digest type is not supported.
+   */
+  async verifyDigest() {
+    const actual = await digest(this.imageDigestType, this.payload);
+    return actual.length === this.imageDigest.length && actual.every((b, i) => b === this.imageDigest[i]);
+  }
+
+  /**
+   * Parse the GBL image in the payload.
+   * @returns {GeckoBootloaderImage} The parsed GBL image.
+   * @throws {Error} If the payload is not a valid GBL image.
+   */
+  toGeckoBootloaderImage() {
+    return new GeckoBootloaderImage(this.payload.slice().buffer);
+  }
+}
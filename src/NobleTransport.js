@@ -0,0 +1,159 @@
+/**
+ * Noble Transport
+ *
+ * GATT transport for {@link GeckoBootloaderClient} on Node.js, wrapping a peripheral discovered using noble
+ * (`@abandonware/noble` or compatible). noble itself isn't a dependency, pass in the peripheral from your own
+ * scanning code.
+ *
+ * API documentation:
+ * https://github.com/abandonware/noble
+ */
+
+/**
+ * Convert a UUID to the format used by noble (lowercase, no dashes).
+ * @param {string} uuid - The UUID.
+ * @returns {string} The noble UUID.
+ */
+function nobleUuid(uuid) {
+  return uuid.replaceAll('-', '').toLowerCase();
+}
+
+/**
+ * Adapt a noble characteristic to the Web Bluetooth characteristic interface.
+ * @param {Object} characteristic - The noble characteristic.
+ * @returns {import('./WebBluetoothTransport.js').GattCharacteristic} The adapted characteristic.
+ */
+function adaptCharacteristic(characteristic) {
+  const toBuffer = (value) =>
+    Buffer.from(ArrayBuffer.isView(value) ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength) : value);
+
+  return {
+    async readValue() {
+      const value = await characteristic.readAsync();
+      return new DataView(value.buffer, value.byteOffset, value.byteLength);
+    },
+
+    async writeValueWithResponse(value) {
+      await characteristic.writeAsync(toBuffer(value), false);
+    },
+
+    async writeValueWithoutResponse(value) {
+      await characteristic.writeAsync(toBuffer(value), true);
+    },
+  };
+}
+
+/**
+ * Noble Transport
+ * @implements {import('./WebBluetoothTransport.js').GattTransport}
+ */
+export class NobleTransport {
+  #peripheral;
+  #characteristics = new Map();
+
+  /**
+   * Create an instance of the NobleTransport class.
+   * @param {Object} peripheral - The noble peripheral to connect to.
+   */
+  constructor(peripheral) {
+    this.#peripheral = peripheral;
+  }
+
+  /**
+   * The noble peripheral.
+   * @type {Object}
+   */
+  get peripheral() {
+    return this.#peripheral;
+  }
+
+  /**
+   * Negotiated ATT MTU, if known.
+   * @type {?number}
+   */
+  get mtu() {
+    return this.#peripheral.mtu ?? null;
+  }
+
+  /**
+   * Connect to the peripheral.
+   * @param {Object} options - Connection options.
+   * @param {number} options.timeout - Connection timeout in milliseconds.
+   * @throws {Error} If the connection times out or fails.
+   * @returns {Promise<void>}
+   */
+  async connect({ timeout = 15000 } = {}) {
+    this.#characteristics.clear();
+
+    let timer;
+    await Promise.race([
+      this.#peripheral.connectAsync(),
+
+      new Promise((_resolve, reject) => {
+        timer = setTimeout(() => {
+          this.#peripheral.cancelConnect?.();
+
+          const error = new Error('Connection timed out');
+          error.name = 'TimeoutError';
+          error.code = 'ETIMEDOUT';
+          reject(error);
+        }, timeout);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Disconnect from the peripheral.
+   */
+  disconnect() {
+    this.#peripheral.disconnect();
+  }
+
+  /**
+   * Check if connected to the peripheral.
+   * @returns {boolean} True if connected, false otherwise.
+   */
+  get connected() {
+    return this.#peripheral.state === 'connected';
+  }
+
+  /**
+   * Add a disconnect handler.
+   * @param {Function} handler - The disconnect handler function.
+   */
+  addDisconnectHandler(handler) {
+    this.#peripheral.on('disconnect', handler);
+  }
+
+  /**
+   * Remove a disconnect handler.
+   * @param {Function} handler - The disconnect handler function.
+   */
+  removeDisconnectHandler(handler) {
+    this.#peripheral.removeListener('disconnect', handler);
+  }
+
+  /**
+   * Get a characteristic of a primary service.
+   * @param {string} service - Service UUID.
+   * @param {string} characteristic - Characteristic UUID.
+   * @throws {DOMException} with name 'NotFoundError' if the characteristic doesn't exist.
+   * @returns {Promise<import('./WebBluetoothTransport.js').GattCharacteristic>} The characteristic.
+   */
+  async getCharacteristic(service, characteristic) {
+    const key = `${nobleUuid(service)}/${nobleUuid(characteristic)}`;
+    if (!this.#characteristics.has(key)) {
+      const { characteristics } = await this.#peripheral.discoverSomeServicesAndCharacteristicsAsync(
+        [nobleUuid(service)],
+        [nobleUuid(characteristic)],
+      );
+      if (characteristics.length === 0) {
+        throw new DOMException(`No characteristic matching UUID ${characteristic} found in service`, 'NotFoundError');
+      }
+
+      this.#characteristics.set(key, adaptCharacteristic(characteristics[0]));
+    }
+
+    return this.#characteristics.get(key);
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Simulated OTA Target
+ *
+ * In-memory GATT transport emulating a device running the Gecko Bootloader AppLoader, or an application which reboots
+ * into AppLoader when an upload is started, for testing OTA uploads without hardware. After a finished upload of a GBL
+ * image, the target reboots into the uploaded application when disconnected. Records all control and data writes,
+ * serves the version characteristics, and can inject errors and disconnects.
+ */
+
+import { GBL_OTA_CHARACTERISTIC_UUID, GBL_OTA_COMMAND, GBL_OTA_SERVICE_UUID } from './GeckoBootloaderClient.js';
+import { GeckoBootloaderImage } from './GeckoBootloaderImage.js';
+
+/**
+ * Create a DOMException matching the one raised by Web Bluetooth when a GATT operation fails.
+ * @param {string} [message] - Error message.
+ * @returns {DOMException} The error.
+ */
+function networkError(message = 'GATT operation failed for unknown reason.') {
+  return new DOMException(message, 'NetworkError');
+}
+
+/**
+ * Simulated OTA Target
+ * @implements {import('./WebBluetoothTransport.js').GattTransport}
+ */
+export class SimulatedOtaTarget {
+  #connected = false;
+  #disconnectHandlers = new Set();
+  #failures = new Map();
+  #disconnectAfter = null;
+  #received = [];
+  #receivedLength = 0;
+  #latency;
+
+  /**
+   * Application version reported by the application version characteristic.
+   * @type {number}
+   */
+  applicationVersion;
+
+  /**
+   * AppLoader version reported by the AppLoader version characteristic.
+   * @type {{major: number, minor: number, patch: number, build: number}}
+   */
+  appLoaderVersion;
+
+  /**
+   * Gecko Bootloader version reported by the Gecko Bootloader version characteristic.
+   * @type {{major: number, minor: number, customer: number}}
+   */
+  geckoBootloaderVersion;
+
+  /**
+   * OTA protocol version reported by the OTA version characteristic.
+   * @type {number}
+   */
+  otaVersion;
+
+  /**
+   * Negotiated ATT MTU.
+   * @type {number}
+   */
+  mtu;
+
+  /**
+   * Commands written to the OTA control characteristic, in order.
+   * @type {number[]}
+   */
+  controlWrites = [];
+
+  /**
+   * Chunks written to the OTA data characteristic, in order, with the kind of write used.
+   * @type {{data: Uint8Array, withResponse: boolean}[]}
+   */
+  dataWrites = [];
+
+  /**
+   * Whether the target is running AppLoader, or an application which only exposes the OTA control characteristic,
+   * and reboots into AppLoader when START_OTA is written.
+   * @type {("apploader" | "application")}
+   */
+  mode;
+
+  /**
+   * Whether a finished upload is discarded on reboot, keeping the previous application, as if the bootloader rejected
+   * the image.
+   * @type {boolean}
+   */
+  rejectUpdate = false;
+
+  /**
+   * Upload state: 'idle' before an upload is started, 'receiving' after START_OTA, 'finished' after FINISH_OTA.
+   * @type {("idle" | "receiving" | "finished")}
+   */
+  state = 'idle';
+
+  /**
+   * Create an instance of the SimulatedOtaTarget class.
+   * @param {Object} [options] - Target options.
+   * @param {("apploader" | "application")} [options.mode="apploader"] - Initial mode.
+   * @param {number} [options.applicationVersion=0x00010000] - Application version.
+   * @param {{major: number, minor: number, patch: number, build: number}} [options.appLoaderVersion] - AppLoader
+   *   version.
+   * @param {{major: number, minor: number, customer: number}} [options.geckoBootloaderVersion] - Gecko
+   *   Bootloader version.
+   * @param {number} [options.otaVersion=3] - OTA protocol version.
+   * @param {number} [options.mtu=247] - Negotiated ATT MTU.
+   * @param {number} [options.latency=0] - Time each GATT operation takes in milliseconds.
+   */
+  constructor({
+    mode = 'apploader',
+    applicationVersion = 0x00010000,
+    appLoaderVersion = { major: 2, minor: 0, patch: 0, build: 0 },
+    geckoBootloaderVersion = { major: 2, minor: 0, customer: 0 },
+    otaVersion = 3,
+    mtu = 247,
+    latency = 0,
+  } = {}) {
+    this.mode = mode;
+    this.applicationVersion = applicationVersion;
+    this.appLoaderVersion = appLoaderVersion;
+    this.geckoBootloaderVersion = geckoBootloaderVersion;
+    this.otaVersion = otaVersion;
+    this.mtu = mtu;
+    this.#latency = latency;
+  }
+
+  /**
+   * Data received since the last START_OTA command.
+   * @type {Uint8Array}
+   */
+  get data() {
+    const data = new Uint8Array(this.#receivedLength);
+    let offset = 0;
+    for (const chunk of this.#received) {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    return data;
+  }
+
+  /**
+   * Make the next operation of the given kind fail.
+   * @param {("connect" | "read" | "write")} operation - The kind of operation.
+   * @param {Error} [error] - The error to fail with, a 'NetworkError' DOMException by default.
+   * @returns {SimulatedOtaTarget} This target, for chaining.
+   */
+  failNext(operation, error = networkError()) {
+    this.#failures.set(operation, error);
+    return this;
+  }
+
+  /**
+   * Disconnect once the given number of bytes has been received since START_OTA. The write crossing the limit fails.
+   * @param {?number} bytes - Number of bytes, or null to cancel.
+   * @returns {SimulatedOtaTarget} This target, for chaining.
+   */
+  disconnectAfter(bytes) {
+    this.#disconnectAfter = bytes;
+    return this;
+  }
+
+  /**
+   * Drop the connection, as if the device reset or went out of range.
+   */
+  simulateDisconnect() {
+    if (!this.#connected) return;
+
+    this.#connected = false;
+    if (this.state === 'finished') this.#reboot();
+
+    for (const handler of this.#disconnectHandlers) {
+      handler(new Event('gattserverdisconnected'));
+    }
+  }
+
+  /**
+   * Connect to the target.
+   * @param {Object} [options] - Connection options, accepted for interface compatibility.
+   * @returns {Promise<void>}
+   */
+  async connect(_options) {
+    await this.#operation('connect');
+    this.#connected = true;
+  }
+
+  /**
+   * Disconnect from the target.
+   */
+  disconnect() {
+    this.simulateDisconnect();
+  }
+
+  /**
+   * Check if connected to the target.
+   * @returns {boolean} True if connected, false otherwise.
+   */
+  get connected() {
+    return this.#connected;
+  }
+
+  /**
+   * Add a disconnect handler.
+   * @param {Function} handler - The disconnect handler function.
+   */
+  addDisconnectHandler(handler) {
+    this.#disconnectHandlers.add(handler);
+  }
+
+  /**
+   * Remove a disconnect handler.
+   * @param {Function} handler - The disconnect handler function.
+   */
+  removeDisconnectHandler(handler) {
+    this.#disconnectHandlers.delete(handler);
+  }
+
+  /**
+   * Get a characteristic of a primary service.
+   * @param {string} service - Service UUID.
+   * @param {string} characteristic - Characteristic UUID.
+   * @throws {DOMException} with name 'NotFoundError' if the characteristic doesn't exist.
+   * @returns {Promise<import('./WebBluetoothTransport.js').GattCharacteristic>} The characteristic.
+   */
+  async getCharacteristic(service, characteristic) {
+    if (!this.#connected) throw networkError('GATT Server is disconnected.');
+    if (service !== GBL_OTA_SERVICE_UUID) {
+      throw new DOMException(`No Services matching UUID ${service} found in Device.`, 'NotFoundError');
+    }
+
+    const read = (encode) => ({
+      readValue: async () => {
+        await this.#operation('read');
+        return encode();
+      },
+    });
+
+    switch (characteristic) {
+      case GBL_OTA_CHARACTERISTIC_UUID.OTA_CONTROL:
+        return this.#writable((data) => this.#control(data));
+      case GBL_OTA_CHARACTERISTIC_UUID.OTA_DATA:
+        if (this.mode === 'application') break;
+        return this.#writable((data, withResponse) => this.#data(data, withResponse));
+      case GBL_OTA_CHARACTERISTIC_UUID.APPLOADER_VERSION:
+        return read(() => {
+          const { major, minor, patch, build } = this.appLoaderVersion;
+          const view = new DataView(new ArrayBuffer(8));
+          view.setUint16(0, major, true);
+          view.setUint16(2, minor, true);
+          view.setUint16(4, patch, true);
+          view.setUint16(6, build, true);
+          return view;
+        });
+      case GBL_OTA_CHARACTERISTIC_UUID.OTA_VERSION:
+        return read(() => new DataView(Uint8Array.of(this.otaVersion).buffer));
+      case GBL_OTA_CHARACTERISTIC_UUID.GECKO_BOOTLOADER_VERSION:
+        return read(() => {
+          const { major, minor, customer } = this.geckoBootloaderVersion;
+          return new DataView(Uint8Array.of(customer & 0xff, customer >>> 8, minor, major).buffer);
+        });
+      case GBL_OTA_CHARACTERISTIC_UUID.APPLICATION_VERSION:
+        return read(() => {
+          const view = new DataView(new ArrayBuffer(4));
+          view.setUint32(0, this.applicationVersion, true);
+          return view;
+        });
+    }
+
+    throw new DOMException(`No Characteristics matching UUID ${characteristic} found in Service.`, 'NotFoundError');
+  }
+
+  #writable(write) {
+    const writeValue = async (value, withResponse) => {
+      await this.#operation('write');
+      const data = ArrayBuffer.isView(value)
+        ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice()
+        : new Uint8Array(value.slice(0));
+      write(data, withResponse);
+    };
+
+    return {
+      writeValueWithResponse: (value) => writeValue(value, true),
+      writeValueWithoutResponse: (value) => writeValue(value, false),
+    };
+  }
+
+  #control([command]) {
+    this.controlWrites.push(command);
+
+    switch (command) {
+      case GBL_OTA_COMMAND.START_OTA:
+        // Applications reboot into AppLoader, dropping the connection after acknowledging the command
+        if (this.mode === 'application') {
+          this.mode = 'apploader';
+          setTimeout(() => this.simulateDisconnect());
+          break;
+        }
+
+        this.state = 'receiving';
+        this.#received = [];
+        this.#receivedLength = 0;
+        break;
+      case GBL_OTA_COMMAND.FINISH_OTA:
+        this.state = 'finished';
+        break;
+      case GBL_OTA_COMMAND.CLOSE_CONNECTION:
+        // The device closes the connection after acknowledging the command
+        setTimeout(() => this.simulateDisconnect());
+        break;
+      default:
+        throw new DOMException('GATT operation not permitted.', 'NotSupportedError');
+    }
+  }
+
+  #reboot() {
+    // AppLoader installs the uploaded image, and boots into the application
+    if (!this.rejectUpdate) {
+      try {
+        const version = new GeckoBootloaderImage(this.data.buffer).application?.version;
+        if (version !== undefined) this.applicationVersion = version;
+      } catch {
+        // Not a valid GBL image, keep the previous application
+      }
+    }
+
+    this.mode = 'application';
+    this.state = 'idle';
+  }
+
+  #data(data, withResponse) {
+    if (this.state !== 'receiving') throw new DOMException('GATT operation not permitted.', 'NotSupportedError');
+
+    if (this.#disconnectAfter !== null && this.#receivedLength + data.length > this.#disconnectAfter) {
+      this.#disconnectAfter = null;
+      this.simulateDisconnect();
+      throw networkError('GATT Server is disconnected.');
+    }
+
+    this.dataWrites.push({ data, withResponse });
+    this.#received.push(data);
+    this.#receivedLength += data.length;
+  }
+
+  async #operation(operation) {
+    if (this.#latency > 0) await new Promise((r) => setTimeout(r, this.#latency));
+    if (operation !== 'connect' && !this.#connected) throw networkError('GATT Server is disconnected.');
+
+    const error = this.#failures.get(operation);
+    if (error) {
+      this.#failures.delete(operation);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Simulated Serial Bootloader
+ *
+ * In-memory byte stream transport emulating the UART menu of the Gecko standalone bootloader, for testing serial
+ * uploads without hardware. Prints the menu and bootloader information, receives GBL images using XMODEM-CRC, and
+ * acknowledges each packet with ACK or NAK depending on its block number and CRC. Can inject NAKs, drop packets and
+ * reject uploads.
+ */
+
+import { crc16 } from './crc16.js';
+import { GeckoBootloaderImage } from './GeckoBootloaderImage.js';
+
+// XMODEM control characters
+const SOH = 0x01;
+const EOT = 0x04;
+const ACK = 0x06;
+const NAK = 0x15;
+const CAN = 0x18;
+const CRC_MODE = 0x43; // 'C'
+
+const XMODEM_BLOCK_SIZE = 128;
+const XMODEM_PACKET_SIZE = XMODEM_BLOCK_SIZE + 5;
+
+/**
+ * Simulated Serial Bootloader
+ */
+export class SimulatedSerialBootloader {
+  #output;
+  #input = [];
+  #blocks = [];
+  #naks = 0;
+  #drops = 0;
+  #crcRequests;
+
+  /**
+   * Bytes written by the client, readable by the bootloader.
+   * @type {WritableStream<Uint8Array>}
+   */
+  writable;
+
+  /**
+   * Bytes printed by the bootloader, readable by the client.
+   * @type {ReadableStream<Uint8Array>}
+   */
+  readable;
+
+  /**
+   * Bootloader version shown in the menu banner.
+   * @type {string}
+   */
+  version;
+
+  /**
+   * Text printed by the "ebl info" menu option.
+   * @type {string}
+   */
+  info;
+
+  /**
+   * Application version, updated when a valid GBL image with an application tag is uploaded.
+   * @type {number}
+   */
+  applicationVersion;
+
+  /**
+   * Whether uploads are aborted after the transfer completes, as if the bootloader rejected the image.
+   * @type {boolean}
+   */
+  rejectUpdate = false;
+
+  /**
+   * Number of packets received, including retransmissions.
+   * @type {number}
+   */
+  packets = 0;
+
+  /**
+   * Bootloader state: 'menu' when showing the menu, 'receiving' during an XMODEM upload, 'running' after the run
+   * option exits the bootloader.
+   * @type {("menu" | "receiving" | "running")}
+   */
+  state = 'menu';
+
+  /**
+   * Create an instance of the SimulatedSerialBootloader class.
+   * @param {Object} [options] - Bootloader options.
+   * @param {string} [options.version="1.12.0"] - Bootloader version.
+   * @param {string} [options.info] - Text printed by the "ebl info" menu option.
+   * @param {number} [options.applicationVersion=0x00010000] - Application version.
+   * @param {number} [options.crcRequests=1] - Number of CRC mode requests ('C') sent when an upload starts, as the
+   *   bootloader repeats them until the first packet arrives.
+   */
+  constructor({
+    version = '1.12.0',
+    info = 'Simulated bootloader',
+    applicationVersion = 0x00010000,
+    crcRequests = 1,
+  } = {}) {
+    this.version = version;
+    this.info = info;
+    this.applicationVersion = applicationVersion;
+    this.#crcRequests = crcRequests;
+
+    this.readable = new ReadableStream({
+      start: (controller) => {
+        this.#output = controller;
+      },
+    });
+    this.writable = new WritableStream({
+      write: (chunk) => {
+        for (const byte of chunk) this.#receive(byte);
+      },
+    });
+  }
+
+  /**
+   * Data received by the last upload, padded to whole XMODEM blocks.
+   * @type {Uint8Array}
+   */
+  get data() {
+    const data = new Uint8Array(this.#blocks.length * XMODEM_BLOCK_SIZE);
+    this.#blocks.forEach((block, index) => {
+      data.set(block, index * XMODEM_BLOCK_SIZE);
+    });
+
+    return data;
+  }
+
+  /**
+   * Reply with NAK to the next packets, even if they are valid.
+   * @param {number} [count=1] - Number of packets.
+   * @returns {SimulatedSerialBootloader} This bootloader, for chaining.
+   */
+  nakNext(count = 1) {
+    this.#naks = count;
+    return this;
+  }
+
+  /**
+   * Ignore the next packets without replying, as if they were lost on the line.
+   * @param {number} [count=1] - Number of packets.
+   * @returns {SimulatedSerialBootloader} This bootloader, for chaining.
+   */
+  dropNext(count = 1) {
+    this.#drops = count;
+    return this;
+  }
+
+  #receive(byte) {
+    if (this.state === 'running') return;
+    if (this.state === 'receiving') {
+      this.#receivePacketByte(byte);
+      return;
+    }
+
+    // Echo menu options, and print the menu for any other input, once per line
+    switch (String.fromCharCode(byte)) {
+      case '1':
+        this.#print('1\r\nbegin upload\r\n');
+        this.state = 'receiving';
+        this.#blocks = [];
+        for (let i = 0; i < this.#crcRequests; i++) this.#write(CRC_MODE);
+        break;
+      case '2':
+        this.#print('2\r\n');
+        this.state = 'running';
+        break;
+      case '3':
+        this.#print(`3\r\n${this.info}\r\n`);
+        this.#printMenu();
+        break;
+      case '\n':
+        break;
+      default:
+        this.#printMenu();
+    }
+  }
+
+  #receivePacketByte(byte) {
+    if (this.#input.length === 0) {
+      if (byte === EOT) {
+        this.#write(ACK);
+        this.#finish();
+      } else if (byte === CAN) {
+        this.state = 'menu';
+        this.#printMenu();
+      } else if (byte === SOH) {
+        this.#input.push(byte);
+      }
+
+      // Ignore anything else between packets
+      return;
+    }
+
+    this.#input.push(byte);
+    if (this.#input.length < XMODEM_PACKET_SIZE) return;
+
+    const packet = Uint8Array.from(this.#input);
+    this.#input = [];
+    this.packets++;
+
+    if (this.#drops > 0) {
+      this.#drops--;
+      return;
+    }
+
+    const [, block, complement] = packet;
+    const payload = packet.subarray(3, 3 + XMODEM_BLOCK_SIZE);
+    const crc = (packet[XMODEM_PACKET_SIZE - 2] << 8) | packet[XMODEM_PACKET_SIZE - 1];
+    const expected = (this.#blocks.length + 1) & 0xff;
+
+    if (this.#naks > 0 || (block ^ complement) !== 0xff || crc !== crc16(payload)) {
+      this.#naks = Math.max(0, this.#naks - 1);
+      this.#write(NAK);
+    } else if (block === expected) {
+      this.#blocks.push(payload.slice());
+      this.#write(ACK);
+    } else if (block === ((expected - 1) & 0xff)) {
+      // Retransmission of a block whose ACK was lost
+      this.#write(ACK);
+    } else {
+      this.#write(NAK);
+    }
+  }
+
+  #finish() {
+    this.state = 'menu';
+
+    let image;
+    try {
+      image = new GeckoBootloaderImage(this.data.buffer);
+    } catch {
+      // Reported as invalid below
+    }
+
+    if (this.rejectUpdate || !image?.isValid()) {
+      this.#print('\r\nSerial upload aborted\r\nInvalid image\r\n');
+    } else {
+      if (image.application) this.applicationVersion = image.application.version;
+      this.#print('\r\nSerial upload complete\r\n');
+    }
+
+    this.#printMenu();
+  }
+
+  #printMenu() {
+    this.#print(`\r\nGecko Bootloader v${this.version}\r\n1. upload gbl\r\n2. run\r\n3. ebl info\r\nBL > `);
+  }
+
+  #print(text) {
+    this.#output.enqueue(new TextEncoder().encode(text));
+  }
+
+  #write(byte) {
+    this.#output.enqueue(Uint8Array.of(byte));
+  }
+}
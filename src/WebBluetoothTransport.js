@@ -0,0 +1,118 @@
+/**
+ * Web Bluetooth Transport
+ *
+ * GATT transport for {@link GeckoBootloaderClient} using the Web Bluetooth API.
+ *
+ * API documentation:
+ * https://developer.mozilla.org/en-US/docs/Web/API/Web_Bluetooth_API
+ */
+
+/**
+ * Characteristic interface used by {@link GeckoBootloaderClient}, matching Web Bluetooth's
+ * `BluetoothRemoteGATTCharacteristic`.
+ * @typedef {Object} GattCharacteristic
+ * @property {() => Promise<DataView>} readValue - Read the characteristic value.
+ * @property {(value: BufferSource) => Promise<void>} writeValueWithResponse - Write, waiting for acknowledgement.
+ * @property {(value: BufferSource) => Promise<void>} writeValueWithoutResponse - Write, without acknowledgement.
+ */
+
+/**
+ * Transport interface used by {@link GeckoBootloaderClient}.
+ * @typedef {Object} GattTransport
+ * @property {(options: {timeout: number}) => Promise<void>} connect - Connect to the GATT server.
+ * @property {() => void} disconnect - Disconnect from the GATT server.
+ * @property {boolean} connected - Whether the GATT server is connected.
+ * @property {(handler: Function) => void} addDisconnectHandler - Add a disconnect handler.
+ * @property {(handler: Function) => void} removeDisconnectHandler - Remove a disconnect handler.
+ * @property {(service: string, characteristic: string) => Promise<GattCharacteristic>} getCharacteristic - Get a
+ *   characteristic of a primary service, rejecting with a 'NotFoundError' if it doesn't exist.
+ * @property {number} [mtu] - Negotiated ATT MTU, if known.
+ */
+
+/**
+ * Web Bluetooth Transport
+ * @implements {GattTransport}
+ */
+export class WebBluetoothTransport {
+  #device;
+
+  /**
+   * Create an instance of the WebBluetoothTransport class.
+   * @param {BluetoothDevice} device - The Bluetooth device to connect to.
+   */
+  constructor(device) {
+    this.#device = device;
+  }
+
+  /**
+   * The Bluetooth device.
+   * @type {BluetoothDevice}
+   */
+  get device() {
+    return this.#device;
+  }
+
+  /**
+   * Connect to the GATT server.
+   * @param {Object} options - Connection options.
+   * @param {number} options.timeout - Connection timeout in milliseconds.
+   * @throws {Error} If the connection times out or fails.
+   * @returns {Promise<void>}
+   */
+  async connect({ timeout = 15000 } = {}) {
+    let timer;
+    await Promise.race([
+      this.#device.gatt.connect(),
+
+      new Promise((_resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error('Connection timed out');
+          error.name = 'TimeoutError';
+          error.code = 'ETIMEDOUT';
+          reject(error);
+        }, timeout);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Disconnect from the GATT server.
+   */
+  disconnect() {
+    this.#device.gatt.disconnect();
+  }
+
+  /**
+   * Check if connected to the GATT server.
+   * @returns {boolean} True if connected, false otherwise.
+   */
+  get connected() {
+    return this.#device.gatt.connected ?? false;
+  }
+
+  /**
+   * Add a disconnect handler.
+   * @param {Function} handler - The disconnect handler function.
+   */
+  addDisconnectHandler(handler) {
+    this.#device.addEventListener('gattserverdisconnected', handler);
+  }
+
+  /**
+   * Remove a disconnect handler.
+   * @param {Function} handler - The disconnect handler function.
+   */
+  removeDisconnectHandler(handler) {
+    this.#device.removeEventListener('gattserverdisconnected', handler);
+  }
+
+  /**
+   * Get a characteristic of a primary service.
+   * @param {string} service - Service UUID.
+   * @param {string} characteristic - Characteristic UUID.
+   * @returns {Promise<BluetoothRemoteGATTCharacteristic>} The characteristic.
+   */
+  async getCharacteristic(service, characteristic) {
+    return (await this.#device.gatt.getPrimaryService(service)).getCharacteristic(characteristic);
+  }
+}
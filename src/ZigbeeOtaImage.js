@@ -0,0 +1,345 @@
+/**
+ * Zigbee OTA Image
+ *
+ * Parses and builds Zigbee OTA upgrade files (.ota), the container Zigbee devices download firmware in. For EFR32
+ * devices the upgrade image sub-element holds a GBL image.
+ *
+ * See the Zigbee Cluster Library specification, section 11.4 "OTA File Format":
+ * https://csa-iot.org/developer-resource/specifications-download-request/
+ */
+
+import { concat } from './encoding.js';
+import { GeckoBootloaderImage } from './GeckoBootloaderImage.js';
+
+// OTA upgrade file identifier
+export const ZIGBEE_OTA_FILE_ID = 0x0beef11e;
+
+// Supported OTA header version
+export const ZIGBEE_OTA_HEADER_VERSION = 0x0100;
+
+// Size of the header without any of the optional fields
+const HEADER_SIZE = 56;
+
+// Size of the header string field
+const HEADER_STRING_SIZE = 32;
+
+/**
+ * Header field control flags, indicating which optional header fields are present
+ * @enum {number}
+ */
+export const ZIGBEE_OTA_FIELD_CONTROL = {
+  SECURITY_CREDENTIAL_VERSION: 1 << 0,
+  DEVICE_SPECIFIC: 1 << 1,
+  HARDWARE_VERSIONS: 1 << 2,
+};
+
+/**
+ * Sub-element tag IDs
+ * @enum {number}
+ */
+export const ZIGBEE_OTA_TAG = {
+  UPGRADE_IMAGE: 0x0000,
+  ECDSA_SIGNATURE: 0x0001,
+  ECDSA_SIGNING_CERTIFICATE: 0x0002,
+  IMAGE_INTEGRITY_CODE: 0x0003,
+  PICTURE_DATA: 0x0004,
+  ECDSA_SIGNATURE_SUITE_2: 0x0005,
+  ECDSA_SIGNING_CERTIFICATE_SUITE_2: 0x0006,
+};
+
+/**
+ * Zigbee stack versions
+ * @enum {number}
+ */
+export const ZIGBEE_STACK_VERSION = {
+  ZIGBEE_2006: 0x0000,
+  ZIGBEE_2007: 0x0001,
+  ZIGBEE_PRO: 0x0002,
+  ZIGBEE_IP: 0x0003,
+};
+
+/**
+ * Zigbee OTA Image class
+ * Parses a Zigbee OTA upgrade file and gives access to the GBL image it contains.
+ */
+export class ZigbeeOtaImage {
+  /**
+   * OTA header version.
+   * @type {number}
+   */
+  headerVersion = ZIGBEE_OTA_HEADER_VERSION;
+
+  /**
+   * Header field control, see {@link ZIGBEE_OTA_FIELD_CONTROL}.
+   * @type {number}
+   */
+  fieldControl = 0;
+
+  /**
+   * Manufacturer code assigned by the Zigbee Alliance.
+   * @type {number}
+   */
+  manufacturerCode = 0;
+
+  /**
+   * Manufacturer specific image type.
+   * @type {number}
+   */
+  imageType = 0;
+
+  /**
+   * File version, which devices compare with their current version to decide whether to upgrade.
+   * @type {number}
+   */
+  fileVersion = 0;
+
+  /**
+   * Zigbee stack version, see {@link ZIGBEE_STACK_VERSION}.
+   * @type {number}
+   */
+  stackVersion = ZIGBEE_STACK_VERSION.ZIGBEE_PRO;
+
+  /**
+   * Human readable description of the file.
+   * @type {string}
+   */
+  headerString = '';
+
+  /**
+   * Total size of the file in bytes, including the header.
+   * @type {number}
+   */
+  totalImageSize = 0;
+
+  /**
+   * Security credential version, if present.
+   * @type {?number}
+   */
+  securityCredentialVersion = null;
+
+  /**
+   * IEEE address of the device the file is for, if the file is device specific.
+   * @type {?Uint8Array}
+   */
+  upgradeFileDestination = null;
+
+  /**
+   * Minimum hardware version the file applies to, if present.
+   * @type {?number}
+   */
+  minimumHardwareVersion = null;
+
+  /**
+   * Maximum hardware version the file applies to, if present.
+   * @type {?number}
+   */
+  maximumHardwareVersion = null;
+
+  /**
+   * Zigbee OTA sub-element.
+   * @typedef {Object} ZigbeeOtaSubElement
+   * @property {number} tag - Tag ID, see {@link ZIGBEE_OTA_TAG}.
+   * @property {Uint8Array} data - Sub-element data.
+   */
+
+  /**
+   * Sub-elements, in file order.
+   * @type {ZigbeeOtaSubElement[]}
+   */
+  subElements = [];
+
+  /**
+   * Creates an instance of the ZigbeeOtaImage class.
+   * @param {ArrayBuffer} buffer - The OTA file buffer.
+   * @throws {Error} If the file is malformed.
+   */
+  constructor(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < HEADER_SIZE || view.getUint32(0, true) !== ZIGBEE_OTA_FILE_ID) {
+      throw new Error('Not a Zigbee OTA file');
+    }
+
+    this.headerVersion = view.getUint16(4, true);
+    if (this.headerVersion !== ZIGBEE_OTA_HEADER_VERSION) {
+      throw new Error(`Unsupported OTA header version 0x${this.headerVersion.toString(16).padStart(4, '0')}`);
+    }
+
+    const headerLength = view.getUint16(6, true);
+    this.fieldControl = view.getUint16(8, true);
+    this.manufacturerCode = view.getUint16(10, true);
+    this.imageType = view.getUint16(12, true);
+    this.fileVersion = view.getUint32(14, true);
+    this.stackVersion = view.getUint16(18, true);
+
+    const headerString = new Uint8Array(buffer, 20, HEADER_STRING_SIZE);
+    const end = headerString.indexOf(0);
+    this.headerString = new TextDecoder().decode(end === -1 ? headerString : headerString.subarray(0, end));
+
+    this.totalImageSize = view.getUint32(52, true);
+    if (this.totalImageSize > buffer.byteLength) throw new Error('Total image size exceeds file size');
+
+    // Optional fields follow in a fixed order, each present if its field control flag is set
+    const optionalSize =
+      (this.fieldControl & ZIGBEE_OTA_FIELD_CONTROL.SECURITY_CREDENTIAL_VERSION ? 1 : 0) +
+      (this.fieldControl & ZIGBEE_OTA_FIELD_CONTROL.DEVICE_SPECIFIC ? 8 : 0) +
+      (this.fieldControl & ZIGBEE_OTA_FIELD_CONTROL.HARDWARE_VERSIONS ? 4 : 0);
+    if (headerLength < HEADER_SIZE + optionalSize || headerLength > this.totalImageSize) {
+      throw new Error('Invalid OTA header length');
+    }
+
+    let offset = HEADER_SIZE;
+    if (this.fieldControl & ZIGBEE_OTA_FIELD_CONTROL.SECURITY_CREDENTIAL_VERSION) {
+      this.securityCredentialVersion = view.getUint8(offset);
+      offset += 1;
+    }
+    if (this.fieldControl & ZIGBEE_OTA_FIELD_CONTROL.DEVICE_SPECIFIC) {
+      this.upgradeFileDestination = new Uint8Array(buffer.slice(offset, offset + 8));
+      offset += 8;
+    }
+    if (this.fieldControl & ZIGBEE_OTA_FIELD_CONTROL.HARDWARE_VERSIONS) {
+      this.minimumHardwareVersion = view.getUint16(offset, true);
+      this.maximumHardwareVersion = view.getUint16(offset + 2, true);
+      offset += 4;
+    }
+
+    offset = headerLength;
+    while (offset < this.totalImageSize) {
+      if (offset + 6 > this.totalImageSize) throw new Error('Truncated sub-element header');
+
+      const tag = view.getUint16(offset, true);
+      const length = view.getUint32(offset + 2, true);
+      offset += 6;
+      if (offset + length > this.totalImageSize) throw new Error('Sub-element length exceeds image size');
+
+      this.subElements.push({ tag, data: new Uint8Array(buffer.slice(offset, offset + length)) });
+      offset += length;
+    }
+  }
+
+  /**
+   * Wrap a GBL image in a Zigbee OTA file.
+   * @param {ArrayBuffer} gbl - The GBL image file.
+   * @param {Object} options - Header fields.
+   * @param {number} options.manufacturerCode - Manufacturer code.
+   * @param {number} options.imageType - Manufacturer specific image type.
+   * @param {number} [options.fileVersion] - File version. Defaults to the application version of the GBL image.
+   * @param {number} [options.stackVersion=ZIGBEE_STACK_VERSION.ZIGBEE_PRO] - Zigbee stack version.
+   * @param {string} [options.headerString=""] - Description of the file, at most 32 bytes when UTF-8 encoded.
+   * @param {number} [options.securityCredentialVersion] - Security credential version.
+   * @param {Uint8Array} [options.upgradeFileDestination] - IEEE address of the device the file is for.
+   * @param {number} [options.minimumHardwareVersion] - Minimum hardware version, requires the maximum as well.
+   * @param {number} [options.maximumHardwareVersion] - Maximum hardware version, requires the minimum as well.
+   * @param {ZigbeeOtaSubElement[]} [options.subElements] - Additional sub-elements to append after the upgrade image.
+   * @returns {ArrayBuffer} The OTA file contents.
+   * @throws {Error} If the GBL image or a header field is invalid.
+   */
+  static wrap(
+    gbl,
+    {
+      manufacturerCode,
+      imageType,
+      fileVersion,
+      stackVersion = ZIGBEE_STACK_VERSION.ZIGBEE_PRO,
+      headerString = '',
+      securityCredentialVersion,
+      upgradeFileDestination,
+      minimumHardwareVersion,
+      maximumHardwareVersion,
+      subElements = [],
+    },
+  ) {
+    if (manufacturerCode === undefined || imageType === undefined) {
+      throw new Error('Manufacturer code and image type are required');
+    }
+
+    fileVersion ??= new GeckoBootloaderImage(gbl).application?.version;
+    if (fileVersion === undefined) throw new Error('GBL image has no application tag, a file version is required');
+
+    const headerStringBytes = new TextEncoder().encode(headerString);
+    if (headerStringBytes.length > HEADER_STRING_SIZE) throw new Error('Header string is too long');
+    if (upgradeFileDestination !== undefined && upgradeFileDestination.length !== 8) {
+      throw new Error('Invalid upgrade file destination length');
+    }
+    if ((minimumHardwareVersion === undefined) !== (maximumHardwareVersion === undefined)) {
+      throw new Error('Both minimum and maximum hardware versions are required');
+    }
+
+    let fieldControl = 0;
+    const optional = [];
+    if (securityCredentialVersion !== undefined) {
+      fieldControl |= ZIGBEE_OTA_FIELD_CONTROL.SECURITY_CREDENTIAL_VERSION;
+      optional.push(Uint8Array.of(securityCredentialVersion));
+    }
+    if (upgradeFileDestination !== undefined) {
+      fieldControl |= ZIGBEE_OTA_FIELD_CONTROL.DEVICE_SPECIFIC;
+      optional.push(upgradeFileDestination);
+    }
+    if (minimumHardwareVersion !== undefined) {
+      fieldControl |= ZIGBEE_OTA_FIELD_CONTROL.HARDWARE_VERSIONS;
+      const versions = new Uint8Array(4);
+      new DataView(versions.buffer).setUint16(0, minimumHardwareVersion, true);
+      new DataView(versions.buffer).setUint16(2, maximumHardwareVersion, true);
+      optional.push(versions);
+    }
+
+    const elements = [{ tag: ZIGBEE_OTA_TAG.UPGRADE_IMAGE, data: new Uint8Array(gbl) }, ...subElements].map(
+      ({ tag, data }) => {
+        const element = new Uint8Array(6 + data.length);
+        const view = new DataView(element.buffer);
+        view.setUint16(0, tag, true);
+        view.setUint32(2, data.length, true);
+        element.set(data, 6);
+        return element;
+      },
+    );
+
+    const header = new Uint8Array(HEADER_SIZE);
+    const headerLength = HEADER_SIZE + optional.reduce((sum, field) => sum + field.length, 0);
+    const bytes = concat([header, ...optional, ...elements]);
+
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, ZIGBEE_OTA_FILE_ID, true);
+    view.setUint16(4, ZIGBEE_OTA_HEADER_VERSION, true);
+    view.setUint16(6, headerLength, true);
+    view.setUint16(8, fieldControl, true);
+    view.setUint16(10, manufacturerCode, true);
+    view.setUint16(12, imageType, true);
+    view.setUint32(14, fileVersion, true);
+    view.setUint16(18, stackVersion, true);
+    bytes.set(headerStringBytes, 20);
+    view.setUint32(52, bytes.length, true);
+
+    return bytes.buffer;
+  }
+
+  /**
+   * Data of the upgrade image sub-element, null if there is none.
+   * @type {?Uint8Array}
+   */
+  get upgradeImage() {
+    return this.subElements.find(({ tag }) => tag === ZIGBEE_OTA_TAG.UPGRADE_IMAGE)?.data ?? null;
+  }
+
+  /**
+   * Parse the GBL image in the upgrade image sub-element.
+   * @returns {GeckoBootloaderImage} The parsed GBL image.
+   * @throws {Error} If there is no upgrade image, or it is not a valid GBL image.
+   */
+  toGeckoBootloaderImage() {
+    const data = this.upgradeImage;
+    if (!data) throw new Error('OTA file has no upgrade image');
+
+    return new GeckoBootloaderImage(data.slice().buffer);
+  }
+
+  /**
+   * Check that the file version matches the application version of the GBL image, as devices decide whether to
+   * upgrade based on the file version, but report the application version after upgrading.
+   * @returns {?boolean} True if the versions match, null if the GBL image has no (unencrypted) application tag.
+   * @throws {Error} If there is no upgrade image, or it is not a valid GBL image.
+   */
+  fileVersionMatches() {
+    const version = this.toGeckoBootloaderImage().application?.version;
+    return version === undefined ? null : version === this.fileVersion;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * GBL AES-CCM encryption
+ *
+ * GBL images are encrypted using the counter mode part of AES-CCM, without a message authentication code (signing the
+ * image provides authenticity instead). This is equivalent to AES-CTR with a CCM counter block: a flags byte of 0x02,
+ * followed by the 12-byte nonce and a 24-bit big-endian counter starting at 1.
+ *
+ * Uses the WebCrypto API, available in both browsers and Node.js.
+ */
+
+/**
+ * Build the initial AES-CTR counter block for a nonce.
+ * @param {Uint8Array} nonce - The 12-byte nonce.
+ * @returns {Uint8Array} The counter block.
+ */
+function counterBlock(nonce) {
+  if (nonce.length !== 12) throw new Error('Invalid nonce length');
+
+  const counter = new Uint8Array(16);
+  counter[0] = 0x02;
+  counter.set(nonce, 1);
+  counter[15] = 1;
+
+  return counter;
+}
+
+/**
+ * Import an AES-128 key for use with {@link aesCcmCrypt}.
+ * @param {Uint8Array|ArrayBuffer|CryptoKey} key - Raw 128-bit key, or an AES-CTR CryptoKey.
+ * @returns {Promise<CryptoKey>} The imported key.
+ */
+async function importKey(key) {
+  if (!(key instanceof Uint8Array || key instanceof ArrayBuffer)) return key;
+  if (key.byteLength !== 16) throw new Error('Invalid AES-128 key length');
+
+  return crypto.subtle.importKey('raw', key, 'AES-CTR', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt or decrypt GBL data. Counter mode is symmetric, so the same operation does both.
+ * @param {Uint8Array|ArrayBuffer|CryptoKey} key - Raw 128-bit key, or an AES-CTR CryptoKey.
+ * @param {Uint8Array} nonce - The 12-byte nonce from the encryption init tag.
+ * @param {Uint8Array} data - The data to encrypt or decrypt.
+ * @returns {Promise<Uint8Array>} The encrypted or decrypted data.
+ */
+export async function aesCcmCrypt(key, nonce, data) {
+  const algorithm = { name: 'AES-CTR', counter: counterBlock(nonce), length: 24 };
+  return new Uint8Array(await crypto.subtle.encrypt(algorithm, await importKey(key), data));
+}
@@ -0,0 +1,192 @@
+/**
+ * Application Properties
+ *
+ * Locates and decodes the `ApplicationProperties_t` struct that Gecko applications embed in their flash image, and
+ * checks it against the application tag of a GBL image. The bootloader and the device read the struct from flash,
+ * while tools and AppLoader read the application tag, so the two disagreeing means the image was built inconsistently.
+ *
+ * See the struct definition here:
+ * https://docs.silabs.com/mcu-bootloader/latest/bootloader-api/application-properties
+ */
+
+import { FlashImage } from './FlashImage.js';
+import { formatVersion } from './versionDependency.js';
+
+/**
+ * Magic bytes the struct starts with.
+ * @type {Uint8Array}
+ */
+export const APPLICATION_PROPERTIES_MAGIC = new Uint8Array([
+  0x13, 0xb7, 0x79, 0xfa, 0xc9, 0x25, 0xdd, 0xb7, 0xad, 0xf3, 0xcf, 0xe0, 0xf1, 0xb6, 0x14, 0xb8,
+]);
+
+/**
+ * Signature types of the application
+ * @enum {number}
+ */
+export const GBL_APPLICATION_SIGNATURE = {
+  NONE: 0,
+  ECDSA_P256: 1 << 0,
+  CRC32: 1 << 1,
+  EDDSA_ED25519: 1 << 2,
+};
+
+// Size of the struct up to and including the product ID, present in every struct version
+const BASE_SIZE = 56;
+
+// Size of an ApplicationCertificate_t struct
+const CERTIFICATE_SIZE = 136;
+
+/**
+ * Decoded application properties.
+ * @typedef {Object} ApplicationProperties
+ * @property {number} address - Flash address of the struct.
+ * @property {{major: number, minor: number}} structVersion - Version of the struct layout.
+ * @property {number} signatureType - Signature type, see {@link GBL_APPLICATION_SIGNATURE}.
+ * @property {number} signatureLocation - Flash address of the signature.
+ * @property {import('./GeckoBootloaderImage.js').GblApplication} app - Application information, in the same format as
+ *   the application tag.
+ * @property {?number} certificateAddress - Flash address of the application certificate, null before struct version
+ *   1.1 or if there is none.
+ * @property {?import('./GeckoBootloaderImage.js').GblCertificateEcdsaP256} certificate - The application certificate,
+ *   null if there is none or it lies outside the flash contents.
+ * @property {?number} longTokenSectionAddress - Flash address of the long token section, null before struct version
+ *   1.2 or if there is none.
+ */
+
+/**
+ * Field of the application properties that differs from the application tag.
+ * @typedef {Object} ApplicationPropertiesMismatch
+ * @property {("type" | "version" | "capabilities" | "productId")} field - Name of the field.
+ * @property {number|Uint8Array} tag - Value in the application tag.
+ * @property {number|Uint8Array} properties - Value in the application properties.
+ * @property {string} message - Human readable description.
+ */
+
+/**
+ * Find the segment containing a region, if any.
+ * @param {FlashImage} flash - The flash contents.
+ * @param {number} address - Start address of the region.
+ * @param {number} length - Length of the region in bytes.
+ * @returns {?import('./FlashImage.js').FlashSegment} The segment, or null.
+ */
+function segmentContaining(flash, address, length) {
+  return flash.segments.find((s) => address >= s.address && address + length <= s.address + s.data.length) ?? null;
+}
+
+/**
+ * Decode the struct at an offset of a segment.
+ * @param {import('./FlashImage.js').FlashSegment} segment - The segment containing the struct.
+ * @param {number} offset - Offset of the struct in the segment.
+ * @param {FlashImage} flash - The flash contents, for looking up the certificate.
+ * @returns {ApplicationProperties} The decoded struct.
+ */
+function decode({ address, data }, offset, flash) {
+  const view = new DataView(data.buffer, data.byteOffset + offset, data.length - offset);
+  const word = (position) => (position + 4 <= view.byteLength ? view.getUint32(position, true) : 0);
+
+  // The major version is in the low byte, the minor version in the remaining bits
+  const version = view.getUint32(16, true);
+  const structVersion = { major: version & 0xff, minor: version >>> 8 };
+  const hasField = (minor) => structVersion.major > 1 || (structVersion.major === 1 && structVersion.minor >= minor);
+
+  const properties = {
+    address: address + offset,
+    structVersion,
+    signatureType: view.getUint32(20, true),
+    signatureLocation: view.getUint32(24, true),
+    app: {
+      type: view.getUint32(28, true),
+      version: view.getUint32(32, true),
+      capabilities: view.getUint32(36, true),
+      productId: data.slice(offset + 40, offset + 56),
+    },
+    certificateAddress: (hasField(1) && word(56)) || null,
+    certificate: null,
+    longTokenSectionAddress: (hasField(2) && word(60)) || null,
+  };
+
+  const certificate = properties.certificateAddress
+    ? segmentContaining(flash, properties.certificateAddress, CERTIFICATE_SIZE)
+    : null;
+  if (certificate) {
+    const bytes = certificate.data.subarray(properties.certificateAddress - certificate.address);
+    properties.certificate = {
+      structVersion: bytes[0],
+      flags: bytes.slice(1, 4),
+      key: bytes.slice(4, 68),
+      version: new DataView(bytes.buffer, bytes.byteOffset + 68, 4).getUint32(0, true),
+      signature: bytes.slice(72, 136),
+    };
+  }
+
+  return properties;
+}
+
+/**
+ * Locate and decode the application properties struct in flash contents.
+ *
+ * The struct is word aligned, so only word aligned addresses are searched. If there is more than one match, the first
+ * is returned.
+ * @param {FlashImage} flash - The flash contents, e.g. from {@link FlashImage.fromGeckoBootloaderImage}.
+ * @returns {?ApplicationProperties} The application properties, or null if not found.
+ */
+export function findApplicationProperties(flash) {
+  for (const segment of flash.segments) {
+    const { address, data } = segment;
+    for (let offset = (4 - (address % 4)) % 4; offset + BASE_SIZE <= data.length; offset += 4) {
+      if (APPLICATION_PROPERTIES_MAGIC.every((byte, i) => data[offset + i] === byte)) {
+        return decode(segment, offset, flash);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Application properties check result.
+ * @typedef {Object} ApplicationPropertiesCheck
+ * @property {?ApplicationProperties} properties - The application properties, null if not found.
+ * @property {ApplicationPropertiesMismatch[]} mismatches - Fields that differ from the application tag. Empty if
+ *   either the struct or the tag is missing.
+ */
+
+/**
+ * Locate the application properties in the program data of a GBL image, and check them against its application tag.
+ *
+ * Encrypted images have to be decrypted first, as their program data can't be searched.
+ * @param {import('./GeckoBootloaderImage.js').GeckoBootloaderImage} image - The parsed image.
+ * @returns {ApplicationPropertiesCheck} The application properties and the mismatches found.
+ * @throws {Error} If compressed program data is malformed.
+ */
+export function checkApplicationProperties(image) {
+  const properties = findApplicationProperties(FlashImage.fromGeckoBootloaderImage(image, { bootloader: false }));
+  const mismatches = [];
+  if (!properties || !image.application) return { properties, mismatches };
+
+  const hex = (n) => `0x${n.toString(16).padStart(8, '0')}`;
+  const uuid = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  const fields = {
+    type: hex,
+    version: (v) => `${hex(v)} (${formatVersion(v)})`,
+    capabilities: hex,
+    productId: uuid,
+  };
+
+  for (const [field, format] of Object.entries(fields)) {
+    const tag = image.application[field];
+    const actual = properties.app[field];
+    const same = field === 'productId' ? uuid(tag) === uuid(actual) : tag === actual;
+    if (!same) {
+      mismatches.push({
+        field,
+        tag,
+        properties: actual,
+        message: `Application ${field} ${format(tag)} in the application tag does not match ${format(actual)} in the application properties`,
+      });
+    }
+  }
+
+  return { properties, mismatches };
+}
@@ -0,0 +1,186 @@
+/**
+ * GBL Compatibility Check
+ *
+ * Pre-flight checks comparing a GBL image with what a connected device reports over the OTA service, so problems can
+ * be reported before starting an upload rather than failing part way through.
+ */
+
+import { GBL_TYPE } from './GeckoBootloaderImage.js';
+import { encodeBootloaderVersion, evaluateVersionDependency, formatVersion } from './versionDependency.js';
+
+/**
+ * Reason codes reported by {@link checkCompatibility}
+ * @enum {string}
+ */
+export const GBL_COMPATIBILITY = {
+  /** The image is not a valid GBL image */
+  INVALID_IMAGE: 'invalid-image',
+
+  /** The image application version is older than the version on the device */
+  DOWNGRADE: 'downgrade',
+
+  /** The image application version is the same as the version on the device */
+  SAME_VERSION: 'same-version',
+
+  /** The image bootloader upgrade is older than the bootloader on the device */
+  BOOTLOADER_DOWNGRADE: 'bootloader-downgrade',
+
+  /** The image bootloader upgrade is the same version as the bootloader on the device */
+  BOOTLOADER_SAME_VERSION: 'bootloader-same-version',
+
+  /** The image version dependency is not satisfied by the device */
+  VERSION_DEPENDENCY: 'version-dependency',
+
+  /** The device OTA protocol version is older than required */
+  OTA_VERSION: 'ota-version',
+
+  /** The image is not signed, but a signed image is required */
+  SIGNATURE_REQUIRED: 'signature-required',
+
+  /** The image is not encrypted, but an encrypted image is required */
+  ENCRYPTION_REQUIRED: 'encryption-required',
+
+  /** The image is larger than the space available on the device */
+  IMAGE_TOO_LARGE: 'image-too-large',
+
+  /** A version could not be read from the device */
+  DEVICE_VERSION_UNAVAILABLE: 'device-version-unavailable',
+};
+
+/**
+ * Compatibility check reason.
+ * @typedef {Object} CompatibilityReason
+ * @property {"error" | "warning"} severity - Errors mean the upload should not be started.
+ * @property {GBL_COMPATIBILITY} code - Reason code.
+ * @property {string} message - Human readable description.
+ */
+
+/**
+ * Compatibility check verdict.
+ * @typedef {Object} CompatibilityVerdict
+ * @property {boolean} compatible - True if there are no errors.
+ * @property {CompatibilityReason[]} reasons - Errors and warnings found.
+ * @property {Object} device - Versions reported by the device, null where unavailable.
+ * @property {?number} device.applicationVersion - Application version.
+ * @property {?{major: number, minor: number, customer: number}} device.bootloaderVersion - Gecko Bootloader version.
+ * @property {?number} device.otaVersion - OTA protocol version.
+ */
+
+/**
+ * Read a value from the device, returning null if it's unavailable.
+ * @param {() => Promise<T>} read - Function reading the value.
+ * @returns {Promise<?T>} The value, or null.
+ * @template T
+ */
+async function tryRead(read) {
+  try {
+    return await read();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a GBL image is compatible with a connected device.
+ * @param {import('./GeckoBootloaderImage.js').GeckoBootloaderImage} image - The parsed image.
+ * @param {import('./GeckoBootloaderClient.js').GeckoBootloaderClient} client - Connected client.
+ * @param {Object} [options] - Check options.
+ * @param {boolean} [options.allowDowngrade=false] - Report application downgrades as a warning instead of an error.
+ * @param {boolean} [options.requireSigned=false] - Require the image to be signed.
+ * @param {boolean} [options.requireEncrypted=false] - Require the image to be encrypted.
+ * @param {number} [options.minOtaVersion] - Minimum OTA protocol version required.
+ * @param {number} [options.maxImageSize] - Maximum image size in bytes, e.g. the size of the device's download area.
+ * @returns {Promise<CompatibilityVerdict>} The verdict.
+ */
+export async function checkCompatibility(
+  image,
+  client,
+  { allowDowngrade = false, requireSigned = false, requireEncrypted = false, minOtaVersion, maxImageSize } = {},
+) {
+  const reasons = [];
+  const report = (severity, code, message) => reasons.push({ severity, code, message });
+
+  const device = {
+    applicationVersion: await tryRead(() => client.getApplicationVersion()),
+    bootloaderVersion: await tryRead(() => client.getGeckoBootloaderVersion()),
+    otaVersion: await tryRead(() => client.getOtaVersion()),
+  };
+
+  if (!image.isValid()) {
+    report('error', GBL_COMPATIBILITY.INVALID_IMAGE, 'Image is not a valid GBL image');
+  }
+
+  // Signing and encryption requirements
+  const typeFlags = image.header?.typeFlags ?? 0;
+  if (requireSigned && !(typeFlags & GBL_TYPE.SIGNATURE_ECDSA)) {
+    report('error', GBL_COMPATIBILITY.SIGNATURE_REQUIRED, 'Image is not signed');
+  }
+  if (requireEncrypted && !(typeFlags & GBL_TYPE.ENCRYPTION_AESCCM)) {
+    report('error', GBL_COMPATIBILITY.ENCRYPTION_REQUIRED, 'Image is not encrypted');
+  }
+
+  // Image size
+  if (maxImageSize !== undefined && image.size > maxImageSize) {
+    const message = `Image is ${image.size} bytes, but the device only has space for ${maxImageSize} bytes`;
+    report('error', GBL_COMPATIBILITY.IMAGE_TOO_LARGE, message);
+  }
+
+  // OTA protocol version
+  if (minOtaVersion !== undefined) {
+    if (device.otaVersion === null) {
+      report('warning', GBL_COMPATIBILITY.DEVICE_VERSION_UNAVAILABLE, 'Unable to read the device OTA version');
+    } else if (device.otaVersion < minOtaVersion) {
+      const message = `Device OTA version ${device.otaVersion} is older than the required version ${minOtaVersion}`;
+      report('error', GBL_COMPATIBILITY.OTA_VERSION, message);
+    }
+  }
+
+  // Application version, not available for encrypted images
+  if (image.application) {
+    const imageVersion = image.application.version;
+    if (device.applicationVersion === null) {
+      report('warning', GBL_COMPATIBILITY.DEVICE_VERSION_UNAVAILABLE, 'Unable to read the device application version');
+    } else if (imageVersion < device.applicationVersion) {
+      const message = `This is a downgrade, from ${formatVersion(device.applicationVersion)} to ${formatVersion(imageVersion)}`;
+      report(allowDowngrade ? 'warning' : 'error', GBL_COMPATIBILITY.DOWNGRADE, message);
+    } else if (imageVersion === device.applicationVersion) {
+      const message = `Device is already running application version ${formatVersion(imageVersion)}`;
+      report('warning', GBL_COMPATIBILITY.SAME_VERSION, message);
+    }
+  }
+
+  // Bootloader upgrade version
+  if (image.bootloader) {
+    const imageVersion = encodeBootloaderVersion(image.bootloader.bootloaderVersion);
+    if (device.bootloaderVersion === null) {
+      report('warning', GBL_COMPATIBILITY.DEVICE_VERSION_UNAVAILABLE, 'Unable to read the device bootloader version');
+    } else {
+      const deviceVersion = encodeBootloaderVersion(device.bootloaderVersion);
+      if (imageVersion < deviceVersion) {
+        const message = `Bootloader upgrade ${formatVersion(imageVersion)} is older than the device bootloader ${formatVersion(deviceVersion)}`;
+        report('error', GBL_COMPATIBILITY.BOOTLOADER_DOWNGRADE, message);
+      } else if (imageVersion === deviceVersion) {
+        const message = `Device bootloader is already version ${formatVersion(imageVersion)}`;
+        report('warning', GBL_COMPATIBILITY.BOOTLOADER_SAME_VERSION, message);
+      }
+    }
+  }
+
+  // Version dependency
+  if (image.versionDependency) {
+    const versions = {
+      application: device.applicationVersion ?? undefined,
+      bootloader: device.bootloaderVersion ?? undefined,
+    };
+
+    const { satisfied, description } = evaluateVersionDependency(image.versionDependency, versions);
+    if (satisfied === false) {
+      report('error', GBL_COMPATIBILITY.VERSION_DEPENDENCY, `Device does not satisfy the dependency: ${description}`);
+    } else if (satisfied === null) {
+      const message = `Unable to check the dependency: ${description}`;
+      report('warning', GBL_COMPATIBILITY.DEVICE_VERSION_UNAVAILABLE, message);
+    }
+  }
+
+  return { compatible: !reasons.some((r) => r.severity === 'error'), reasons, device };
+}
@@ -0,0 +1,22 @@
+/**
+ * CRC16 checksum
+ *
+ * XMODEM CRC-16 (CCITT polynomial 0x1021, initial value 0) as used by XMODEM-CRC packets.
+ */
+
+/**
+ * Calculate the XMODEM CRC16 checksum of a byte array.
+ * @param {Uint8Array} bytes - The data to checksum.
+ * @returns {number} The CRC16 checksum.
+ */
+export function crc16(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+    }
+  }
+
+  return crc & 0xffff;
+}
@@ -0,0 +1,24 @@
+/**
+ * CRC32 checksum
+ *
+ * Standard CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320) as used by the GBL end tag.
+ */
+
+/**
+ * Calculate the CRC32 checksum of a byte array.
+ * @param {Uint8Array} bytes - The data to checksum.
+ * @param {number} [crc=0] - A previous checksum to continue from.
+ * @returns {number} The CRC32 checksum.
+ */
+export function crc32(bytes, crc = 0) {
+  crc = ~crc;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let j = 0; j < 8; j++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+
+  return ~crc >>> 0;
+}
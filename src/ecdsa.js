@@ -0,0 +1,138 @@
+/**
+ * GBL ECDSA P-256 keys
+ *
+ * Helpers for importing ECDSA secp256r1 keys in the formats commonly used with GBL images into WebCrypto keys.
+ *
+ * Uses the WebCrypto API, available in both browsers and Node.js.
+ */
+
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+// DER encoded AlgorithmIdentifier for id-ecPublicKey with the prime256v1 curve
+const EC_P256_ALGORITHM_IDENTIFIER = Uint8Array.from('301306072a8648ce3d020106082a8648ce3d030107'.match(/../g), (b) =>
+  Number.parseInt(b, 16),
+);
+
+/**
+ * Encode a DER element.
+ * @param {number} tag - The element tag.
+ * @param {Uint8Array} content - The element contents.
+ * @returns {Uint8Array} The encoded element.
+ */
+function der(tag, content) {
+  const length =
+    content.length < 0x80
+      ? [content.length]
+      : content.length < 0x100
+        ? [0x81, content.length]
+        : [0x82, content.length >>> 8, content.length & 0xff];
+
+  const element = new Uint8Array(1 + length.length + content.length);
+  element[0] = tag;
+  element.set(length, 1);
+  element.set(content, 1 + length.length);
+
+  return element;
+}
+
+/**
+ * Decode a PEM file.
+ * @param {string} pem - The PEM file contents.
+ * @returns {{label: string, der: Uint8Array}} The PEM label and the decoded DER contents.
+ */
+function decodePem(pem) {
+  const match = pem.match(/-----BEGIN ([A-Z ]+)-----([\s\S]*?)-----END \1-----/);
+  if (!match) throw new Error('Invalid PEM key');
+
+  const binary = atob(match[2].replace(/\s+/g, ''));
+  return { label: match[1], der: Uint8Array.from(binary, (c) => c.charCodeAt(0)) };
+}
+
+/**
+ * A public key: a CryptoKey, a PEM (SPKI) string, a JWK, or raw 64-byte (X || Y) or 65-byte uncompressed point bytes.
+ * @typedef {CryptoKey|string|JsonWebKey|Uint8Array} EcdsaPublicKey
+ */
+
+/**
+ * A private key: a CryptoKey, a PEM (PKCS #8 or SEC 1 "EC PRIVATE KEY") string or a JWK.
+ * @typedef {CryptoKey|string|JsonWebKey} EcdsaPrivateKey
+ */
+
+/**
+ * Import an ECDSA P-256 public key for verifying signatures.
+ * @param {EcdsaPublicKey} key - The public key.
+ * @returns {Promise<CryptoKey>} The imported key.
+ */
+export async function importPublicKey(key) {
+  if (typeof key === 'string') {
+    return crypto.subtle.importKey('spki', decodePem(key).der, ALGORITHM, true, ['verify']);
+  }
+
+  if (key instanceof Uint8Array) {
+    if (key.length === 64) key = Uint8Array.of(0x04, ...key);
+    if (key.length !== 65 || key[0] !== 0x04) throw new Error('Invalid raw public key');
+
+    return crypto.subtle.importKey('raw', key, ALGORITHM, true, ['verify']);
+  }
+
+  if (key?.kty) {
+    const { kty, crv, x, y } = key;
+    return crypto.subtle.importKey('jwk', { kty, crv, x, y }, ALGORITHM, true, ['verify']);
+  }
+
+  return key;
+}
+
+/**
+ * Import an ECDSA P-256 private key for signing.
+ * @param {EcdsaPrivateKey} key - The private key.
+ * @returns {Promise<CryptoKey>} The imported key.
+ */
+export async function importPrivateKey(key) {
+  if (typeof key === 'string') {
+    let { label, der: pkcs8 } = decodePem(key);
+
+    // WebCrypto only supports PKCS #8, so wrap SEC 1 keys (as generated by OpenSSL and Simplicity Commander)
+    if (label === 'EC PRIVATE KEY') {
+      pkcs8 = der(0x30, Uint8Array.of(0x02, 0x01, 0x00, ...EC_P256_ALGORITHM_IDENTIFIER, ...der(0x04, pkcs8)));
+    } else if (label !== 'PRIVATE KEY') {
+      throw new Error(`Unsupported PEM key type: ${label}`);
+    }
+
+    return crypto.subtle.importKey('pkcs8', pkcs8, ALGORITHM, true, ['sign']);
+  }
+
+  if (key?.kty) return crypto.subtle.importKey('jwk', key, ALGORITHM, true, ['sign']);
+
+  return key;
+}
+
+/**
+ * Verify an ECDSA P-256 signature over the SHA-256 hash of some data.
+ * @param {EcdsaPublicKey} key - The public key.
+ * @param {Uint8Array} r - R-point of the signature.
+ * @param {Uint8Array} s - S-point of the signature.
+ * @param {Uint8Array} data - The signed data.
+ * @returns {Promise<boolean>} True if the signature is valid.
+ */
+export async function verifyEcdsa(key, r, s, data) {
+  const signature = new Uint8Array(64);
+  signature.set(r, 0);
+  signature.set(s, 32);
+
+  return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, await importPublicKey(key), signature, data);
+}
+
+/**
+ * Create an ECDSA P-256 signature over the SHA-256 hash of some data.
+ * @param {EcdsaPrivateKey} key - The private key.
+ * @param {Uint8Array} data - The data to sign.
+ * @returns {Promise<{r: Uint8Array, s: Uint8Array}>} The signature.
+ */
+export async function signEcdsa(key, data) {
+  const signature = new Uint8Array(
+    await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, await importPrivateKey(key), data),
+  );
+
+  return { r: signature.slice(0, 32), s: signature.slice(32) };
+}
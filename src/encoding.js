@@ -0,0 +1,55 @@
+/**
+ * GBL encoding helpers
+ *
+ * Low-level helpers for encoding GBL tags, shared by the image parser and builder.
+ */
+
+/**
+ * Encode a single tag, including the tag header.
+ * @param {number} id - Tag ID.
+ * @param {...Uint8Array} parts - Tag payload parts, concatenated in order.
+ * @returns {Uint8Array} The encoded tag.
+ */
+export function encodeTag(id, ...parts) {
+  const payload = concat(parts);
+  const tag = new Uint8Array(8 + payload.length);
+  const view = new DataView(tag.buffer);
+
+  view.setUint32(0, id, true);
+  view.setUint32(4, payload.length, true);
+  tag.set(payload, 8);
+
+  return tag;
+}
+
+/**
+ * Encode a list of 32-bit little-endian integers.
+ * @param {...number} values - Values to encode.
+ * @returns {Uint8Array} The encoded values.
+ */
+export function uint32s(...values) {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < values.length; i++) {
+    view.setUint32(i * 4, values[i], true);
+  }
+
+  return bytes;
+}
+
+/**
+ * Concatenate byte arrays.
+ * @param {Uint8Array[]} parts - Arrays to concatenate.
+ * @returns {Uint8Array} The concatenated bytes.
+ */
+export function concat(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+
+  return bytes;
+}
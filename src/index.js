@@ -1,2 +1,43 @@
-export { GBL_OTA_COMMAND, GBL_OTA_SERVICE_UUID, GeckoBootloaderClient } from './GeckoBootloaderClient.js';
-export { GBL_APPLICATION_TYPE, GBL_TYPE, GeckoBootloaderImage } from './GeckoBootloaderImage.js';
+export {
+  APPLICATION_PROPERTIES_MAGIC,
+  checkApplicationProperties,
+  findApplicationProperties,
+  GBL_APPLICATION_SIGNATURE,
+} from './applicationProperties.js';
+export { BatchOtaUpdater, GBL_BATCH_STATUS } from './BatchOtaUpdater.js';
+export { checkCompatibility, GBL_COMPATIBILITY } from './compatibility.js';
+export { EBL_IMAGE_SIGNATURE, EblImage } from './EblImage.js';
+export { FlashImage } from './FlashImage.js';
+export {
+  GBL_OTA_CHARACTERISTIC_UUID,
+  GBL_OTA_COMMAND,
+  GBL_OTA_ERROR,
+  GBL_OTA_SERVICE_UUID,
+  GeckoBootloaderClient,
+} from './GeckoBootloaderClient.js';
+export { GBL_APPLICATION_TYPE, GBL_DIAGNOSTIC, GBL_TYPE, GeckoBootloaderImage } from './GeckoBootloaderImage.js';
+export { GeckoBootloaderImageBuilder } from './GeckoBootloaderImageBuilder.js';
+export { GeckoBootloaderSerialClient } from './GeckoBootloaderSerialClient.js';
+export { lz4Compress, lz4Decompress } from './lz4.js';
+export { lzmaCompress, lzmaDecompress } from './lzma.js';
+export { MATTER_OTA_DIGEST_TYPE, MATTER_OTA_FILE_ID, MatterOtaImage } from './MatterOtaImage.js';
+export { NobleTransport } from './NobleTransport.js';
+export { SimulatedOtaTarget } from './SimulatedOtaTarget.js';
+export { SimulatedSerialBootloader } from './SimulatedSerialBootloader.js';
+export {
+  decodeVersionDependency,
+  evaluateVersionDependency,
+  formatVersion,
+  GBL_VERSION_DEPENDENCY_OPERATOR,
+  GBL_VERSION_DEPENDENCY_TYPE,
+  readDeviceVersions,
+} from './versionDependency.js';
+export { WebBluetoothTransport } from './WebBluetoothTransport.js';
+export {
+  ZIGBEE_OTA_FIELD_CONTROL,
+  ZIGBEE_OTA_FILE_ID,
+  ZIGBEE_OTA_HEADER_VERSION,
+  ZIGBEE_OTA_TAG,
+  ZIGBEE_STACK_VERSION,
+  ZigbeeOtaImage,
+} from './ZigbeeOtaImage.js';
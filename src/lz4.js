@@ -0,0 +1,150 @@
+/**
+ * LZ4 block compression
+ *
+ * Pure JavaScript implementation of the LZ4 block format, as used by the GBL_TAG_ID_PROG_LZ4 tag.
+ *
+ * Format documentation:
+ * https://github.com/lz4/lz4/blob/dev/doc/lz4_Block_format.md
+ */
+
+const MIN_MATCH = 4;
+const MAX_OFFSET = 0xffff;
+
+// The last match must start at least 12 bytes before the end of the block,
+// and the last 5 bytes of the block are always literals.
+const MF_LIMIT = 12;
+const LAST_LITERALS = 5;
+
+const HASH_BITS = 16;
+
+/**
+ * Decompress an LZ4 block.
+ * @param {Uint8Array} input - The compressed block.
+ * @returns {Uint8Array} The decompressed data.
+ * @throws {Error} If the block is malformed.
+ */
+export function lz4Decompress(input) {
+  let output = new Uint8Array(Math.max(input.length * 4, 64));
+  let pos = 0;
+  let i = 0;
+
+  const ensure = (size) => {
+    if (pos + size <= output.length) return;
+
+    const grown = new Uint8Array(Math.max(output.length * 2, pos + size));
+    grown.set(output.subarray(0, pos));
+    output = grown;
+  };
+
+  const readLength = (length) => {
+    if (length !== 15) return length;
+
+    let byte;
+    do {
+      if (i >= input.length) throw new Error('Truncated LZ4 block');
+      byte = input[i++];
+      length += byte;
+    } while (byte === 255);
+
+    return length;
+  };
+
+  while (i < input.length) {
+    const token = input[i++];
+
+    // Copy literals
+    const literalLength = readLength(token >>> 4);
+    if (i + literalLength > input.length) throw new Error('Truncated LZ4 block');
+
+    ensure(literalLength);
+    output.set(input.subarray(i, i + literalLength), pos);
+    pos += literalLength;
+    i += literalLength;
+
+    // The last sequence contains literals only
+    if (i >= input.length) break;
+
+    // Copy match
+    if (i + 2 > input.length) throw new Error('Truncated LZ4 block');
+    const offset = input[i] | (input[i + 1] << 8);
+    i += 2;
+    if (offset === 0 || offset > pos) throw new Error('Invalid LZ4 match offset');
+
+    const matchLength = readLength(token & 0x0f) + MIN_MATCH;
+    ensure(matchLength);
+    for (let j = 0; j < matchLength; j++, pos++) {
+      output[pos] = output[pos - offset];
+    }
+  }
+
+  return output.slice(0, pos);
+}
+
+/**
+ * Compress data into an LZ4 block.
+ * @param {Uint8Array} input - The data to compress.
+ * @returns {Uint8Array} The compressed block.
+ */
+export function lz4Compress(input) {
+  const output = [];
+  const table = new Int32Array(1 << HASH_BITS).fill(-1);
+
+  const hash = (i) =>
+    Math.imul(input[i] | (input[i + 1] << 8) | (input[i + 2] << 16) | (input[i + 3] << 24), 2654435761) >>>
+    (32 - HASH_BITS);
+
+  const writeLength = (length) => {
+    for (; length >= 255; length -= 255) output.push(255);
+    output.push(length);
+  };
+
+  const writeSequence = (literalStart, literalEnd, offset, matchLength) => {
+    const literalLength = literalEnd - literalStart;
+    const token = (Math.min(literalLength, 15) << 4) | (offset ? Math.min(matchLength - MIN_MATCH, 15) : 0);
+
+    output.push(token);
+    if (literalLength >= 15) writeLength(literalLength - 15);
+    for (let j = literalStart; j < literalEnd; j++) output.push(input[j]);
+
+    if (offset) {
+      output.push(offset & 0xff, offset >>> 8);
+      if (matchLength - MIN_MATCH >= 15) writeLength(matchLength - MIN_MATCH - 15);
+    }
+  };
+
+  let anchor = 0;
+  let i = 0;
+  const matchLimit = input.length - MF_LIMIT;
+
+  while (i < matchLimit) {
+    const h = hash(i);
+    const candidate = table[h];
+    table[h] = i;
+
+    if (
+      candidate < 0 ||
+      i - candidate > MAX_OFFSET ||
+      input[candidate] !== input[i] ||
+      input[candidate + 1] !== input[i + 1] ||
+      input[candidate + 2] !== input[i + 2] ||
+      input[candidate + 3] !== input[i + 3]
+    ) {
+      i++;
+      continue;
+    }
+
+    // Extend the match as far as allowed
+    let matchLength = MIN_MATCH;
+    const maxLength = input.length - LAST_LITERALS - i;
+    while (matchLength < maxLength && input[candidate + matchLength] === input[i + matchLength]) matchLength++;
+
+    writeSequence(anchor, i, i - candidate, matchLength);
+    i += matchLength;
+    anchor = i;
+  }
+
+  // Remaining bytes are emitted as literals
+  writeSequence(anchor, input.length, 0, 0);
+
+  return Uint8Array.from(output);
+}
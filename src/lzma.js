@@ -0,0 +1,550 @@
+/**
+ * LZMA compression
+ *
+ * Pure JavaScript implementation of the LZMA "alone" format (13-byte header followed by the LZMA stream), as used by
+ * the GBL_TAG_ID_PROG_LZMA tag.
+ *
+ * Format documentation:
+ * https://github.com/jljusten/LZMA-SDK/blob/master/DOC/lzma-specification.txt
+ */
+
+const HEADER_SIZE = 13;
+
+const NUM_STATES = 12;
+const NUM_POS_BITS_MAX = 4;
+const NUM_LEN_TO_POS_STATES = 4;
+const NUM_ALIGN_BITS = 4;
+const START_POS_MODEL_INDEX = 4;
+const END_POS_MODEL_INDEX = 14;
+const NUM_FULL_DISTANCES = 1 << (END_POS_MODEL_INDEX >>> 1);
+const MATCH_MIN_LEN = 2;
+const MATCH_MAX_LEN = 273;
+
+const PROB_INIT = 1024;
+const NUM_BIT_MODEL_TOTAL_BITS = 11;
+const NUM_MOVE_BITS = 5;
+const TOP_VALUE = 1 << 24;
+
+const HASH_BITS = 16;
+const MAX_CHAIN = 32;
+
+/**
+ * Probability model shared by the encoder and decoder.
+ */
+class LzmaModel {
+  constructor(lc, lp, pb) {
+    this.lc = lc;
+    this.lp = lp;
+    this.pb = pb;
+
+    const probs = (n) => new Uint16Array(n).fill(PROB_INIT);
+    this.literal = probs(0x300 << (lc + lp));
+    this.isMatch = probs(NUM_STATES << NUM_POS_BITS_MAX);
+    this.isRep = probs(NUM_STATES);
+    this.isRepG0 = probs(NUM_STATES);
+    this.isRepG1 = probs(NUM_STATES);
+    this.isRepG2 = probs(NUM_STATES);
+    this.isRep0Long = probs(NUM_STATES << NUM_POS_BITS_MAX);
+    this.posSlot = Array.from({ length: NUM_LEN_TO_POS_STATES }, () => probs(1 << 6));
+    this.posSpecial = probs(1 + NUM_FULL_DISTANCES - END_POS_MODEL_INDEX);
+    this.align = probs(1 << NUM_ALIGN_BITS);
+    this.len = LzmaModel.#lenModel(probs);
+    this.repLen = LzmaModel.#lenModel(probs);
+  }
+
+  static #lenModel(probs) {
+    return {
+      choice: probs(2),
+      low: Array.from({ length: 1 << NUM_POS_BITS_MAX }, () => probs(1 << 3)),
+      mid: Array.from({ length: 1 << NUM_POS_BITS_MAX }, () => probs(1 << 3)),
+      high: probs(1 << 8),
+    };
+  }
+
+  literalProbsOffset(pos, prevByte) {
+    return 0x300 * (((pos & ((1 << this.lp) - 1)) << this.lc) + (prevByte >>> (8 - this.lc)));
+  }
+}
+
+/**
+ * Next state after a literal, match, rep match or short rep.
+ */
+const nextState = {
+  literal: (state) => (state < 4 ? 0 : state < 10 ? state - 3 : state - 6),
+  match: (state) => (state < 7 ? 7 : 10),
+  rep: (state) => (state < 7 ? 8 : 11),
+  shortRep: (state) => (state < 7 ? 9 : 11),
+};
+
+class RangeDecoder {
+  #input;
+  #pos;
+  range = 0xffffffff;
+  code = 0;
+
+  constructor(input, pos) {
+    this.#input = input;
+    this.#pos = pos;
+
+    if (this.#byte() !== 0) throw new Error('Invalid LZMA stream');
+    for (let i = 0; i < 4; i++) this.code = ((this.code << 8) | this.#byte()) >>> 0;
+    if (this.code === this.range) throw new Error('Invalid LZMA stream');
+  }
+
+  get finishedOK() {
+    return this.code === 0;
+  }
+
+  #byte() {
+    if (this.#pos >= this.#input.length) throw new Error('Truncated LZMA stream');
+    return this.#input[this.#pos++];
+  }
+
+  #normalize() {
+    if (this.range < TOP_VALUE) {
+      this.range = (this.range << 8) >>> 0;
+      this.code = ((this.code << 8) | this.#byte()) >>> 0;
+    }
+  }
+
+  decodeBit(probs, index) {
+    const prob = probs[index];
+    const bound = (this.range >>> NUM_BIT_MODEL_TOTAL_BITS) * prob;
+
+    let bit;
+    if (this.code < bound) {
+      this.range = bound;
+      probs[index] = prob + (((1 << NUM_BIT_MODEL_TOTAL_BITS) - prob) >>> NUM_MOVE_BITS);
+      bit = 0;
+    } else {
+      this.range -= bound;
+      this.code -= bound;
+      probs[index] = prob - (prob >>> NUM_MOVE_BITS);
+      bit = 1;
+    }
+
+    this.#normalize();
+    return bit;
+  }
+
+  decodeDirectBits(numBits) {
+    let result = 0;
+    for (; numBits > 0; numBits--) {
+      this.range >>>= 1;
+      let bit = 0;
+      if (this.code >= this.range) {
+        this.code -= this.range;
+        bit = 1;
+      }
+      result = ((result << 1) | bit) >>> 0;
+      this.#normalize();
+    }
+
+    return result;
+  }
+
+  decodeTree(probs, numBits, offset = 0) {
+    let m = 1;
+    for (let i = 0; i < numBits; i++) m = (m << 1) + this.decodeBit(probs, offset + m);
+
+    return m - (1 << numBits);
+  }
+
+  decodeReverseTree(probs, numBits, offset = 0) {
+    let m = 1;
+    let symbol = 0;
+    for (let i = 0; i < numBits; i++) {
+      const bit = this.decodeBit(probs, offset + m);
+      m = (m << 1) + bit;
+      symbol |= bit << i;
+    }
+
+    return symbol;
+  }
+
+  decodeLength(model, posState) {
+    if (this.decodeBit(model.choice, 0) === 0) return this.decodeTree(model.low[posState], 3);
+    if (this.decodeBit(model.choice, 1) === 0) return 8 + this.decodeTree(model.mid[posState], 3);
+    return 16 + this.decodeTree(model.high, 8);
+  }
+}
+
+class RangeEncoder {
+  #output = [];
+  #low = 0;
+  #range = 0xffffffff;
+  #cache = 0;
+  #cacheSize = 1;
+
+  #shiftLow() {
+    if (this.#low < 0xff000000 || this.#low >= 0x100000000) {
+      const carry = this.#low >= 0x100000000 ? 1 : 0;
+      let temp = this.#cache;
+      do {
+        this.#output.push((temp + carry) & 0xff);
+        temp = 0xff;
+      } while (--this.#cacheSize !== 0);
+      this.#cache = Math.floor(this.#low / 0x1000000) & 0xff;
+    }
+
+    this.#cacheSize++;
+    this.#low = (this.#low % 0x1000000) * 256;
+  }
+
+  #normalize() {
+    while (this.#range < TOP_VALUE) {
+      this.#range = (this.#range << 8) >>> 0;
+      this.#shiftLow();
+    }
+  }
+
+  encodeBit(probs, index, bit) {
+    const prob = probs[index];
+    const bound = (this.#range >>> NUM_BIT_MODEL_TOTAL_BITS) * prob;
+
+    if (bit === 0) {
+      this.#range = bound;
+      probs[index] = prob + (((1 << NUM_BIT_MODEL_TOTAL_BITS) - prob) >>> NUM_MOVE_BITS);
+    } else {
+      this.#low += bound;
+      this.#range -= bound;
+      probs[index] = prob - (prob >>> NUM_MOVE_BITS);
+    }
+
+    this.#normalize();
+  }
+
+  encodeDirectBits(value, numBits) {
+    for (let i = numBits - 1; i >= 0; i--) {
+      this.#range >>>= 1;
+      if ((value >>> i) & 1) this.#low += this.#range;
+      this.#normalize();
+    }
+  }
+
+  encodeTree(probs, numBits, symbol, offset = 0) {
+    let m = 1;
+    for (let i = numBits - 1; i >= 0; i--) {
+      const bit = (symbol >>> i) & 1;
+      this.encodeBit(probs, offset + m, bit);
+      m = (m << 1) | bit;
+    }
+  }
+
+  encodeReverseTree(probs, numBits, symbol, offset = 0) {
+    let m = 1;
+    for (let i = 0; i < numBits; i++) {
+      const bit = (symbol >>> i) & 1;
+      this.encodeBit(probs, offset + m, bit);
+      m = (m << 1) | bit;
+    }
+  }
+
+  encodeLength(model, posState, length) {
+    if (length < 8) {
+      this.encodeBit(model.choice, 0, 0);
+      this.encodeTree(model.low[posState], 3, length);
+    } else if (length < 16) {
+      this.encodeBit(model.choice, 0, 1);
+      this.encodeBit(model.choice, 1, 0);
+      this.encodeTree(model.mid[posState], 3, length - 8);
+    } else {
+      this.encodeBit(model.choice, 0, 1);
+      this.encodeBit(model.choice, 1, 1);
+      this.encodeTree(model.high, 8, length - 16);
+    }
+  }
+
+  finish() {
+    for (let i = 0; i < 5; i++) this.#shiftLow();
+    return this.#output;
+  }
+}
+
+/**
+ * Get the position slot for a distance.
+ * @param {number} dist - Match distance minus one.
+ * @returns {number} The position slot.
+ */
+function getPosSlot(dist) {
+  if (dist < START_POS_MODEL_INDEX) return dist;
+
+  const n = 31 - Math.clz32(dist);
+  return (n << 1) | ((dist >>> (n - 1)) & 1);
+}
+
+/**
+ * Decompress data in the LZMA "alone" format.
+ * @param {Uint8Array} input - The compressed data, including the 13-byte header.
+ * @returns {Uint8Array} The decompressed data.
+ * @throws {Error} If the data is malformed.
+ */
+export function lzmaDecompress(input) {
+  if (input.length < HEADER_SIZE) throw new Error('Truncated LZMA header');
+
+  const view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+  let props = input[0];
+  if (props >= 9 * 5 * 5) throw new Error('Invalid LZMA properties');
+
+  const lc = props % 9;
+  props = Math.floor(props / 9);
+  const lp = props % 5;
+  const pb = Math.floor(props / 5);
+  const dictSize = Math.max(view.getUint32(1, true), 1 << 12);
+
+  // An unpacked size of all ones means the size is unknown and the stream has an end marker
+  const sizeLow = view.getUint32(5, true);
+  const sizeHigh = view.getUint32(9, true);
+  const sizeKnown = !(sizeLow === 0xffffffff && sizeHigh === 0xffffffff);
+  if (sizeKnown && sizeHigh !== 0) throw new Error('LZMA unpacked size too large');
+  const unpackSize = sizeKnown ? sizeLow : Infinity;
+
+  const model = new LzmaModel(lc, lp, pb);
+  const rc = new RangeDecoder(input, HEADER_SIZE);
+  const pbMask = (1 << pb) - 1;
+
+  let output = new Uint8Array(sizeKnown ? unpackSize : Math.max(input.length * 4, 64));
+  let pos = 0;
+  let state = 0;
+  let rep0 = 0;
+  let rep1 = 0;
+  let rep2 = 0;
+  let rep3 = 0;
+
+  const putByte = (byte) => {
+    if (pos >= output.length) {
+      const grown = new Uint8Array(output.length * 2);
+      grown.set(output);
+      output = grown;
+    }
+    output[pos++] = byte;
+  };
+
+  while (pos < unpackSize) {
+    const posState = pos & pbMask;
+
+    if (rc.decodeBit(model.isMatch, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+      // Literal
+      const prevByte = pos > 0 ? output[pos - 1] : 0;
+      const offset = model.literalProbsOffset(pos, prevByte);
+      let symbol = 1;
+
+      if (state >= 7) {
+        let matchByte = output[pos - rep0 - 1];
+        do {
+          const matchBit = (matchByte >>> 7) & 1;
+          matchByte <<= 1;
+          const bit = rc.decodeBit(model.literal, offset + ((1 + matchBit) << 8) + symbol);
+          symbol = (symbol << 1) | bit;
+          if (matchBit !== bit) break;
+        } while (symbol < 0x100);
+      }
+      while (symbol < 0x100) symbol = (symbol << 1) | rc.decodeBit(model.literal, offset + symbol);
+
+      putByte(symbol & 0xff);
+      state = nextState.literal(state);
+      continue;
+    }
+
+    let length;
+    if (rc.decodeBit(model.isRep, state) !== 0) {
+      // Rep match
+      if (pos === 0) throw new Error('Invalid LZMA stream');
+
+      if (rc.decodeBit(model.isRepG0, state) === 0) {
+        if (rc.decodeBit(model.isRep0Long, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+          state = nextState.shortRep(state);
+          putByte(output[pos - rep0 - 1]);
+          continue;
+        }
+      } else {
+        let dist;
+        if (rc.decodeBit(model.isRepG1, state) === 0) {
+          dist = rep1;
+        } else {
+          if (rc.decodeBit(model.isRepG2, state) === 0) {
+            dist = rep2;
+          } else {
+            dist = rep3;
+            rep3 = rep2;
+          }
+          rep2 = rep1;
+        }
+        rep1 = rep0;
+        rep0 = dist;
+      }
+
+      length = rc.decodeLength(model.repLen, posState);
+      state = nextState.rep(state);
+    } else {
+      // Simple match
+      rep3 = rep2;
+      rep2 = rep1;
+      rep1 = rep0;
+      length = rc.decodeLength(model.len, posState);
+      state = nextState.match(state);
+
+      const lenState = Math.min(length, NUM_LEN_TO_POS_STATES - 1);
+      const posSlot = rc.decodeTree(model.posSlot[lenState], 6);
+      if (posSlot < START_POS_MODEL_INDEX) {
+        rep0 = posSlot;
+      } else {
+        const numDirectBits = (posSlot >>> 1) - 1;
+        let dist = ((2 | (posSlot & 1)) << numDirectBits) >>> 0;
+        if (posSlot < END_POS_MODEL_INDEX) {
+          dist += rc.decodeReverseTree(model.posSpecial, numDirectBits, dist - posSlot);
+        } else {
+          dist += rc.decodeDirectBits(numDirectBits - NUM_ALIGN_BITS) * (1 << NUM_ALIGN_BITS);
+          dist += rc.decodeReverseTree(model.align, NUM_ALIGN_BITS);
+        }
+        rep0 = dist >>> 0;
+
+        // End marker
+        if (rep0 === 0xffffffff) {
+          if (!rc.finishedOK) throw new Error('Invalid LZMA stream');
+          break;
+        }
+      }
+
+      if (rep0 >= dictSize || rep0 >= pos) throw new Error('Invalid LZMA match distance');
+    }
+
+    length += MATCH_MIN_LEN;
+    if (sizeKnown && pos + length > unpackSize) throw new Error('Invalid LZMA match length');
+    for (let i = 0; i < length; i++) putByte(output[pos - rep0 - 1]);
+  }
+
+  if (!sizeKnown) return output.slice(0, pos);
+  if (pos !== unpackSize) throw new Error('Truncated LZMA stream');
+  return output;
+}
+
+/**
+ * Compress data in the LZMA "alone" format.
+ *
+ * Uses a greedy hash chain match finder, which favors simplicity over compression ratio.
+ * @param {Uint8Array} input - The data to compress.
+ * @param {Object} [options] - Compression options.
+ * @param {number} [options.dictSize=8192] - Dictionary size in bytes. Kept small by default to limit the RAM needed
+ *   by the decompressor on the device.
+ * @param {number} [options.lc=3] - Number of literal context bits.
+ * @param {number} [options.lp=0] - Number of literal position bits.
+ * @param {number} [options.pb=2] - Number of position bits.
+ * @returns {Uint8Array} The compressed data, including the 13-byte header.
+ */
+export function lzmaCompress(input, { dictSize = 8192, lc = 3, lp = 0, pb = 2 } = {}) {
+  const model = new LzmaModel(lc, lp, pb);
+  const rc = new RangeEncoder();
+  const pbMask = (1 << pb) - 1;
+
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const chain = new Int32Array(input.length);
+  const hash = (i) => (Math.imul(input[i] | (input[i + 1] << 8) | (input[i + 2] << 16), 2654435761) >>> 0) >>> 16;
+  const insert = (i) => {
+    if (i + 2 >= input.length) return;
+    const h = hash(i);
+    chain[i] = head[h];
+    head[h] = i;
+  };
+
+  const findMatch = (i) => {
+    if (i + 2 >= input.length) return null;
+
+    const maxLength = Math.min(MATCH_MAX_LEN, input.length - i);
+    let best = null;
+    let candidate = head[hash(i)];
+    for (let depth = 0; candidate >= 0 && depth < MAX_CHAIN; depth++, candidate = chain[candidate]) {
+      if (i - candidate > dictSize) break;
+
+      let length = 0;
+      while (length < maxLength && input[candidate + length] === input[i + length]) length++;
+      if (length >= 3 && (!best || length > best.length)) {
+        best = { length, dist: i - candidate - 1 };
+        if (length === maxLength) break;
+      }
+    }
+
+    return best;
+  };
+
+  let state = 0;
+  let rep0 = 0;
+  let pos = 0;
+
+  while (pos < input.length) {
+    const posState = pos & pbMask;
+    const match = findMatch(pos);
+
+    if (!match) {
+      // Literal
+      rc.encodeBit(model.isMatch, (state << NUM_POS_BITS_MAX) + posState, 0);
+
+      const prevByte = pos > 0 ? input[pos - 1] : 0;
+      const offset = model.literalProbsOffset(pos, prevByte);
+      const byte = input[pos];
+      let symbol = 1;
+      let i = 7;
+
+      if (state >= 7) {
+        const matchByte = input[pos - rep0 - 1];
+        for (; i >= 0; i--) {
+          const matchBit = (matchByte >>> i) & 1;
+          const bit = (byte >>> i) & 1;
+          rc.encodeBit(model.literal, offset + ((1 + matchBit) << 8) + symbol, bit);
+          symbol = (symbol << 1) | bit;
+          if (matchBit !== bit) {
+            i--;
+            break;
+          }
+        }
+      }
+      for (; i >= 0; i--) {
+        const bit = (byte >>> i) & 1;
+        rc.encodeBit(model.literal, offset + symbol, bit);
+        symbol = (symbol << 1) | bit;
+      }
+
+      state = nextState.literal(state);
+      insert(pos);
+      pos++;
+      continue;
+    }
+
+    // Simple match
+    const { length, dist } = match;
+    rc.encodeBit(model.isMatch, (state << NUM_POS_BITS_MAX) + posState, 1);
+    rc.encodeBit(model.isRep, state, 0);
+    rc.encodeLength(model.len, posState, length - MATCH_MIN_LEN);
+
+    const lenState = Math.min(length - MATCH_MIN_LEN, NUM_LEN_TO_POS_STATES - 1);
+    const posSlot = getPosSlot(dist);
+    rc.encodeTree(model.posSlot[lenState], 6, posSlot);
+    if (posSlot >= START_POS_MODEL_INDEX) {
+      const numDirectBits = (posSlot >>> 1) - 1;
+      const base = (2 | (posSlot & 1)) << numDirectBits;
+      const reduced = dist - base;
+      if (posSlot < END_POS_MODEL_INDEX) {
+        rc.encodeReverseTree(model.posSpecial, numDirectBits, reduced, base - posSlot);
+      } else {
+        rc.encodeDirectBits(reduced >>> NUM_ALIGN_BITS, numDirectBits - NUM_ALIGN_BITS);
+        rc.encodeReverseTree(model.align, NUM_ALIGN_BITS, reduced & ((1 << NUM_ALIGN_BITS) - 1));
+      }
+    }
+
+    state = nextState.match(state);
+    rep0 = dist;
+    for (let i = 0; i < length; i++) insert(pos + i);
+    pos += length;
+  }
+
+  const stream = rc.finish();
+  const output = new Uint8Array(HEADER_SIZE + stream.length);
+  const view = new DataView(output.buffer);
+  output[0] = (pb * 5 + lp) * 9 + lc;
+  view.setUint32(1, dictSize, true);
+  view.setUint32(5, input.length, true);
+  view.setUint32(9, 0, true);
+  output.set(stream, HEADER_SIZE);
+
+  return output;
+}
@@ -0,0 +1,139 @@
+/**
+ * GBL Version Dependencies
+ *
+ * Decodes the version dependency tag of a GBL image into a human readable rule, and checks it against the versions
+ * reported by a device.
+ */
+
+/**
+ * Image types a version dependency applies to
+ * @enum {number}
+ */
+export const GBL_VERSION_DEPENDENCY_TYPE = {
+  APPLICATION: 0x01,
+  BOOTLOADER: 0x02,
+  SE: 0x03,
+};
+
+/**
+ * Comparison operators, stored in the low bits of the dependency statement
+ * @enum {number}
+ */
+export const GBL_VERSION_DEPENDENCY_OPERATOR = {
+  LESS: 0x00,
+  LESS_OR_EQUAL: 0x01,
+  EQUAL: 0x02,
+  GREATER_OR_EQUAL: 0x03,
+  GREATER: 0x04,
+};
+
+// Mask for the operator bits of the dependency statement
+const OPERATOR_MASK = 0x07;
+
+const TYPE_NAMES = {
+  [GBL_VERSION_DEPENDENCY_TYPE.APPLICATION]: 'application',
+  [GBL_VERSION_DEPENDENCY_TYPE.BOOTLOADER]: 'bootloader',
+  [GBL_VERSION_DEPENDENCY_TYPE.SE]: 'se',
+};
+
+const OPERATORS = {
+  [GBL_VERSION_DEPENDENCY_OPERATOR.LESS]: { symbol: '<', test: (a, b) => a < b },
+  [GBL_VERSION_DEPENDENCY_OPERATOR.LESS_OR_EQUAL]: { symbol: '<=', test: (a, b) => a <= b },
+  [GBL_VERSION_DEPENDENCY_OPERATOR.EQUAL]: { symbol: '==', test: (a, b) => a === b },
+  [GBL_VERSION_DEPENDENCY_OPERATOR.GREATER_OR_EQUAL]: { symbol: '>=', test: (a, b) => a >= b },
+  [GBL_VERSION_DEPENDENCY_OPERATOR.GREATER]: { symbol: '>', test: (a, b) => a > b },
+};
+
+/**
+ * Format a 32-bit version number as dotted bytes, omitting a leading zero byte (e.g. 0x00010203 is "1.2.3").
+ * @param {number} version - The version number.
+ * @returns {string} The formatted version.
+ */
+export function formatVersion(version) {
+  const bytes = [version >>> 24, (version >>> 16) & 0xff, (version >>> 8) & 0xff, version & 0xff];
+  return (bytes[0] === 0 ? bytes.slice(1) : bytes).join('.');
+}
+
+/**
+ * Encode a Gecko Bootloader version, as reported by the device or found in the bootloader tag, as a 32-bit number.
+ * @param {{major: number, minor: number, customer: number}} version - The bootloader version.
+ * @returns {number} The encoded version.
+ */
+export function encodeBootloaderVersion({ major, minor, customer }) {
+  return ((major << 24) | (minor << 16) | (customer & 0xffff)) >>> 0;
+}
+
+/**
+ * Decoded version dependency.
+ * @typedef {Object} DecodedVersionDependency
+ * @property {?("application" | "bootloader" | "se")} imageType - Image type the dependency applies to, null if unknown.
+ * @property {?string} operator - Comparison operator (e.g. ">="), null if unknown.
+ * @property {number} version - The version number compared against.
+ * @property {string} description - Human readable rule (e.g. "application version >= 1.2.3").
+ */
+
+/**
+ * Decode a version dependency into a human readable rule.
+ * @param {import('./GeckoBootloaderImage.js').VersionDependency} dependency - Version dependency from a parsed image.
+ * @returns {DecodedVersionDependency} The decoded dependency.
+ */
+export function decodeVersionDependency({ imageType, statement, version }) {
+  const type = TYPE_NAMES[imageType] ?? null;
+  const operator = OPERATORS[statement & OPERATOR_MASK]?.symbol ?? null;
+
+  const typeDescription = type ?? `image type 0x${imageType.toString(16).padStart(2, '0')}`;
+  const operatorDescription = operator ?? `(unknown operator 0x${statement.toString(16).padStart(2, '0')})`;
+
+  return {
+    imageType: type,
+    operator,
+    version,
+    description: `${typeDescription} version ${operatorDescription} ${formatVersion(version)}`,
+  };
+}
+
+/**
+ * Versions of the images on a device.
+ * @typedef {Object} DeviceVersions
+ * @property {number} [application] - Application version.
+ * @property {number|{major: number, minor: number, customer: number}} [bootloader] - Gecko Bootloader version.
+ * @property {number} [se] - SE firmware version.
+ */
+
+/**
+ * Result of evaluating a version dependency.
+ * @typedef {Object} VersionDependencyResult
+ * @property {?boolean} satisfied - Whether the dependency is satisfied, null if it could not be evaluated because the
+ *   device version or dependency encoding is unknown.
+ * @property {string} description - Human readable rule.
+ * @property {?number} actual - The device version compared against, null if unknown.
+ */
+
+/**
+ * Check a version dependency against the versions of the images on a device.
+ * @param {import('./GeckoBootloaderImage.js').VersionDependency} dependency - Version dependency from a parsed image.
+ * @param {DeviceVersions} versions - Device versions, e.g. from {@link readDeviceVersions}.
+ * @returns {VersionDependencyResult} The result.
+ */
+export function evaluateVersionDependency(dependency, versions) {
+  const { imageType, description } = decodeVersionDependency(dependency);
+  const operator = OPERATORS[dependency.statement & OPERATOR_MASK];
+
+  let actual = imageType ? (versions[imageType] ?? null) : null;
+  if (actual !== null && typeof actual === 'object') actual = encodeBootloaderVersion(actual);
+
+  const satisfied = actual === null || !operator ? null : operator.test(actual, dependency.version);
+  return { satisfied, description, actual };
+}
+
+/**
+ * Read the application and Gecko Bootloader versions from a connected device.
+ * @param {import('./GeckoBootloaderClient.js').GeckoBootloaderClient} client - Connected client.
+ * @returns {Promise<DeviceVersions>} The device versions.
+ */
+export async function readDeviceVersions(client) {
+  return {
+    application: await client.getApplicationVersion(),
+    bootloader: encodeBootloaderVersion(await client.getGeckoBootloaderVersion()),
+  };
+}
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BatchOtaUpdater, GBL_BATCH_STATUS } from '../src/BatchOtaUpdater.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+import { SimulatedOtaTarget } from '../src/SimulatedOtaTarget.js';
+
+const image = new GeckoBootloaderImageBuilder()
+  .setApplication({ type: 1, version: 0x00020000 })
+  .addProg({ flashStartAddress: 0x1000, data: new Uint8Array(300).fill(0x5a) })
+  .build();
+
+const { UPDATED, SKIPPED, FAILED } = GBL_BATCH_STATUS;
+
+/**
+ * Create a simulated target with an identifier.
+ * @param {string} id - The identifier.
+ * @param {Object} [options] - Target options.
+ * @returns {SimulatedOtaTarget} The target.
+ */
+function target(id, options) {
+  return Object.assign(new SimulatedOtaTarget(options), { id });
+}
+
+/**
+ * Get the identifiers and statuses of the results.
+ * @param {import('../src/BatchOtaUpdater.js').BatchOtaResult[]} results - The results.
+ * @returns {string[][]} Pairs of identifier and status.
+ */
+function statuses(results) {
+  return results.map(({ id, status }) => [id, status]);
+}
+
+describe('BatchOtaUpdater', () => {
+  it('updates devices, skipping those already up to date or filtered out', async () => {
+    const devices = [target('a'), target('b', { applicationVersion: 0x00020000 }), target('c'), target('d')];
+    const updater = new BatchOtaUpdater(image, { flashOptions: { wait: 0 }, filter: (device) => device.id !== 'c' });
+
+    const results = await updater.run(devices);
+
+    assert.deepEqual(statuses(results), [
+      ['a', UPDATED],
+      ['b', SKIPPED],
+      ['c', SKIPPED],
+      ['d', UPDATED],
+    ]);
+    assert.deepEqual(
+      results.map(({ reason }) => reason),
+      [null, 'Already up to date', 'Filtered out', null],
+    );
+    assert.deepEqual(results[0], { ...results[0], previousVersion: 0x00010000, version: 0x00020000, attempts: 1 });
+    assert.deepEqual(devices[0].data, new Uint8Array(image));
+    assert.equal(devices[1].controlWrites.length, 0);
+    assert.equal(devices[0].connected, false);
+  });
+
+  it('marks devices as failed instead of rejecting', async () => {
+    const devices = [target('a'), target('b'), { id: 'broken' }, target('d')];
+    const updater = new BatchOtaUpdater(image, {
+      retries: 0,
+      flashOptions: { wait: 0 },
+      filter: (device) => {
+        if (device.id === 'b') throw new Error('Lookup failed');
+        return true;
+      },
+    });
+
+    const results = await updater.run(devices);
+
+    assert.deepEqual(statuses(results), [
+      ['a', UPDATED],
+      ['b', FAILED],
+      ['broken', FAILED],
+      ['d', UPDATED],
+    ]);
+    assert.equal(results[1].reason, 'Lookup failed');
+    assert.equal(results[1].code, 'Error');
+    assert.equal(results[2].code, 'TypeError');
+  });
+
+  it('retries failed updates', async () => {
+    const device = target('a').failNext('connect');
+    const [result] = await new BatchOtaUpdater(image, { flashOptions: { wait: 0 } }).run([device]);
+
+    assert.equal(result.status, UPDATED);
+    assert.equal(result.attempts, 2);
+  });
+
+  it('reports the error of the last attempt', async () => {
+    const device = target('a').disconnectAfter(128);
+    const [result] = await new BatchOtaUpdater(image, { retries: 0, flashOptions: { wait: 0 } }).run([device]);
+
+    assert.equal(result.status, FAILED);
+    assert.equal(result.code, 'ECONNRESET');
+    assert.equal(result.attempts, 1);
+    assert.equal(result.version, null);
+  });
+
+  it('verifies that devices booted the new application', async () => {
+    const devices = [target('a'), Object.assign(target('b'), { rejectUpdate: true })];
+    const updater = new BatchOtaUpdater(image, {
+      verify: true,
+      flashOptions: { wait: 0 },
+      verifyOptions: { timeout: 1000, retryDelay: 0 },
+    });
+
+    const results = await updater.run(devices);
+
+    assert.deepEqual(statuses(results), [
+      ['a', UPDATED],
+      ['b', FAILED],
+    ]);
+    assert.equal(results[0].version, 0x00020000);
+    assert.deepEqual(results[1], {
+      ...results[1],
+      reason: 'Update not applied (rollback)',
+      code: 'rollback',
+      version: 0x00010000,
+      attempts: 2,
+    });
+  });
+
+  it('updates devices from an async iterable concurrently', async () => {
+    async function* discover() {
+      for (const id of ['a', 'b', 'c']) yield target(id, { latency: 1 });
+    }
+
+    const updater = new BatchOtaUpdater(image, { concurrency: 2, flashOptions: { wait: 0 } });
+    const started = [];
+    const finished = [];
+    updater.addEventListener('device-started', ({ detail }) => started.push(detail.id));
+    updater.addEventListener('device-finished', ({ detail }) => finished.push(detail.id));
+
+    const results = await updater.run(discover());
+
+    assert.deepEqual(statuses(results), [
+      ['a', UPDATED],
+      ['b', UPDATED],
+      ['c', UPDATED],
+    ]);
+    assert.deepEqual(started.slice(0, 2).sort(), ['a', 'b']);
+    assert.deepEqual(finished.sort(), ['a', 'b', 'c']);
+  });
+
+  it('does not start devices once aborted', async () => {
+    const devices = [target('a'), target('b')];
+    const results = await new BatchOtaUpdater(image).run(devices, { signal: AbortSignal.abort() });
+
+    assert.deepEqual(results, []);
+    assert.equal(devices[0].controlWrites.length, 0);
+  });
+
+  it('reports the results as JSON and CSV', async () => {
+    const updater = new BatchOtaUpdater(image, {
+      flashOptions: { wait: 0 },
+      filter: (device) => {
+        if (device.id === 'c') throw new Error('Not "ready", try later');
+        return device.id !== 'b';
+      },
+    });
+    await updater.run([target('a'), target('b'), target('c')]);
+
+    assert.deepEqual(JSON.parse(JSON.stringify(updater)), updater.results);
+
+    const csv = updater.toCSV().split('\r\n');
+    assert.equal(csv[0], 'id,status,reason,code,previousVersion,version,attempts,duration');
+    assert.match(csv[1], /^a,updated,,,1\.0\.0,2\.0\.0,1,\d+$/);
+    assert.match(csv[2], /^b,skipped,Filtered out,,,,0,0$/);
+    assert.match(csv[3], /^c,failed,"Not ""ready"", try later",Error,,,0,\d+$/);
+    assert.equal(csv[4], '');
+  });
+
+  it('rejects invalid images', () => {
+    assert.throws(() => new BatchOtaUpdater(new ArrayBuffer(4)), /Truncated tag header/);
+  });
+});
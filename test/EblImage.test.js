@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { crc32 } from '../src/crc32.js';
+import {
+  EBL_IMAGE_SIGNATURE,
+  EBL_TAG_ID_ENC_EBL_DATA,
+  EBL_TAG_ID_ENC_HEADER,
+  EBL_TAG_ID_ENC_INIT,
+  EBL_TAG_ID_ENC_MAC,
+  EBL_TAG_ID_END,
+  EBL_TAG_ID_ERASEPROG,
+  EBL_TAG_ID_HEADER,
+  EBL_TAG_ID_MFGPROG,
+  EBL_TAG_ID_PROG,
+  EblImage,
+} from '../src/EblImage.js';
+import { concat } from '../src/encoding.js';
+import { FlashImage } from '../src/FlashImage.js';
+import { GeckoBootloaderImage } from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+
+const aat = Uint8Array.from({ length: 16 }, (_, i) => 0xa0 + i);
+const code = Uint8Array.from({ length: 64 }, (_, i) => i);
+
+/**
+ * Encode a big-endian EBL tag.
+ * @param {number} id - The tag ID.
+ * @param {...(Uint8Array|number[])} parts - The tag contents.
+ * @returns {Uint8Array} The encoded tag.
+ */
+function tag(id, ...parts) {
+  const data = concat(parts.map((part) => Uint8Array.from(part)));
+  return concat([Uint8Array.of(id >>> 8, id & 0xff, data.length >>> 8, data.length & 0xff), data]);
+}
+
+/**
+ * Encode a big-endian 32-bit number.
+ * @param {number} n - The number.
+ * @returns {number[]} The bytes.
+ */
+function be32(n) {
+  return [n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+/**
+ * Assemble an EBL file from encoded tags, appending the end tag with the CRC32 covering everything before it.
+ * @param {...Uint8Array} tags - The encoded tags.
+ * @returns {Uint8Array} The EBL file contents.
+ */
+function ebl(...tags) {
+  const bytes = concat([...tags, tag(EBL_TAG_ID_END, [0, 0, 0, 0])]);
+  new DataView(bytes.buffer).setUint32(bytes.length - 4, crc32(bytes.subarray(0, -4)), true);
+
+  return bytes;
+}
+
+const header = tag(
+  EBL_TAG_ID_HEADER,
+  [0x02, 0x01, EBL_IMAGE_SIGNATURE >>> 8, EBL_IMAGE_SIGNATURE & 0xff],
+  be32(0x4000),
+  be32(0x12345678),
+  aat,
+);
+
+describe('EblImage', () => {
+  it('parses the header and program data', () => {
+    const bytes = ebl(
+      header,
+      tag(EBL_TAG_ID_PROG, be32(0x4010), code.subarray(0, 32)),
+      tag(EBL_TAG_ID_ERASEPROG, be32(0x4800), code.subarray(32)),
+      tag(EBL_TAG_ID_MFGPROG, be32(0x7f00), [1, 2, 3, 4]),
+    );
+    const image = new EblImage(concat([bytes, new Uint8Array(64).fill(0xff)]).buffer);
+
+    assert.deepEqual(image.header, {
+      version: 0x0201,
+      signature: EBL_IMAGE_SIGNATURE,
+      flashAddress: 0x4000,
+      aatCrc: 0x12345678,
+      aat,
+    });
+    assert.deepEqual(image.prog, [
+      { flashStartAddress: 0x4010, data: code.subarray(0, 32) },
+      { flashStartAddress: 0x4800, data: code.subarray(32), erase: true },
+    ]);
+    assert.deepEqual(image.mfgProg, [{ flashStartAddress: 0x7f00, data: Uint8Array.of(1, 2, 3, 4) }]);
+    assert.deepEqual(
+      image.tags.map(({ name }) => name),
+      ['header', 'prog', 'eraseProg', 'mfgProg', 'end'],
+    );
+    assert.equal(image.size, bytes.length);
+    assert.ok(image.isValid());
+  });
+
+  it('detects corrupted images and invalid signatures', () => {
+    const bytes = ebl(header, tag(EBL_TAG_ID_PROG, be32(0x4010), code));
+    const corrupted = bytes.slice();
+    corrupted[30] ^= 0xff;
+
+    assert.equal(new EblImage(corrupted.buffer).isValid(), false);
+    assert.equal(
+      new EblImage(ebl(tag(EBL_TAG_ID_HEADER, [0x02, 0x01, 0, 0], be32(0), be32(0))).buffer).isValid(),
+      false,
+    );
+    assert.equal(new EblImage(header.slice().buffer).isValid(), false);
+  });
+
+  it('rejects malformed images', () => {
+    const bytes = ebl(header, tag(EBL_TAG_ID_PROG, be32(0x4010), code));
+
+    assert.throws(() => new EblImage(bytes.slice(0, 2).buffer), /Truncated tag header/);
+    assert.throws(() => new EblImage(bytes.slice(0, 20).buffer), /Tag length exceeds image size/);
+    assert.throws(
+      () => new EblImage(tag(EBL_TAG_ID_PROG, be32(0)).slice().buffer),
+      /Image does not start with a header tag/,
+    );
+    assert.throws(() => new EblImage(tag(EBL_TAG_ID_HEADER, [0, 0]).slice().buffer), /Invalid header tag length/);
+    assert.throws(() => new EblImage(concat([header, tag(EBL_TAG_ID_PROG, [0, 0])]).buffer), /Invalid prog tag length/);
+    assert.throws(() => new EblImage(concat([header, tag(EBL_TAG_ID_END, [0, 0])]).buffer), /Invalid end tag length/);
+  });
+
+  it('parses encrypted images', () => {
+    const nonce = new Uint8Array(12).fill(7);
+    const image = new EblImage(
+      ebl(
+        tag(EBL_TAG_ID_ENC_HEADER, [0x02, 0x01, 0x00, 0x01, EBL_IMAGE_SIGNATURE >>> 8, EBL_IMAGE_SIGNATURE & 0xff]),
+        tag(EBL_TAG_ID_ENC_INIT, be32(8), nonce, [0xaa]),
+        tag(EBL_TAG_ID_ENC_EBL_DATA, new Uint8Array(8).fill(0x55)),
+        tag(EBL_TAG_ID_ENC_MAC, new Uint8Array(16).fill(0x66)),
+      ).buffer,
+    );
+
+    assert.equal(image.header, null);
+    assert.deepEqual(image.encryptionHeader, { version: 0x0201, encryptionType: 1, signature: EBL_IMAGE_SIGNATURE });
+    assert.deepEqual(image.encryptionInit, { msgLen: 8, nonce, associatedData: Uint8Array.of(0xaa) });
+    assert.deepEqual(image.encryptionData, [new Uint8Array(8).fill(0x55)]);
+    assert.deepEqual(image.encryptionMac, new Uint8Array(16).fill(0x66));
+    assert.ok(image.isValid());
+    assert.throws(() => FlashImage.fromEblImage(image), /Encrypted EBL images are not supported/);
+  });
+
+  describe('conversion', () => {
+    const image = new EblImage(
+      ebl(header, tag(EBL_TAG_ID_PROG, be32(0x4010), code), tag(EBL_TAG_ID_MFGPROG, be32(0x7f00), [1, 2, 3, 4])).buffer,
+    );
+
+    it('reconstructs the flash contents including the application address table', () => {
+      assert.deepEqual(
+        FlashImage.fromEblImage(image).segments.map(({ address, data }) => [address, data]),
+        [[0x4000, concat([aat, code])]],
+      );
+      assert.deepEqual(
+        FlashImage.fromEblImage(image, { manufacturing: true }).segments.map(({ address }) => address),
+        [0x4000, 0x7f00],
+      );
+    });
+
+    it('converts to a GBL image', () => {
+      const gbl = new GeckoBootloaderImage(
+        new GeckoBootloaderImageBuilder()
+          .setApplication({ type: 1, version: 0x00010000 })
+          .addFlashImage(FlashImage.fromEblImage(image))
+          .build(),
+      );
+
+      assert.ok(gbl.isValid());
+      assert.deepEqual(
+        gbl.prog.map(({ flashStartAddress, data }) => [flashStartAddress, data]),
+        [[0x4000, concat([aat, code])]],
+      );
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { FlashImage } from '../src/FlashImage.js';
+import { GeckoBootloaderImage } from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+
+const segments = (flash) => flash.segments.map(({ address, data }) => [address, [...data]]);
+
+describe('FlashImage', () => {
+  describe('write', () => {
+    it('extends a segment with consecutive writes', () => {
+      const flash = new FlashImage();
+      for (let i = 0; i < 100; i++) flash.write(0x1000 + i * 2, Uint8Array.of(i, i));
+
+      assert.equal(flash.segments.length, 1);
+      assert.equal(flash.startAddress, 0x1000);
+      assert.equal(flash.endAddress, 0x1000 + 200);
+      assert.deepEqual(flash.read(0x1000 + 198, 2), Uint8Array.of(99, 99));
+      assert.deepEqual(flash.overlaps, []);
+    });
+
+    it('merges writes preceding or bridging segments', () => {
+      const flash = new FlashImage().write(0x10, Uint8Array.of(3, 4)).write(0x16, Uint8Array.of(7));
+      assert.deepEqual(flash.gaps, [{ address: 0x12, length: 4 }]);
+
+      flash.write(0x0e, Uint8Array.of(1, 2)).write(0x12, Uint8Array.of(5, 6, 6, 6));
+      assert.deepEqual(segments(flash), [[0x0e, [1, 2, 3, 4, 5, 6, 6, 6, 7]]]);
+    });
+
+    it('records overlapping writes, with later writes taking precedence', () => {
+      const flash = new FlashImage().write(0x100, new Uint8Array(8)).write(0x104, Uint8Array.of(1, 2, 3, 4, 5, 6));
+
+      assert.deepEqual(flash.overlaps, [{ address: 0x104, length: 4 }]);
+      assert.deepEqual(segments(flash), [[0x100, [0, 0, 0, 0, 1, 2, 3, 4, 5, 6]]]);
+    });
+
+    it('keeps segments that are not adjacent separate and sorted', () => {
+      const flash = new FlashImage().write(0x200, Uint8Array.of(2)).write(0x100, Uint8Array.of(1));
+
+      assert.deepEqual(segments(flash), [
+        [0x100, [1]],
+        [0x200, [2]],
+      ]);
+    });
+
+    it('rejects data outside the 32-bit address space', () => {
+      assert.throws(() => new FlashImage().write(0xffffffff, Uint8Array.of(1, 2)), /32-bit address space/);
+    });
+  });
+
+  describe('fromGeckoBootloaderImage', () => {
+    it('reconstructs the program and bootloader data at their addresses', () => {
+      const image = new GeckoBootloaderImage(
+        new GeckoBootloaderImageBuilder()
+          .setBootloader({ bootloaderVersion: { major: 2, minor: 0, customer: 0 }, address: 0, data: Uint8Array.of(9) })
+          .addProg({ flashStartAddress: 0x1004, data: Uint8Array.of(3, 4) }, { compress: 'lz4' })
+          .addProg({ flashStartAddress: 0x1000, data: Uint8Array.of(1, 2, 3, 4) })
+          .build(),
+      );
+
+      assert.deepEqual(segments(FlashImage.fromGeckoBootloaderImage(image)), [
+        [0, [9]],
+        [0x1000, [1, 2, 3, 4, 3, 4]],
+      ]);
+      assert.deepEqual(segments(FlashImage.fromGeckoBootloaderImage(image, { bootloader: false })), [
+        [0x1000, [1, 2, 3, 4, 3, 4]],
+      ]);
+    });
+  });
+
+  describe('export', () => {
+    const flash = new FlashImage().write(0x0800fffe, Uint8Array.of(1, 2, 3, 4)).write(0x08010010, Uint8Array.of(5));
+
+    it('exports a binary with gaps filled', () => {
+      assert.deepEqual(flash.gaps, [{ address: 0x08010002, length: 14 }]);
+      assert.deepEqual(flash.toBinary({ fill: 0 }), Uint8Array.of(1, 2, 3, 4, ...new Uint8Array(14), 5));
+      assert.deepEqual(flash.read(0x0800fffc, 3), Uint8Array.of(0xff, 0xff, 1));
+    });
+
+    it('exports Intel HEX, splitting records at 64 KiB boundaries', () => {
+      assert.equal(
+        flash.toIntelHex(),
+        ':020000040800F2\n:02FFFE000102FE\n:020000040801F1\n:020000000304F7\n:0100100005EA\n:00000001FF\n',
+      );
+    });
+
+    it('exports S-records with a header', () => {
+      assert.equal(
+        flash.toSRecord({ header: 'gbl' }),
+        'S006000067626CC4\nS3090800FFFE01020304E7\nS3060801001005DB\nS70500000000FA\n',
+      );
+    });
+
+    it('round trips through Intel HEX and S-records', () => {
+      const data = Uint8Array.from({ length: 1000 }, (_, i) => i & 0xff);
+      const large = new FlashImage().write(0x0800ff00, data).write(0x08020000, data);
+
+      assert.deepEqual(segments(FlashImage.fromIntelHex(large.toIntelHex({ recordSize: 32 }))), segments(large));
+      assert.deepEqual(segments(FlashImage.fromSRecord(large.toSRecord())), segments(large));
+    });
+  });
+
+  describe('fromIntelHex', () => {
+    it('applies extended segment and linear address records', () => {
+      const flash = FlashImage.fromIntelHex(
+        [
+          ':020000021000EC',
+          ':020010000102EB',
+          ':020000040800F2',
+          ':03000000AABBCCCC',
+          ':00000001FF',
+          ':0100000001FE',
+        ].join('\r\n'),
+      );
+
+      assert.deepEqual(segments(flash), [
+        [0x10010, [1, 2]],
+        [0x08000000, [0xaa, 0xbb, 0xcc]],
+      ]);
+    });
+
+    it('rejects extended address records without exactly two data bytes', () => {
+      assert.throws(() => FlashImage.fromIntelHex(':0100000402F9\n:00000001FF'), /Invalid record length on line 1/);
+      assert.throws(() => FlashImage.fromIntelHex(':03000002000000FB\n:00000001FF'), /Invalid record length on line 1/);
+    });
+
+    it('rejects malformed records', () => {
+      assert.throws(() => FlashImage.fromIntelHex(':020010000102EB\n0100000001FE'), /Invalid record on line 2/);
+      assert.throws(() => FlashImage.fromIntelHex(':0200000001FE'), /Invalid record length on line 1/);
+      assert.throws(() => FlashImage.fromIntelHex(':0100000001FF'), /Invalid checksum on line 1/);
+      assert.throws(() => FlashImage.fromIntelHex(':01000000G1FE'), /Invalid record on line 1/);
+    });
+  });
+
+  describe('fromSRecord', () => {
+    it('reads S1, S2 and S3 data records', () => {
+      const flash = FlashImage.fromSRecord(
+        ['S00600004844521B', 'S10510000102E7', 'S2060200000304F0', 'S30708000000AABB8B', 'S9030000FC'].join('\n'),
+      );
+
+      assert.deepEqual(segments(flash), [
+        [0x1000, [1, 2]],
+        [0x20000, [3, 4]],
+        [0x08000000, [0xaa, 0xbb]],
+      ]);
+    });
+
+    it('rejects malformed records', () => {
+      assert.throws(() => FlashImage.fromSRecord('X1051000010269'), /Invalid record on line 1/);
+      assert.throws(() => FlashImage.fromSRecord('S10610000102E7'), /Invalid record length on line 1/);
+      assert.throws(() => FlashImage.fromSRecord('S10510000102E8'), /Invalid checksum on line 1/);
+    });
+  });
+
+  describe('fromElf', () => {
+    /**
+     * Build a 32-bit little-endian ELF file with the given program headers.
+     * @param {{type: number, paddr: number, data: number[]}[]} segments - The program segments.
+     * @returns {Uint8Array} The ELF file.
+     */
+    function elf(segments) {
+      const dataOffset = 52 + segments.length * 32;
+      const bytes = new Uint8Array(dataOffset + segments.reduce((sum, { data }) => sum + data.length, 0));
+      const view = new DataView(bytes.buffer);
+
+      bytes.set([0x7f, 0x45, 0x4c, 0x46, 1, 1, 1]);
+      view.setUint32(0x1c, 52, true);
+      view.setUint16(0x2a, 32, true);
+      view.setUint16(0x2c, segments.length, true);
+
+      let offset = dataOffset;
+      segments.forEach(({ type, paddr, data }, i) => {
+        const ph = 52 + i * 32;
+        view.setUint32(ph, type, true);
+        view.setUint32(ph + 4, offset, true);
+        view.setUint32(ph + 8, paddr + 0x20000000, true);
+        view.setUint32(ph + 12, paddr, true);
+        view.setUint32(ph + 16, data.length, true);
+        bytes.set(data, offset);
+        offset += data.length;
+      });
+
+      return bytes;
+    }
+
+    it('loads PT_LOAD segments at their physical addresses', () => {
+      const file = elf([
+        { type: 1, paddr: 0x08000000, data: [1, 2, 3] },
+        { type: 4, paddr: 0x09000000, data: [9] },
+        { type: 1, paddr: 0x08000003, data: [4] },
+      ]);
+
+      assert.deepEqual(segments(FlashImage.fromElf(file.buffer)), [[0x08000000, [1, 2, 3, 4]]]);
+      assert.deepEqual(segments(FlashImage.load(file)), [[0x08000000, [1, 2, 3, 4]]]);
+    });
+
+    it('rejects unsupported and malformed files', () => {
+      const file = elf([{ type: 1, paddr: 0, data: [1] }]);
+
+      assert.throws(() => FlashImage.fromElf(file.subarray(0, 40)), /Invalid ELF file/);
+      assert.throws(() => FlashImage.fromElf(Uint8Array.of(...file.subarray(0, 4), 2, ...file.subarray(5))), /32-bit/);
+      assert.throws(() => FlashImage.fromElf(file.subarray(0, file.length - 1)), /Invalid ELF program header/);
+    });
+  });
+
+  describe('load', () => {
+    it('detects Intel HEX and S-record files', () => {
+      assert.deepEqual(segments(FlashImage.load('\n:020010000102EB\n:00000001FF\n')), [[0x10, [1, 2]]]);
+      assert.deepEqual(segments(FlashImage.load(new TextEncoder().encode('S10510000102E7\n'))), [[0x1000, [1, 2]]]);
+      assert.throws(() => FlashImage.load('hello'), /Unrecognized firmware file format/);
+    });
+
+    it('converts firmware files to GBL program data', () => {
+      const image = new GeckoBootloaderImage(
+        new GeckoBootloaderImageBuilder()
+          .addFlashImage(FlashImage.load(':020000040800F2\n:03000000AABBCCCC\n:00000001FF\n'), { compress: 'lzma' })
+          .build(),
+      );
+
+      assert.deepEqual(
+        image.decompressProg().map(({ flashStartAddress, data }) => [flashStartAddress, [...data]]),
+        [[0x08000000, [0xaa, 0xbb, 0xcc]]],
+      );
+    });
+  });
+});
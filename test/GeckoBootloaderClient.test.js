@@ -0,0 +1,505 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { GBL_OTA_COMMAND, GBL_OTA_ERROR, GeckoBootloaderClient } from '../src/GeckoBootloaderClient.js';
+import { GeckoBootloaderImage } from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+import { SimulatedOtaTarget } from '../src/SimulatedOtaTarget.js';
+
+const image = new GeckoBootloaderImageBuilder()
+  .setApplication({ type: 1, version: 0x00020000 })
+  .addProg({ flashStartAddress: 0x1000, data: new Uint8Array(300).fill(0x5a) })
+  .build();
+
+const { START_OTA, FINISH_OTA, CLOSE_CONNECTION } = GBL_OTA_COMMAND;
+
+/**
+ * Connect a client to a simulated target.
+ * @param {Object} [options] - Target options.
+ * @returns {Promise<{client: GeckoBootloaderClient, target: SimulatedOtaTarget}>} The client and target.
+ */
+async function connect(options) {
+  const target = new SimulatedOtaTarget(options);
+  const client = new GeckoBootloaderClient(target);
+  await client.connect({ timeout: 1000 });
+
+  return { client, target };
+}
+
+/**
+ * Record the events dispatched by a client.
+ * @param {GeckoBootloaderClient} client - The client.
+ * @returns {{type: string, detail: Object}[]} The events, added to as they are dispatched.
+ */
+function record(client) {
+  const events = [];
+  for (const type of [
+    'connecting',
+    'connected',
+    'service-discovered',
+    'ota-started',
+    'chunk-written',
+    'ota-finished',
+    'disconnected',
+    'error',
+  ]) {
+    client.addEventListener(type, ({ detail }) => events.push({ type, detail }));
+  }
+
+  return events;
+}
+
+describe('GeckoBootloaderClient', () => {
+  it('reads the versions of a target running AppLoader', async () => {
+    const { client } = await connect({
+      applicationVersion: 0x00010203,
+      appLoaderVersion: { major: 2, minor: 1, patch: 3, build: 4 },
+      geckoBootloaderVersion: { major: 2, minor: 4, customer: 0x0102 },
+      otaVersion: 3,
+    });
+
+    assert.equal(client.mode, 'apploader');
+    assert.equal(await client.getApplicationVersion(), 0x00010203);
+    assert.deepEqual(await client.getAppLoaderVersion(), { major: 2, minor: 1, patch: 3, build: 4 });
+    assert.deepEqual(await client.getGeckoBootloaderVersion(), { major: 2, minor: 4, customer: 0x0102 });
+    assert.equal(await client.getOtaVersion(), 3);
+
+    client.disconnect();
+    assert.equal(client.connected, false);
+  });
+
+  it('uploads an image in chunks', async () => {
+    const { client, target } = await connect();
+
+    const progress = [];
+    await client.flashFirmware(image, { wait: 0, progress: (percent) => progress.push(percent) });
+
+    assert.deepEqual(target.data, new Uint8Array(image));
+    assert.deepEqual(target.controlWrites, [START_OTA, FINISH_OTA]);
+    assert.equal(target.state, 'finished');
+    assert.deepEqual(
+      target.dataWrites.map(({ data, withResponse }) => [data.length, withResponse]),
+      Array.from({ length: Math.ceil(image.byteLength / 64) }, (_, i) => [
+        Math.min(64, image.byteLength - i * 64),
+        false,
+      ]),
+    );
+    assert.equal(progress[0], 0);
+    assert.equal(progress.at(-1), 100);
+
+    // AppLoader boots the new application when the connection is closed
+    client.disconnect();
+    assert.equal(target.mode, 'application');
+    assert.equal(target.applicationVersion, 0x00020000);
+  });
+
+  it('waits for an acknowledgement of each chunk in reliable mode', async () => {
+    const { client, target } = await connect();
+
+    await client.flashFirmware(image, { reliable: true, chunkSize: 128 });
+
+    assert.deepEqual(target.data, new Uint8Array(image));
+    assert.ok(target.dataWrites.every(({ data, withResponse }) => withResponse && data.length <= 128));
+    client.disconnect();
+  });
+
+  describe('rebootToAppLoader', () => {
+    it('reboots an application into AppLoader and reconnects', async () => {
+      const { client, target } = await connect({ mode: 'application' });
+      assert.equal(client.mode, 'application');
+
+      const phases = [];
+      await client.rebootToAppLoader({ timeout: 1000, phase: (phase) => phases.push(phase) });
+
+      assert.deepEqual(phases, ['rebooting', 'disconnected', 'reconnecting', 'connected']);
+      assert.deepEqual(target.controlWrites, [START_OTA]);
+      assert.equal(client.mode, 'apploader');
+      client.disconnect();
+    });
+
+    it('retries reconnecting, possibly to a different device', async () => {
+      const { client, target } = await connect({ mode: 'application' });
+      const apploader = new SimulatedOtaTarget();
+      target.failNext('connect');
+
+      const attempts = [];
+      await client.rebootToAppLoader({
+        timeout: 1000,
+        retryDelay: 0,
+        reconnect: async ({ attempt }) => {
+          attempts.push(attempt);
+          if (attempt > 1) return apploader;
+        },
+      });
+
+      assert.deepEqual(attempts, [1, 2]);
+      assert.equal(client.transport, apploader);
+      assert.equal(client.mode, 'apploader');
+      client.disconnect();
+    });
+
+    it('fails when the device does not come back in AppLoader', async () => {
+      const { client } = await connect({ mode: 'application' });
+
+      await assert.rejects(
+        client.rebootToAppLoader({
+          timeout: 1000,
+          reconnect: async () => new SimulatedOtaTarget({ mode: 'application' }),
+        }),
+        /Device did not reboot into AppLoader/,
+      );
+      assert.equal(client.connected, false);
+    });
+
+    it('stops waiting between reconnection attempts when aborted', async () => {
+      const { client, target } = await connect({ mode: 'application' });
+      const controller = new AbortController();
+      target.failNext('connect');
+
+      const start = performance.now();
+      await assert.rejects(
+        client.rebootToAppLoader({
+          timeout: 1000,
+          retryDelay: 60000,
+          reconnect: async () => {
+            setTimeout(() => controller.abort(), 10);
+          },
+          signal: controller.signal,
+        }),
+        { name: 'AbortError' },
+      );
+      assert.ok(performance.now() - start < 1000);
+    });
+  });
+
+  describe('flashFirmware', () => {
+    it('refuses to upload to an application unless asked to reboot it', async () => {
+      const { client, target } = await connect({ mode: 'application' });
+
+      await assert.rejects(client.flashFirmware(image, { wait: 0 }), {
+        message: 'Device is running an application, not AppLoader',
+        code: GBL_OTA_ERROR.REJECTED,
+      });
+      assert.deepEqual(target.controlWrites, []);
+      client.disconnect();
+    });
+
+    it('reboots an application into AppLoader before uploading', async () => {
+      const { client, target } = await connect({ mode: 'application' });
+
+      const phases = [];
+      await client.flashFirmware(image, {
+        wait: 0,
+        rebootToAppLoader: { timeout: 1000, phase: (phase) => phases.push(phase) },
+      });
+
+      assert.deepEqual(phases, ['rebooting', 'disconnected', 'reconnecting', 'connected']);
+      assert.deepEqual(target.controlWrites, [START_OTA, START_OTA, FINISH_OTA]);
+      assert.deepEqual(target.data, new Uint8Array(image));
+      client.disconnect();
+    });
+
+    it('restarts the upload after the connection is lost', async () => {
+      const { client, target } = await connect();
+      target.disconnectAfter(128);
+
+      await client.flashFirmware(image, { wait: 0, retries: 1, retryDelay: 0, timeout: 1000 });
+
+      assert.deepEqual(target.controlWrites, [START_OTA, START_OTA, FINISH_OTA]);
+      assert.deepEqual(target.data, new Uint8Array(image));
+      client.disconnect();
+    });
+
+    it('fails with a disconnected error once the retries are used up', async () => {
+      const { client, target } = await connect();
+      target.disconnectAfter(128);
+
+      await assert.rejects(client.flashFirmware(image, { wait: 0 }), (error) => {
+        assert.equal(error.code, GBL_OTA_ERROR.DISCONNECTED);
+        assert.equal(error.name, 'NetworkError');
+        assert.ok(error.cause instanceof DOMException);
+        return true;
+      });
+      assert.equal(client.connected, false);
+    });
+
+    it('fails with a timeout error when reconnecting times out', async () => {
+      const { client, target } = await connect();
+      const timeout = new Error('Connection timed out');
+      timeout.name = 'TimeoutError';
+      target.disconnectAfter(128).failNext('connect', timeout);
+
+      await assert.rejects(client.flashFirmware(image, { wait: 0, retries: 1, retryDelay: 0, timeout: 1000 }), {
+        name: 'TimeoutError',
+        code: GBL_OTA_ERROR.TIMEOUT,
+      });
+    });
+
+    it('retries chunk writes that fail while still connected', async () => {
+      const { client, target } = await connect();
+
+      await client.flashFirmware(image, {
+        wait: 0,
+        progress: (percent) => {
+          if (percent === 0) target.failNext('write');
+        },
+      });
+
+      assert.deepEqual(target.controlWrites, [START_OTA, FINISH_OTA]);
+      assert.deepEqual(target.data, new Uint8Array(image));
+      client.disconnect();
+    });
+
+    it('does not retry writes rejected by the device', async () => {
+      const { client, target } = await connect();
+      const rejected = new DOMException('GATT operation not permitted.', 'NotSupportedError');
+
+      await assert.rejects(
+        client.flashFirmware(image, {
+          wait: 0,
+          retries: 2,
+          progress: (percent) => {
+            if (percent === 0) target.failNext('write', rejected);
+          },
+        }),
+        { name: 'NotSupportedError', code: GBL_OTA_ERROR.REJECTED, cause: rejected },
+      );
+      assert.deepEqual(target.controlWrites, [START_OTA]);
+      client.disconnect();
+    });
+
+    it('stops the upload when aborted', async () => {
+      const { client, target } = await connect();
+      const controller = new AbortController();
+
+      await assert.rejects(
+        client.flashFirmware(image, { wait: 0, progress: () => controller.abort(), signal: controller.signal }),
+        { name: 'AbortError', code: GBL_OTA_ERROR.ABORTED },
+      );
+      assert.deepEqual(target.controlWrites, [START_OTA]);
+      assert.equal(target.dataWrites.length, 1);
+      client.disconnect();
+    });
+
+    it('stops waiting to restart the upload when aborted', async () => {
+      const { client, target } = await connect();
+      target.disconnectAfter(128);
+
+      const start = performance.now();
+      await assert.rejects(
+        client.flashFirmware(image, { wait: 0, retries: 3, retryDelay: 60000, signal: AbortSignal.timeout(50) }),
+        { name: 'TimeoutError', code: GBL_OTA_ERROR.ABORTED },
+      );
+      assert.ok(performance.now() - start < 1000);
+      assert.deepEqual(target.controlWrites, [START_OTA]);
+    });
+  });
+
+  describe('pacing', () => {
+    const large = new Uint8Array(2000).fill(0xa5).buffer;
+
+    /**
+     * Get the indexes of the chunks written with an acknowledgement, counting from 1.
+     * @param {SimulatedOtaTarget} target - The target.
+     * @returns {number[]} The chunk indexes.
+     */
+    const acknowledged = (target) =>
+      target.dataWrites.flatMap(({ withResponse }, index) => (withResponse ? [index + 1] : []));
+
+    it('derives the chunk size from the negotiated MTU', async () => {
+      for (const [mtu, chunkSize] of [
+        [247, 244],
+        [100, 96],
+        [23, 20],
+        [0, 64],
+      ]) {
+        const { client, target } = await connect({ mtu });
+        await client.flashFirmware(large, { wait: 0, chunkSize: 'auto' });
+
+        assert.equal(target.dataWrites[0].data.length, chunkSize, `MTU ${mtu}`);
+        assert.deepEqual(target.data, new Uint8Array(large));
+        client.disconnect();
+      }
+    });
+
+    it('acknowledges every nth chunk', async () => {
+      const { client, target } = await connect();
+      await client.flashFirmware(large, { wait: 0, chunkSize: 100, ackInterval: 4 });
+
+      assert.deepEqual(acknowledged(target), [4, 8, 12, 16, 20]);
+      client.disconnect();
+    });
+
+    it('acknowledges every 16th chunk with automatic pacing', async () => {
+      const { client, target } = await connect();
+
+      // Fail a write, so the wait is increased and the chunk is retried
+      await client.flashFirmware(large, {
+        wait: 'auto',
+        chunkSize: 50,
+        progress: (percent) => {
+          if (percent === 50) target.failNext('write');
+        },
+      });
+
+      assert.deepEqual(acknowledged(target), [16, 32]);
+      assert.deepEqual(target.data, new Uint8Array(large));
+      client.disconnect();
+    });
+
+    it('never acknowledges chunks with a fixed wait by default', async () => {
+      const { client, target } = await connect();
+      await client.flashFirmware(large, { wait: 0, chunkSize: 50 });
+
+      assert.deepEqual(acknowledged(target), []);
+      client.disconnect();
+    });
+
+    it('reports the throughput and remaining time', async () => {
+      const { client } = await connect({ latency: 1 });
+
+      const stats = [];
+      await client.flashFirmware(large, { wait: 0, chunkSize: 500, progress: (_, progress) => stats.push(progress) });
+
+      assert.deepEqual(
+        stats.map(({ bytesSent, total }) => [bytesSent, total]),
+        [
+          [500, 2000],
+          [1000, 2000],
+          [1500, 2000],
+          [2000, 2000],
+          [2000, 2000],
+        ],
+      );
+      assert.ok(stats.every(({ bytesPerSecond }) => bytesPerSecond > 0));
+      assert.ok(stats[0].eta > 0);
+      assert.equal(stats.at(-1).eta, 0);
+      client.disconnect();
+    });
+  });
+
+  describe('events', () => {
+    it('reports the connection and upload lifecycle', async () => {
+      const client = new GeckoBootloaderClient(new SimulatedOtaTarget());
+      const events = record(client);
+
+      await client.connect({ timeout: 1000 });
+      await client.flashFirmware(image, { wait: 0, chunkSize: 128 });
+      client.disconnect();
+
+      const chunks = Math.ceil(image.byteLength / 128);
+      assert.deepEqual(
+        events.map(({ type }) => type),
+        [
+          'connecting',
+          'connected',
+          'service-discovered',
+          'ota-started',
+          ...Array(chunks).fill('chunk-written'),
+          'ota-finished',
+          'disconnected',
+        ],
+      );
+      assert.deepEqual(events[0].detail, { timeout: 1000 });
+      assert.deepEqual(events[2].detail, { mode: 'apploader' });
+      assert.deepEqual(events[3].detail, { total: image.byteLength, chunkSize: 128 });
+      assert.deepEqual(
+        events.filter(({ type }) => type === 'chunk-written').map(({ detail }) => detail.bytesSent),
+        Array.from({ length: chunks }, (_, i) => Math.min((i + 1) * 128, image.byteLength)),
+      );
+      assert.equal(events.at(-2).detail.total, image.byteLength);
+      assert.ok(events.at(-2).detail.duration >= 0);
+      assert.deepEqual(events.at(-1).detail, { reason: 'requested' });
+    });
+
+    it('reports reboots, lost connections and errors', async () => {
+      const { client, target } = await connect({ mode: 'application' });
+      const events = record(client);
+      target.disconnectAfter(128);
+
+      const error = await client
+        .flashFirmware(image, { wait: 0, rebootToAppLoader: { timeout: 1000 } })
+        .catch((error) => error);
+
+      assert.deepEqual(
+        events.filter(({ type }) => type === 'disconnected').map(({ detail }) => detail.reason),
+        ['reboot', 'connection-lost'],
+      );
+      assert.deepEqual(events.at(-1), { type: 'error', detail: { error } });
+      assert.equal(error.code, GBL_OTA_ERROR.DISCONNECTED);
+    });
+
+    it('reports connection failures', async () => {
+      const target = new SimulatedOtaTarget().failNext('connect');
+      const client = new GeckoBootloaderClient(target);
+      const events = record(client);
+
+      await assert.rejects(client.connect({ timeout: 1000 }), { name: 'NetworkError' });
+      assert.deepEqual(
+        events.map(({ type }) => type),
+        ['connecting', 'error'],
+      );
+    });
+  });
+
+  describe('verifyUpdate', () => {
+    const parsed = new GeckoBootloaderImage(image);
+
+    it('confirms that the device booted the uploaded application', async () => {
+      const { client, target } = await connect();
+      await client.flashFirmware(image, { wait: 0 });
+
+      assert.deepEqual(await client.verifyUpdate(parsed, { timeout: 1000, retryDelay: 0 }), {
+        status: 'success',
+        expected: 0x00020000,
+        actual: 0x00020000,
+      });
+      assert.equal(target.controlWrites.at(-1), CLOSE_CONNECTION);
+      assert.equal(client.mode, 'application');
+      client.disconnect();
+    });
+
+    it('reconnects to a device which already disconnected', async () => {
+      const { client } = await connect();
+      await client.flashFirmware(image, { wait: 0 });
+      client.disconnect();
+
+      assert.equal((await client.verifyUpdate(parsed, { timeout: 1000, retryDelay: 0 })).status, 'success');
+      client.disconnect();
+    });
+
+    it('detects a rollback when the bootloader rejects the image', async () => {
+      const { client, target } = await connect({ applicationVersion: 0x00010000 });
+      target.rejectUpdate = true;
+      await client.flashFirmware(image, { wait: 0 });
+
+      assert.deepEqual(await client.verifyUpdate(parsed, { timeout: 1000, retryDelay: 0 }), {
+        status: 'rollback',
+        expected: 0x00020000,
+        actual: 0x00010000,
+      });
+      client.disconnect();
+    });
+
+    it('times out when the device does not come back', async () => {
+      const { client } = await connect();
+      await client.flashFirmware(image, { wait: 0 });
+
+      const result = await client.verifyUpdate(parsed, {
+        timeout: 100,
+        retryDelay: 10,
+        reconnect: async () => {
+          throw new DOMException('Bluetooth device is no longer in range.', 'NetworkError');
+        },
+      });
+      assert.deepEqual(result, { status: 'timeout', expected: 0x00020000, actual: null });
+    });
+
+    it('requires an image with an application tag', async () => {
+      const { client } = await connect();
+      const empty = new GeckoBootloaderImage(new GeckoBootloaderImageBuilder().build());
+
+      await assert.rejects(client.verifyUpdate(empty), /Image has no application tag/);
+      client.disconnect();
+    });
+  });
+});
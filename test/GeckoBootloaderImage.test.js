@@ -0,0 +1,319 @@
+import assert from 'node:assert/strict';
+import { createCipheriv, generateKeyPairSync, sign } from 'node:crypto';
+import { describe, it } from 'node:test';
+import { crc32 } from '../src/crc32.js';
+import { concat, encodeTag, uint32s } from '../src/encoding.js';
+import {
+  GBL_DIAGNOSTIC,
+  GBL_TAG_ID_APPLICATION,
+  GBL_TAG_ID_ENC_GBL_DATA,
+  GBL_TAG_ID_ENC_INIT,
+  GBL_TAG_ID_END,
+  GBL_TAG_ID_HEADER_V3,
+  GBL_TAG_ID_PROG,
+  GBL_TAG_ID_SIGNATURE,
+  GBL_TYPE,
+  GBL_VERSION,
+  GeckoBootloaderImage,
+} from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+
+const key = Uint8Array.from({ length: 16 }, (_, i) => i);
+const nonce = new Uint8Array(12).fill(7);
+const root = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const signer = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+/**
+ * Assemble a GBL file from encoded tags, appending the end tag.
+ * @param {...Uint8Array} tags - The encoded tags.
+ * @returns {ArrayBuffer} The GBL file contents.
+ */
+function gbl(...tags) {
+  const bytes = concat([...tags, encodeTag(GBL_TAG_ID_END, new Uint8Array(4))]);
+  new DataView(bytes.buffer).setUint32(bytes.length - 4, crc32(bytes.subarray(0, -4)), true);
+
+  return bytes.buffer;
+}
+
+/**
+ * Build a small image with an application and program data.
+ * @returns {GeckoBootloaderImageBuilder} The builder.
+ */
+function builder() {
+  return new GeckoBootloaderImageBuilder()
+    .setApplication({ type: 1, version: 0x01020300 })
+    .addProg({ flashStartAddress: 0x1000, data: Uint8Array.from({ length: 300 }, (_, i) => i & 0xff) });
+}
+
+/**
+ * Get the raw X || Y bytes of a public key.
+ * @param {import('node:crypto').KeyObject} key - The public key.
+ * @returns {Uint8Array} The 64 raw key bytes.
+ */
+function rawPublicKey(key) {
+  const { x, y } = key.export({ format: 'jwk' });
+  return new Uint8Array([...Buffer.from(x, 'base64url'), ...Buffer.from(y, 'base64url')]);
+}
+
+/**
+ * Create a certificate for the signer's key, signed by the root key.
+ * @returns {import('../src/GeckoBootloaderImage.js').GblCertificateEcdsaP256} The certificate.
+ */
+function certificate() {
+  const fields = concat([Uint8Array.of(1), new Uint8Array(3), rawPublicKey(signer.publicKey), uint32s(2)]);
+  const signature = sign('sha256', fields, { key: root.privateKey, dsaEncoding: 'ieee-p1363' });
+
+  return { structVersion: 1, flags: new Uint8Array(3), key: rawPublicKey(signer.publicKey), version: 2, signature };
+}
+
+/**
+ * Validate a buffer without parsing it.
+ * @param {ArrayBuffer} buffer - The GBL file contents.
+ * @returns {string[]} The diagnostic codes.
+ */
+function diagnose(buffer) {
+  return new GeckoBootloaderImage(buffer, false).validate().map(({ code }) => code);
+}
+
+describe('GeckoBootloaderImage', () => {
+  describe('decompressProg', () => {
+    it('decompresses LZ4 and LZMA program data', () => {
+      const data = new TextEncoder().encode('Gecko Bootloader '.repeat(200));
+      const image = new GeckoBootloaderImage(
+        new GeckoBootloaderImageBuilder()
+          .addProg({ flashStartAddress: 0x1000, data }, { compress: 'lz4' })
+          .addProg({ flashStartAddress: 0x2000, data }, { compress: 'lzma' })
+          .addProg({ flashStartAddress: 0x3000, data })
+          .build(),
+      );
+
+      assert.deepEqual(
+        image.prog.map(({ compression }) => compression),
+        ['lz4', 'lzma', undefined],
+      );
+      assert.deepEqual(
+        image.decompressProg().map(({ flashStartAddress, data }) => [flashStartAddress, data]),
+        [
+          [0x1000, data],
+          [0x2000, data],
+          [0x3000, data],
+        ],
+      );
+    });
+  });
+
+  describe('decrypt', () => {
+    it('decrypts an image encrypted with AES-CTR and a CCM counter block', async () => {
+      const application = encodeTag(GBL_TAG_ID_APPLICATION, uint32s(1, 0x01020300, 0), new Uint8Array(16));
+      const prog = encodeTag(GBL_TAG_ID_PROG, uint32s(0x1000), Uint8Array.of(1, 2, 3, 4));
+      const cipher = createCipheriv('aes-128-ctr', key, Uint8Array.of(0x02, ...nonce, 0, 0, 1));
+      const ciphertext = new Uint8Array(cipher.update(concat([application, prog])));
+
+      const encrypted = new GeckoBootloaderImage(
+        gbl(
+          encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION, GBL_TYPE.ENCRYPTION_AESCCM)),
+          encodeTag(GBL_TAG_ID_ENC_INIT, uint32s(ciphertext.length), nonce),
+          encodeTag(GBL_TAG_ID_ENC_GBL_DATA, ciphertext.subarray(0, 20)),
+          encodeTag(GBL_TAG_ID_ENC_GBL_DATA, ciphertext.subarray(20)),
+        ),
+      );
+      assert.equal(encrypted.application, null);
+
+      const decrypted = await encrypted.decrypt(key);
+      assert.ok(decrypted.isValid());
+      assert.equal(decrypted.header.typeFlags, 0);
+      assert.equal(decrypted.application.version, 0x01020300);
+      assert.deepEqual(decrypted.prog[0].data, Uint8Array.of(1, 2, 3, 4));
+    });
+
+    it('rejects unencrypted images and mismatched message lengths', async () => {
+      const plain = new GeckoBootloaderImage(builder().build());
+      await assert.rejects(plain.decrypt(key), /Image is not encrypted/);
+
+      const truncated = new GeckoBootloaderImage(
+        gbl(
+          encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION, GBL_TYPE.ENCRYPTION_AESCCM)),
+          encodeTag(GBL_TAG_ID_ENC_INIT, uint32s(10), nonce),
+          encodeTag(GBL_TAG_ID_ENC_GBL_DATA, new Uint8Array(8)),
+        ),
+      );
+      await assert.rejects(truncated.decrypt(key), /Encrypted data length does not match message length/);
+    });
+
+    it('reports a wrong key instead of a malformed image', async () => {
+      const encrypted = new GeckoBootloaderImage((await builder().encrypt(key, { nonce })).build());
+
+      await assert.rejects(encrypted.decrypt(new Uint8Array(16)), (error) => {
+        assert.match(error.message, /key is probably wrong/);
+        assert.ok(error.cause instanceof Error);
+        return true;
+      });
+    });
+  });
+
+  describe('verifySignature', () => {
+    it('verifies the signature over the image up to the signature tag', async () => {
+      const image = new GeckoBootloaderImage(
+        (await builder().sign(signer.privateKey.export({ format: 'jwk' }))).build(),
+      );
+
+      assert.equal(image.header.typeFlags, GBL_TYPE.SIGNATURE_ECDSA);
+      assert.ok(await image.verifySignature(signer.publicKey.export({ format: 'pem', type: 'spki' })));
+      assert.equal(await image.verifySignature(rawPublicKey(root.publicKey)), false);
+      assert.equal(
+        await new GeckoBootloaderImage(builder().build()).verifySignature(rawPublicKey(signer.publicKey)),
+        false,
+      );
+    });
+
+    it('detects modified image contents', async () => {
+      const bytes = new Uint8Array((await builder().sign(signer.privateKey.export({ format: 'jwk' }))).build());
+      const { offset, length } = new GeckoBootloaderImage(bytes.buffer).tags.find(({ id }) => id === GBL_TAG_ID_PROG);
+      bytes[offset + 8 + length - 1] ^= 0xff;
+
+      // Fix the end tag CRC, so only the signature catches the modification
+      new DataView(bytes.buffer).setUint32(bytes.length - 4, crc32(bytes.subarray(0, -4)), true);
+      assert.equal(await new GeckoBootloaderImage(bytes.buffer).verifySignature(rawPublicKey(signer.publicKey)), false);
+    });
+  });
+
+  describe('verifyCertificateChain', () => {
+    it('verifies the certificate against the root key and the image against the certificate key', async () => {
+      const image = new GeckoBootloaderImage(
+        (await builder().sign(signer.privateKey.export({ format: 'jwk' }), { certificate: certificate() })).build(),
+      );
+
+      assert.deepEqual(image.certificate.key, rawPublicKey(signer.publicKey));
+      assert.ok(await image.verifyCertificate(rawPublicKey(root.publicKey)));
+      assert.ok(await image.verifyCertificateChain(rawPublicKey(root.publicKey)));
+      assert.equal(await image.verifyCertificate(rawPublicKey(signer.publicKey)), false);
+      assert.equal(await image.verifyCertificateChain(rawPublicKey(signer.publicKey)), false);
+    });
+
+    it('fails when the image is signed by a key other than the certificate key', async () => {
+      const image = new GeckoBootloaderImage(
+        (await builder().sign(root.privateKey.export({ format: 'jwk' }), { certificate: certificate() })).build(),
+      );
+
+      assert.ok(await image.verifyCertificate(rawPublicKey(root.publicKey)));
+      assert.equal(await image.verifyCertificateChain(rawPublicKey(root.publicKey)), false);
+    });
+
+    it('fails without a certificate', async () => {
+      const image = new GeckoBootloaderImage(
+        (await builder().sign(signer.privateKey.export({ format: 'jwk' }))).build(),
+      );
+
+      assert.equal(await image.verifyCertificate(rawPublicKey(root.publicKey)), false);
+      assert.equal(await image.verifyCertificateChain(rawPublicKey(root.publicKey)), false);
+    });
+  });
+
+  describe('parse', () => {
+    it('rejects truncated images', () => {
+      const bytes = new Uint8Array(builder().build());
+
+      assert.throws(() => new GeckoBootloaderImage(bytes.slice(0, 20).buffer), /Truncated tag header/);
+      assert.throws(() => new GeckoBootloaderImage(bytes.slice(0, 30).buffer), /Tag length exceeds image size/);
+      assert.throws(() => new GeckoBootloaderImage(bytes.slice(0, -2).buffer), /Tag length exceeds image size/);
+    });
+
+    it('rejects tags with invalid lengths', () => {
+      const header = encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION, 0));
+
+      assert.throws(
+        () => new GeckoBootloaderImage(gbl(encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION)))),
+        /Invalid header tag length/,
+      );
+      assert.throws(
+        () => new GeckoBootloaderImage(gbl(header, encodeTag(GBL_TAG_ID_APPLICATION, new Uint8Array(20)))),
+        /Invalid application tag length/,
+      );
+      assert.throws(
+        () => new GeckoBootloaderImage(gbl(header, encodeTag(GBL_TAG_ID_PROG, new Uint8Array(2)))),
+        /Invalid program data tag length/,
+      );
+    });
+  });
+
+  describe('validate', () => {
+    const header = encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION, 0));
+    const application = encodeTag(GBL_TAG_ID_APPLICATION, uint32s(1, 0x01020300, 0), new Uint8Array(16));
+    const prog = encodeTag(GBL_TAG_ID_PROG, uint32s(0x1000), Uint8Array.of(1, 2, 3, 4));
+
+    it('reports nothing for valid images', async () => {
+      assert.deepEqual(diagnose(builder().build()), []);
+      assert.deepEqual(diagnose((await builder().sign(signer.privateKey.export({ format: 'jwk' }))).build()), []);
+      assert.deepEqual(diagnose((await builder().encrypt(key, { nonce })).build()), []);
+    });
+
+    it('reports truncated and empty images', () => {
+      const bytes = new Uint8Array(builder().build());
+
+      assert.deepEqual(diagnose(new ArrayBuffer(0)), [GBL_DIAGNOSTIC.MISSING_HEADER, GBL_DIAGNOSTIC.MISSING_END]);
+      assert.deepEqual(diagnose(bytes.slice(0, 20).buffer), [GBL_DIAGNOSTIC.TAG_OVERRUN, GBL_DIAGNOSTIC.MISSING_END]);
+      assert.deepEqual(diagnose(bytes.slice(0, 30).buffer), [GBL_DIAGNOSTIC.TAG_OVERRUN, GBL_DIAGNOSTIC.MISSING_END]);
+      assert.deepEqual(diagnose(bytes.slice(0, -12).buffer), [GBL_DIAGNOSTIC.MISSING_END]);
+    });
+
+    it('reports a missing header and unsupported versions', () => {
+      assert.deepEqual(diagnose(gbl(prog)), [GBL_DIAGNOSTIC.MISSING_HEADER]);
+      assert.deepEqual(diagnose(gbl(encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(0x02000000, 0)), prog)), [
+        GBL_DIAGNOSTIC.UNSUPPORTED_VERSION,
+      ]);
+    });
+
+    it('reports unknown, invalid, duplicate and misordered tags', () => {
+      const [unknown] = new GeckoBootloaderImage(
+        gbl(header, encodeTag(0x12345678, new Uint8Array(4))),
+        false,
+      ).validate();
+      assert.deepEqual(unknown, {
+        severity: 'warning',
+        code: GBL_DIAGNOSTIC.UNKNOWN_TAG,
+        message: 'Unknown tag 0x12345678',
+        offset: 16,
+        tagId: 0x12345678,
+      });
+
+      assert.deepEqual(diagnose(gbl(header, encodeTag(GBL_TAG_ID_APPLICATION, new Uint8Array(20)))), [
+        GBL_DIAGNOSTIC.INVALID_TAG_LENGTH,
+      ]);
+      assert.deepEqual(diagnose(gbl(header, application, application)), [GBL_DIAGNOSTIC.DUPLICATE_TAG]);
+
+      const [order] = new GeckoBootloaderImage(gbl(header, prog, application), false).validate();
+      assert.equal(order.code, GBL_DIAGNOSTIC.TAG_ORDER);
+      assert.equal(order.severity, 'warning');
+      assert.equal(order.message, 'Tag application must precede prog tag');
+
+      // Tags after the signature are not covered by it, so misplacing structural tags is an error
+      const signature = encodeTag(GBL_TAG_ID_SIGNATURE, new Uint8Array(64));
+      const signedHeader = encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION, GBL_TYPE.SIGNATURE_ECDSA));
+      const [structural] = new GeckoBootloaderImage(gbl(signedHeader, signature, prog), false).validate();
+      assert.equal(structural.code, GBL_DIAGNOSTIC.TAG_ORDER);
+      assert.equal(structural.severity, 'error');
+    });
+
+    it('reports CRC mismatches and trailing data', () => {
+      const bytes = new Uint8Array(builder().build());
+      const corrupted = bytes.slice();
+      corrupted[corrupted.length - 1] ^= 0xff;
+
+      assert.deepEqual(diagnose(corrupted.buffer), [GBL_DIAGNOSTIC.CRC_MISMATCH]);
+      assert.deepEqual(diagnose(concat([bytes, new Uint8Array(16)]).buffer), [GBL_DIAGNOSTIC.TRAILING_DATA]);
+    });
+
+    it('reports header flags inconsistent with the tags present', () => {
+      const signed = encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION, GBL_TYPE.SIGNATURE_ECDSA));
+      const encrypted = encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION, GBL_TYPE.ENCRYPTION_AESCCM));
+      const encryptionInit = encodeTag(GBL_TAG_ID_ENC_INIT, uint32s(0), nonce);
+
+      assert.deepEqual(diagnose(gbl(signed, prog)), [GBL_DIAGNOSTIC.FLAG_MISMATCH]);
+      assert.deepEqual(diagnose(gbl(header, prog, encodeTag(GBL_TAG_ID_SIGNATURE, new Uint8Array(64)))), [
+        GBL_DIAGNOSTIC.FLAG_MISMATCH,
+      ]);
+      assert.deepEqual(diagnose(gbl(encrypted, prog)), [GBL_DIAGNOSTIC.FLAG_MISMATCH]);
+      assert.deepEqual(diagnose(gbl(encrypted, encryptionInit, application)), [GBL_DIAGNOSTIC.FLAG_MISMATCH]);
+    });
+  });
+});
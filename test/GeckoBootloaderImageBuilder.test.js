@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { crc32 } from '../src/crc32.js';
+import { concat, encodeTag, uint32s } from '../src/encoding.js';
+import {
+  GBL_TAG_ID_APPLICATION,
+  GBL_TAG_ID_END,
+  GBL_TAG_ID_HEADER_V3,
+  GBL_TAG_ID_METADATA,
+  GBL_TAG_ID_PROG,
+  GBL_TYPE,
+  GBL_VERSION,
+  GeckoBootloaderImage,
+} from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+
+/**
+ * Assemble a GBL file from encoded tags, appending the end tag.
+ * @param {...Uint8Array} tags - The encoded tags.
+ * @returns {ArrayBuffer} The GBL file contents.
+ */
+function gbl(...tags) {
+  const bytes = concat([...tags, encodeTag(GBL_TAG_ID_END, new Uint8Array(4))]);
+  new DataView(bytes.buffer).setUint32(bytes.length - 4, crc32(bytes.subarray(0, -4)), true);
+
+  return bytes.buffer;
+}
+
+const header = encodeTag(GBL_TAG_ID_HEADER_V3, uint32s(GBL_VERSION, 0));
+const application = encodeTag(GBL_TAG_ID_APPLICATION, uint32s(1, 0x01020300, 0), new Uint8Array(16).fill(0xab));
+const prog = encodeTag(GBL_TAG_ID_PROG, uint32s(0x1000), Uint8Array.of(1, 2, 3, 4));
+const metadata = encodeTag(GBL_TAG_ID_METADATA, Uint8Array.of(5, 6));
+
+const tagNames = (buffer) => new GeckoBootloaderImage(buffer).tags.map(({ name }) => name);
+
+describe('GeckoBootloaderImageBuilder', () => {
+  it('serializes a parsed image to identical bytes', () => {
+    const buffer = gbl(header, application, metadata, prog);
+    const rebuilt = GeckoBootloaderImageBuilder.fromImage(new GeckoBootloaderImage(buffer)).build();
+
+    assert.deepEqual(new Uint8Array(rebuilt), new Uint8Array(buffer));
+  });
+
+  it('keeps the tag order of a parsed image not in specification order', () => {
+    const buffer = gbl(header, application, prog, metadata, prog);
+    const rebuilt = GeckoBootloaderImageBuilder.fromImage(new GeckoBootloaderImage(buffer)).build();
+
+    assert.deepEqual(tagNames(rebuilt), ['header', 'application', 'prog', 'metadata', 'prog', 'end']);
+    assert.deepEqual(new Uint8Array(rebuilt), new Uint8Array(buffer));
+  });
+
+  it('keeps unknown tags between the same tags of an edited image', () => {
+    const unknown = encodeTag(0xf00d0001, Uint8Array.of(9));
+    const builder = GeckoBootloaderImageBuilder.fromImage(
+      new GeckoBootloaderImage(gbl(header, application, unknown, prog)),
+    );
+    builder.setVersionDependency({ imageType: 0, statement: 0, version: 0 });
+
+    assert.deepEqual(tagNames(builder.build()), [
+      'header',
+      'versionDependency',
+      'application',
+      'unknown',
+      'prog',
+      'end',
+    ]);
+  });
+
+  it('inserts tags added to a parsed image after the tags preceding them in specification order', () => {
+    const builder = GeckoBootloaderImageBuilder.fromImage(new GeckoBootloaderImage(gbl(header, prog, application)));
+    builder.addMetadata(Uint8Array.of(7)).setVersionDependency({ imageType: 0, statement: 0, version: 0 });
+
+    assert.deepEqual(tagNames(builder.build()), [
+      'header',
+      'versionDependency',
+      'prog',
+      'application',
+      'metadata',
+      'end',
+    ]);
+  });
+
+  it('leaves the signature and certificate unchanged when signing fails', async () => {
+    const builder = GeckoBootloaderImageBuilder.fromImage(new GeckoBootloaderImage(gbl(header, application, prog)));
+    const certificate = {
+      structVersion: 1,
+      flags: new Uint8Array(3),
+      key: new Uint8Array(64),
+      version: 0,
+      signature: new Uint8Array(64),
+    };
+
+    await assert.rejects(
+      builder.sign(
+        async () => {
+          throw new Error('HSM unavailable');
+        },
+        { certificate },
+      ),
+      /HSM unavailable/,
+    );
+    await assert.rejects(
+      builder.sign(async () => ({ r: new Uint8Array(31), s: new Uint8Array(32) })),
+      /signature/,
+    );
+
+    assert.equal(builder.signature, null);
+    assert.equal(builder.certificate, null);
+    assert.deepEqual(tagNames(builder.build()), ['header', 'application', 'prog', 'end']);
+  });
+
+  it('writes tags of a new image in specification order', () => {
+    const builder = new GeckoBootloaderImageBuilder()
+      .addProg({ flashStartAddress: 0x1000, data: Uint8Array.of(1) })
+      .addMetadata(Uint8Array.of(2))
+      .setApplication({ type: 1, version: 1 });
+
+    assert.deepEqual(tagNames(builder.build()), ['header', 'application', 'metadata', 'prog', 'end']);
+  });
+
+  describe('encrypt', () => {
+    const key = Uint8Array.from({ length: 16 }, (_, i) => 0xf0 ^ i);
+
+    it('encrypts the content tags, which decrypt to the original tags', async () => {
+      const plain = gbl(header, application, metadata, prog);
+      const builder = GeckoBootloaderImageBuilder.fromImage(new GeckoBootloaderImage(plain));
+      await builder.encrypt(key, { nonce: new Uint8Array(12).fill(1) });
+
+      const encrypted = new GeckoBootloaderImage(builder.build());
+      assert.ok(encrypted.isValid());
+      assert.equal(encrypted.header.typeFlags, GBL_TYPE.ENCRYPTION_AESCCM);
+      assert.deepEqual(
+        encrypted.tags.map(({ name }) => name),
+        ['header', 'encryptionInit', 'encryptionData', 'encryptionData', 'encryptionData', 'end'],
+      );
+      assert.equal(encrypted.application, null);
+      assert.deepEqual(encrypted.encryptionInit.nonce, new Uint8Array(12).fill(1));
+
+      const decrypted = await encrypted.decrypt(key);
+      const rebuilt = GeckoBootloaderImageBuilder.fromImage(decrypted).build();
+      assert.deepEqual(new Uint8Array(rebuilt), new Uint8Array(plain));
+    });
+
+    it('uses a random nonce by default', async () => {
+      const nonces = [];
+      for (let i = 0; i < 2; i++) {
+        const builder = GeckoBootloaderImageBuilder.fromImage(new GeckoBootloaderImage(gbl(header, prog)));
+        nonces.push((await builder.encrypt(key)).encryptionInit.nonce);
+      }
+
+      assert.notDeepEqual(nonces[0], nonces[1]);
+    });
+
+    it('rejects encrypting twice', async () => {
+      const builder = GeckoBootloaderImageBuilder.fromImage(new GeckoBootloaderImage(gbl(header, prog)));
+      await builder.encrypt(key);
+
+      await assert.rejects(builder.encrypt(key), /Image is already encrypted/);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+import { GeckoBootloaderSerialClient } from '../src/GeckoBootloaderSerialClient.js';
+import { SimulatedSerialBootloader } from '../src/SimulatedSerialBootloader.js';
+
+const image = new GeckoBootloaderImageBuilder()
+  .setApplication({ type: 1, version: 0x00020000 })
+  .addProg({ flashStartAddress: 0x1000, data: new Uint8Array(300).fill(0x5a) })
+  .build();
+
+/**
+ * Connect a client to a simulated bootloader.
+ * @param {Object} [options] - Bootloader options.
+ * @returns {Promise<{bootloader: SimulatedSerialBootloader, client: GeckoBootloaderSerialClient}>}
+ */
+async function connect(options) {
+  const bootloader = new SimulatedSerialBootloader(options);
+  const client = new GeckoBootloaderSerialClient(bootloader);
+  await client.connect({ timeout: 1000 });
+
+  return { bootloader, client };
+}
+
+describe('GeckoBootloaderSerialClient', () => {
+  it('reads the version and information from the menu', async () => {
+    const { client } = await connect({ version: '2.4.1', info: 'Application version 1' });
+
+    assert.equal(client.version, '2.4.1');
+    assert.equal(await client.getInfo({ timeout: 1000 }), 'Application version 1');
+    await client.disconnect();
+  });
+
+  it('uploads an image, retrying packets that are not acknowledged', async () => {
+    const { bootloader, client } = await connect();
+    bootloader.nakNext(2);
+
+    const progress = [];
+    await client.flashFirmware(image, { timeout: 1000, progress: (percent) => progress.push(percent) });
+
+    assert.deepEqual(bootloader.data.subarray(0, image.byteLength), new Uint8Array(image));
+    assert.equal(bootloader.packets, Math.ceil(image.byteLength / 128) + 2);
+    assert.equal(bootloader.applicationVersion, 0x00020000);
+    assert.equal(progress.at(-1), 100);
+
+    await client.run();
+    assert.equal(bootloader.state, 'running');
+    await client.disconnect();
+  });
+
+  it('ignores repeated CRC mode requests sent before the first packet', async () => {
+    const { bootloader, client } = await connect({ crcRequests: 4 });
+
+    await client.flashFirmware(image, { timeout: 1000 });
+
+    assert.deepEqual(bootloader.data.subarray(0, image.byteLength), new Uint8Array(image));
+    assert.equal(bootloader.packets, Math.ceil(image.byteLength / 128));
+    await client.disconnect();
+  });
+
+  it('fails when the bootloader rejects the image', async () => {
+    const { bootloader, client } = await connect();
+    bootloader.rejectUpdate = true;
+
+    await assert.rejects(client.flashFirmware(image, { timeout: 1000 }), /Serial upload failed: Invalid image/);
+    assert.equal(bootloader.state, 'menu');
+    await client.disconnect();
+  });
+
+  it('cancels the transfer as soon as it is aborted while waiting for an acknowledgement', async () => {
+    const { bootloader, client } = await connect();
+    bootloader.dropNext(Number.POSITIVE_INFINITY);
+
+    const start = performance.now();
+    const upload = client.flashFirmware(image, { timeout: 5000, signal: AbortSignal.timeout(50) });
+
+    await assert.rejects(upload, { name: 'TimeoutError' });
+    assert.ok(performance.now() - start < 1000);
+    assert.equal(bootloader.state, 'menu');
+    await client.disconnect();
+  });
+
+  it('times out waiting for a menu that is never shown', async () => {
+    const { bootloader, client } = await connect();
+    await client.run();
+
+    await assert.rejects(client.getInfo({ timeout: 50 }), { name: 'TimeoutError', code: 'ETIMEDOUT' });
+    assert.equal(bootloader.state, 'running');
+    await client.disconnect();
+  });
+});
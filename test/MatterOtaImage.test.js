@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { describe, it } from 'node:test';
+import { concat } from '../src/encoding.js';
+import { GeckoBootloaderImage } from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+import { MATTER_OTA_DIGEST_TYPE, MATTER_OTA_FILE_ID, MatterOtaImage } from '../src/MatterOtaImage.js';
+
+const gbl = new GeckoBootloaderImageBuilder()
+  .setApplication({ type: 1, version: 0x00020000 })
+  .addProg({ flashStartAddress: 0x1000, data: new Uint8Array(100).fill(0x5a) })
+  .build();
+const payload = new Uint8Array(gbl);
+
+/**
+ * Assemble an OTA image file from an encoded TLV header and a payload.
+ * @param {Uint8Array} header - The TLV header.
+ * @param {Uint8Array} [data] - The payload.
+ * @returns {Uint8Array} The OTA image file contents.
+ */
+function otaFile(header, data = payload) {
+  const bytes = concat([new Uint8Array(16), header, data]);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, MATTER_OTA_FILE_ID, true);
+  view.setBigUint64(4, BigInt(bytes.length), true);
+  view.setUint32(12, header.length, true);
+
+  return bytes;
+}
+
+/**
+ * Encode the TLV header for the test payload by hand.
+ * @param {...Uint8Array} [extra] - Encoded elements to insert before the end of the structure.
+ * @returns {Uint8Array} The TLV header.
+ */
+function header(...extra) {
+  return concat([
+    Uint8Array.of(0x15),
+    Uint8Array.of(0x25, 0x00, 0xf1, 0xff), // Vendor ID 0xfff1
+    Uint8Array.of(0x25, 0x01, 0x00, 0x80), // Product ID 0x8000
+    Uint8Array.of(0x26, 0x02, 0x00, 0x00, 0x02, 0x00), // Software version 0x00020000
+    Uint8Array.of(0x2c, 0x03, 0x05, ...new TextEncoder().encode('2.0.0')), // Software version string
+    Uint8Array.of(0x24, 0x04, payload.length), // Payload size
+    Uint8Array.of(0x24, 0x08, MATTER_OTA_DIGEST_TYPE.SHA_256), // Digest type
+    Uint8Array.of(0x30, 0x09, 0x20, ...createHash('sha256').update(payload).digest()), // Digest
+    ...extra,
+    Uint8Array.of(0x18),
+  ]);
+}
+
+describe('MatterOtaImage', () => {
+  it('wraps a GBL image, using its application version as the software version', async () => {
+    const bytes = new Uint8Array(await MatterOtaImage.wrap(gbl, { vendorId: 0xfff1, productId: 0x8000 }));
+
+    assert.deepEqual(bytes, otaFile(header()));
+  });
+
+  it('parses the header and the payload', async () => {
+    const ota = new MatterOtaImage(otaFile(header()).buffer);
+
+    assert.equal(ota.vendorId, 0xfff1);
+    assert.equal(ota.productId, 0x8000);
+    assert.equal(ota.softwareVersion, 0x00020000);
+    assert.equal(ota.softwareVersionString, '2.0.0');
+    assert.equal(ota.minApplicableSoftwareVersion, null);
+    assert.equal(ota.releaseNotesUrl, null);
+    assert.equal(ota.imageDigestType, MATTER_OTA_DIGEST_TYPE.SHA_256);
+    assert.deepEqual(ota.payload, payload);
+    assert.ok(await ota.verifyDigest());
+    assert.equal(ota.toGeckoBootloaderImage().application.version, 0x00020000);
+  });
+
+  it('skips unknown fields and nested containers', () => {
+    const ota = new MatterOtaImage(
+      otaFile(
+        header(
+          Uint8Array.of(0x24, 0x20, 0x01), // Unknown context tag
+          Uint8Array.of(0x04, 0x07), // Anonymous element
+          Uint8Array.of(0x35, 0x02, 0x24, 0x01, 0x09, 0x18), // Structure with a nested software version tag
+          Uint8Array.of(0x28, 0x21, 0x34, 0x22), // Boolean and null
+        ),
+      ).buffer,
+    );
+
+    assert.equal(ota.productId, 0x8000);
+    assert.equal(ota.softwareVersion, 0x00020000);
+  });
+
+  it('round-trips the optional header fields', async () => {
+    const ota = new MatterOtaImage(
+      await MatterOtaImage.wrap(new GeckoBootloaderImage(gbl), {
+        vendorId: 0xfff1,
+        productId: 0x8000,
+        softwareVersion: 0x123456789,
+        softwareVersionString: 'v3',
+        minApplicableSoftwareVersion: 1,
+        maxApplicableSoftwareVersion: 0x10000,
+        releaseNotesUrl: `https://example.com/${'x'.repeat(300)}`,
+        digestType: MATTER_OTA_DIGEST_TYPE.SHA_256_32,
+      }),
+    );
+
+    assert.equal(ota.softwareVersion, 0x123456789);
+    assert.equal(ota.softwareVersionString, 'v3');
+    assert.equal(ota.minApplicableSoftwareVersion, 1);
+    assert.equal(ota.maxApplicableSoftwareVersion, 0x10000);
+    assert.equal(ota.releaseNotesUrl, `https://example.com/${'x'.repeat(300)}`);
+    assert.equal(ota.imageDigest.length, 4);
+    assert.deepEqual(ota.payload, payload);
+    assert.ok(await ota.verifyDigest());
+  });
+
+  it('detects a modified payload', async () => {
+    const bytes = otaFile(header());
+    bytes[bytes.length - 20] ^= 0xff;
+
+    assert.equal(await new MatterOtaImage(bytes.buffer).verifyDigest(), false);
+  });
+
+  it('rejects malformed files', () => {
+    const withoutVendor = header().filter((_, i) => i < 1 || i > 4);
+
+    assert.throws(() => new MatterOtaImage(payload.buffer), /Not a Matter OTA image/);
+    assert.throws(() => new MatterOtaImage(otaFile(header()).slice(0, -1).buffer), /Total size exceeds file size/);
+    assert.throws(
+      () => new MatterOtaImage(otaFile(header(), payload.subarray(1)).buffer),
+      /Payload size does not match/,
+    );
+    assert.throws(() => new MatterOtaImage(otaFile(withoutVendor).buffer), /Missing vendor ID in TLV header/);
+    assert.throws(() => new MatterOtaImage(otaFile(header().subarray(0, -1), new Uint8Array()).buffer), /Truncated/);
+    assert.throws(() => new MatterOtaImage(otaFile(Uint8Array.of(0x16, 0x18)).buffer), /not an anonymous structure/);
+    assert.throws(
+      () => new MatterOtaImage(otaFile(header(Uint8Array.of(0x2c, 0x00, 0x01, 0x41))).buffer),
+      /Invalid vendor ID in TLV header/,
+    );
+  });
+
+  it('rejects invalid wrap options', async () => {
+    const options = { vendorId: 0xfff1, productId: 0x8000 };
+    const empty = new GeckoBootloaderImageBuilder().build();
+
+    await assert.rejects(MatterOtaImage.wrap(gbl, { vendorId: 1 }), /Vendor ID and product ID are required/);
+    await assert.rejects(MatterOtaImage.wrap(empty, options), /GBL image has no application tag/);
+    await assert.rejects(
+      MatterOtaImage.wrap(gbl, { ...options, softwareVersionString: 'x'.repeat(65) }),
+      /Software version string must be 1 to 64 characters/,
+    );
+    await assert.rejects(MatterOtaImage.wrap(gbl, { ...options, digestType: 99 }), /Unsupported digest type 99/);
+
+    // Images without an application tag can be wrapped with an explicit software version
+    const ota = new MatterOtaImage(await MatterOtaImage.wrap(empty, { ...options, softwareVersion: 5 }));
+    assert.equal(ota.softwareVersionString, '0.0.5');
+  });
+});
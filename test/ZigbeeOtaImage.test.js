@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { concat } from '../src/encoding.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+import {
+  ZIGBEE_OTA_FIELD_CONTROL,
+  ZIGBEE_OTA_FILE_ID,
+  ZIGBEE_OTA_TAG,
+  ZIGBEE_STACK_VERSION,
+  ZigbeeOtaImage,
+} from '../src/ZigbeeOtaImage.js';
+
+const gbl = new GeckoBootloaderImageBuilder()
+  .setApplication({ type: 1, version: 0x00020000 })
+  .addProg({ flashStartAddress: 0x1000, data: new Uint8Array(100).fill(0x5a) })
+  .build();
+
+/**
+ * Encode a minimal OTA file by hand, with a single upgrade image sub-element.
+ * @param {Uint8Array} image - The upgrade image.
+ * @returns {Uint8Array} The OTA file contents.
+ */
+function otaFile(image) {
+  const bytes = new Uint8Array(56 + 6 + image.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, ZIGBEE_OTA_FILE_ID, true);
+  view.setUint16(4, 0x0100, true);
+  view.setUint16(6, 56, true);
+  view.setUint16(10, 0x1002, true);
+  view.setUint16(12, 0x5678, true);
+  view.setUint32(14, 0x00020000, true);
+  view.setUint16(18, ZIGBEE_STACK_VERSION.ZIGBEE_PRO, true);
+  bytes.set(new TextEncoder().encode('Test image'), 20);
+  view.setUint32(52, bytes.length, true);
+  view.setUint16(56, ZIGBEE_OTA_TAG.UPGRADE_IMAGE, true);
+  view.setUint32(58, image.length, true);
+  bytes.set(image, 62);
+
+  return bytes;
+}
+
+describe('ZigbeeOtaImage', () => {
+  it('parses the header and the upgrade image', () => {
+    const ota = new ZigbeeOtaImage(otaFile(new Uint8Array(gbl)).buffer);
+
+    assert.equal(ota.fieldControl, 0);
+    assert.equal(ota.manufacturerCode, 0x1002);
+    assert.equal(ota.imageType, 0x5678);
+    assert.equal(ota.fileVersion, 0x00020000);
+    assert.equal(ota.headerString, 'Test image');
+    assert.equal(ota.securityCredentialVersion, null);
+    assert.deepEqual(ota.upgradeImage, new Uint8Array(gbl));
+    assert.equal(ota.toGeckoBootloaderImage().application.version, 0x00020000);
+    assert.equal(ota.fileVersionMatches(), true);
+  });
+
+  it('wraps a GBL image, using its application version as the file version', () => {
+    const bytes = new Uint8Array(
+      ZigbeeOtaImage.wrap(gbl, { manufacturerCode: 0x1002, imageType: 0x5678, headerString: 'Test image' }),
+    );
+
+    assert.deepEqual(bytes, otaFile(new Uint8Array(gbl)));
+  });
+
+  it('round-trips the optional header fields and sub-elements', () => {
+    const destination = Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 8);
+    const picture = { tag: ZIGBEE_OTA_TAG.PICTURE_DATA, data: Uint8Array.of(9, 9, 9) };
+    const ota = new ZigbeeOtaImage(
+      ZigbeeOtaImage.wrap(gbl, {
+        manufacturerCode: 0x1002,
+        imageType: 0x5678,
+        fileVersion: 0x00030000,
+        stackVersion: ZIGBEE_STACK_VERSION.ZIGBEE_2007,
+        headerString: 'x'.repeat(32),
+        securityCredentialVersion: 2,
+        upgradeFileDestination: destination,
+        minimumHardwareVersion: 1,
+        maximumHardwareVersion: 3,
+        subElements: [picture],
+      }),
+    );
+
+    assert.equal(
+      ota.fieldControl,
+      ZIGBEE_OTA_FIELD_CONTROL.SECURITY_CREDENTIAL_VERSION |
+        ZIGBEE_OTA_FIELD_CONTROL.DEVICE_SPECIFIC |
+        ZIGBEE_OTA_FIELD_CONTROL.HARDWARE_VERSIONS,
+    );
+    assert.equal(ota.stackVersion, ZIGBEE_STACK_VERSION.ZIGBEE_2007);
+    assert.equal(ota.headerString, 'x'.repeat(32));
+    assert.equal(ota.securityCredentialVersion, 2);
+    assert.deepEqual(ota.upgradeFileDestination, destination);
+    assert.equal(ota.minimumHardwareVersion, 1);
+    assert.equal(ota.maximumHardwareVersion, 3);
+    assert.deepEqual(ota.subElements, [{ tag: ZIGBEE_OTA_TAG.UPGRADE_IMAGE, data: new Uint8Array(gbl) }, picture]);
+    assert.equal(ota.fileVersionMatches(), false);
+  });
+
+  it('rejects malformed files', () => {
+    const bytes = otaFile(new Uint8Array(gbl));
+    const modified = (offset, setter, value) => {
+      const copy = bytes.slice();
+      new DataView(copy.buffer)[setter](offset, value, true);
+      return copy.buffer;
+    };
+
+    assert.throws(() => new ZigbeeOtaImage(new Uint8Array(gbl).buffer), /Not a Zigbee OTA file/);
+    assert.throws(() => new ZigbeeOtaImage(modified(4, 'setUint16', 0x0200)), /Unsupported OTA header version 0x0200/);
+    assert.throws(() => new ZigbeeOtaImage(bytes.slice(0, -1).buffer), /Total image size exceeds file size/);
+    assert.throws(() => new ZigbeeOtaImage(modified(6, 'setUint16', 50)), /Invalid OTA header length/);
+    assert.throws(
+      () => new ZigbeeOtaImage(modified(8, 'setUint16', ZIGBEE_OTA_FIELD_CONTROL.DEVICE_SPECIFIC)),
+      /Invalid OTA header length/,
+    );
+    assert.throws(() => new ZigbeeOtaImage(modified(58, 'setUint32', gbl.byteLength + 1)), /Sub-element length/);
+    assert.throws(() => new ZigbeeOtaImage(modified(52, 'setUint32', 60)), /Truncated sub-element header/);
+  });
+
+  it('rejects invalid wrap options', () => {
+    const options = { manufacturerCode: 0x1002, imageType: 0x5678 };
+    const empty = new GeckoBootloaderImageBuilder().build();
+
+    assert.throws(() => ZigbeeOtaImage.wrap(gbl, { imageType: 1 }), /Manufacturer code and image type are required/);
+    assert.throws(() => ZigbeeOtaImage.wrap(empty, options), /GBL image has no application tag/);
+    assert.throws(() => ZigbeeOtaImage.wrap(gbl, { ...options, headerString: 'x'.repeat(33) }), /too long/);
+    assert.throws(
+      () => ZigbeeOtaImage.wrap(gbl, { ...options, upgradeFileDestination: new Uint8Array(4) }),
+      /Invalid upgrade file destination length/,
+    );
+    assert.throws(
+      () => ZigbeeOtaImage.wrap(gbl, { ...options, minimumHardwareVersion: 1 }),
+      /Both minimum and maximum hardware versions are required/,
+    );
+
+    // Images without an application tag can be wrapped with an explicit file version
+    const ota = new ZigbeeOtaImage(ZigbeeOtaImage.wrap(empty, { ...options, fileVersion: 5 }));
+    assert.equal(ota.fileVersionMatches(), null);
+  });
+
+  it('requires an upgrade image sub-element', () => {
+    const bytes = otaFile(new Uint8Array(gbl));
+    new DataView(bytes.buffer).setUint16(56, ZIGBEE_OTA_TAG.PICTURE_DATA, true);
+    const ota = new ZigbeeOtaImage(bytes.buffer);
+
+    assert.equal(ota.upgradeImage, null);
+    assert.throws(() => ota.toGeckoBootloaderImage(), /OTA file has no upgrade image/);
+    assert.deepEqual(concat(ota.subElements.map(({ data }) => data)), new Uint8Array(gbl));
+  });
+});
@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import { createCipheriv } from 'node:crypto';
+import { describe, it } from 'node:test';
+import { aesCcmCrypt } from '../src/aesccm.js';
+
+const key = Uint8Array.from({ length: 16 }, (_, i) => i);
+const nonce = Uint8Array.from({ length: 12 }, (_, i) => 0xa0 + i);
+const data = Uint8Array.from({ length: 100 }, (_, i) => (i * 37) & 0xff);
+
+describe('aesCcmCrypt', () => {
+  it('matches AES-CTR with a CCM counter block', async () => {
+    const counter = Uint8Array.of(0x02, ...nonce, 0, 0, 1);
+    const cipher = createCipheriv('aes-128-ctr', key, counter);
+    const expected = new Uint8Array(Buffer.concat([cipher.update(data), cipher.final()]));
+
+    assert.deepEqual(await aesCcmCrypt(key, nonce, data), expected);
+  });
+
+  it('decrypts what it encrypts', async () => {
+    const ciphertext = await aesCcmCrypt(key.buffer, nonce, data);
+
+    assert.notDeepEqual(ciphertext, data);
+    assert.deepEqual(await aesCcmCrypt(key, nonce, ciphertext), data);
+  });
+
+  it('rejects invalid keys and nonces', async () => {
+    await assert.rejects(aesCcmCrypt(new Uint8Array(15), nonce, data), /Invalid AES-128 key length/);
+    await assert.rejects(aesCcmCrypt(key, new Uint8Array(8), data), /Invalid nonce length/);
+  });
+});
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  APPLICATION_PROPERTIES_MAGIC,
+  checkApplicationProperties,
+  findApplicationProperties,
+  GBL_APPLICATION_SIGNATURE,
+} from '../src/applicationProperties.js';
+import { concat, uint32s } from '../src/encoding.js';
+import { FlashImage } from '../src/FlashImage.js';
+import { GeckoBootloaderImage } from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+
+const productId = Uint8Array.from({ length: 16 }, (_, i) => i + 1);
+
+/**
+ * Encode an ApplicationProperties_t struct.
+ * @param {Object} [fields] - Struct fields.
+ * @returns {Uint8Array} The encoded struct.
+ */
+function applicationProperties({
+  structVersion = 0x0201,
+  version = 0x00010203,
+  certificateAddress = 0,
+  longTokenSectionAddress = 0,
+} = {}) {
+  return concat([
+    APPLICATION_PROPERTIES_MAGIC,
+    uint32s(structVersion, GBL_APPLICATION_SIGNATURE.ECDSA_P256, 0x00008000, 1, version, 0),
+    productId,
+    uint32s(certificateAddress, longTokenSectionAddress),
+  ]);
+}
+
+/**
+ * Build an image with the given program data at 0x1000.
+ * @param {Uint8Array} data - The program data.
+ * @param {Object} [application] - Application tag fields.
+ * @returns {GeckoBootloaderImage} The parsed image.
+ */
+function image(data, application = { type: 1, version: 0x00010203, productId }) {
+  return new GeckoBootloaderImage(
+    new GeckoBootloaderImageBuilder().setApplication(application).addProg({ flashStartAddress: 0x1000, data }).build(),
+  );
+}
+
+describe('applicationProperties', () => {
+  describe('findApplicationProperties', () => {
+    it('decodes the struct and the certificate it points to', () => {
+      const certificate = concat([Uint8Array.of(1, 0, 0, 0), new Uint8Array(64).fill(0x11), uint32s(7)]);
+      const flash = new FlashImage()
+        .write(0x1000, new Uint8Array(0x100))
+        .write(0x1100, applicationProperties({ certificateAddress: 0x2000, longTokenSectionAddress: 0x3000 }))
+        .write(0x2000, concat([certificate, new Uint8Array(64).fill(0x22)]));
+
+      assert.deepEqual(findApplicationProperties(flash), {
+        address: 0x1100,
+        structVersion: { major: 1, minor: 2 },
+        signatureType: GBL_APPLICATION_SIGNATURE.ECDSA_P256,
+        signatureLocation: 0x00008000,
+        app: { type: 1, version: 0x00010203, capabilities: 0, productId },
+        certificateAddress: 0x2000,
+        certificate: {
+          structVersion: 1,
+          flags: new Uint8Array(3),
+          key: new Uint8Array(64).fill(0x11),
+          version: 7,
+          signature: new Uint8Array(64).fill(0x22),
+        },
+        longTokenSectionAddress: 0x3000,
+      });
+    });
+
+    it('ignores fields added by later struct versions', () => {
+      const flash = new FlashImage().write(
+        0x1000,
+        applicationProperties({ structVersion: 0x0001, certificateAddress: 0x2000, longTokenSectionAddress: 0x3000 }),
+      );
+      const properties = findApplicationProperties(flash);
+
+      assert.deepEqual(properties.structVersion, { major: 1, minor: 0 });
+      assert.equal(properties.certificateAddress, null);
+      assert.equal(properties.longTokenSectionAddress, null);
+    });
+
+    it('leaves out certificates outside the flash contents', () => {
+      const flash = new FlashImage().write(0x1000, applicationProperties({ certificateAddress: 0x2000 }));
+      const properties = findApplicationProperties(flash);
+
+      assert.equal(properties.certificateAddress, 0x2000);
+      assert.equal(properties.certificate, null);
+    });
+
+    it('only matches word aligned structs', () => {
+      assert.equal(findApplicationProperties(new FlashImage().write(0x1002, applicationProperties())), null);
+      assert.equal(
+        findApplicationProperties(new FlashImage().write(0x1000, concat([new Uint8Array(2), applicationProperties()]))),
+        null,
+      );
+      assert.equal(
+        findApplicationProperties(new FlashImage().write(0x1002, concat([new Uint8Array(2), applicationProperties()])))
+          .address,
+        0x1004,
+      );
+    });
+  });
+
+  describe('checkApplicationProperties', () => {
+    it('finds the struct in the program data of an image', () => {
+      const { properties, mismatches } = checkApplicationProperties(
+        image(concat([new Uint8Array(0x40), applicationProperties()])),
+      );
+
+      assert.equal(properties.address, 0x1040);
+      assert.deepEqual(mismatches, []);
+    });
+
+    it('reports fields which differ from the application tag', () => {
+      const { mismatches } = checkApplicationProperties(
+        image(applicationProperties({ version: 0x00010204 }), { type: 1, version: 0x00010203 }),
+      );
+
+      assert.deepEqual(
+        mismatches.map(({ field }) => field),
+        ['version', 'productId'],
+      );
+      assert.equal(
+        mismatches[0].message,
+        'Application version 0x00010203 (1.2.3) in the application tag does not match 0x00010204 (1.2.4) in the application properties',
+      );
+    });
+
+    it('reports nothing without a struct', () => {
+      assert.deepEqual(checkApplicationProperties(image(new Uint8Array(0x100))), { properties: null, mismatches: [] });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { checkCompatibility, GBL_COMPATIBILITY } from '../src/compatibility.js';
+import { GeckoBootloaderClient } from '../src/GeckoBootloaderClient.js';
+import { GeckoBootloaderImage } from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+import { SimulatedOtaTarget } from '../src/SimulatedOtaTarget.js';
+import { GBL_VERSION_DEPENDENCY_OPERATOR, GBL_VERSION_DEPENDENCY_TYPE } from '../src/versionDependency.js';
+
+/**
+ * Connect a client to a simulated target.
+ * @param {Object} [options] - Target options.
+ * @returns {Promise<{client: GeckoBootloaderClient, target: SimulatedOtaTarget}>} The client and target.
+ */
+async function connect(options) {
+  const target = new SimulatedOtaTarget({ applicationVersion: 0x00010000, ...options });
+  const client = new GeckoBootloaderClient(target);
+  await client.connect();
+
+  return { client, target };
+}
+
+/**
+ * Build an image with an application.
+ * @param {number} version - The application version.
+ * @returns {GeckoBootloaderImageBuilder} The builder.
+ */
+function builder(version) {
+  return new GeckoBootloaderImageBuilder()
+    .setApplication({ type: 1, version })
+    .addProg({ flashStartAddress: 0x1000, data: new Uint8Array(256) });
+}
+
+/**
+ * Parse a built image.
+ * @param {GeckoBootloaderImageBuilder} imageBuilder - The builder.
+ * @returns {GeckoBootloaderImage} The image.
+ */
+function image(imageBuilder) {
+  return new GeckoBootloaderImage(imageBuilder.build());
+}
+
+/**
+ * Get the codes and severities of the reasons of a verdict.
+ * @param {import('../src/compatibility.js').CompatibilityVerdict} verdict - The verdict.
+ * @returns {string[]} Reasons as "severity code".
+ */
+function reasons({ reasons }) {
+  return reasons.map(({ severity, code }) => `${severity} ${code}`);
+}
+
+describe('checkCompatibility', () => {
+  it('accepts upgrades and reports the device versions', async () => {
+    const { client } = await connect({ geckoBootloaderVersion: { major: 2, minor: 4, customer: 1 } });
+    const verdict = await checkCompatibility(image(builder(0x00020000)), client);
+
+    assert.deepEqual(verdict, {
+      compatible: true,
+      reasons: [],
+      device: {
+        applicationVersion: 0x00010000,
+        bootloaderVersion: { major: 2, minor: 4, customer: 1 },
+        otaVersion: 3,
+      },
+    });
+  });
+
+  it('rejects downgrades unless allowed, and warns about the same version', async () => {
+    const { client } = await connect();
+
+    const downgrade = await checkCompatibility(image(builder(0x00000100)), client);
+    assert.equal(downgrade.compatible, false);
+    assert.deepEqual(reasons(downgrade), [`error ${GBL_COMPATIBILITY.DOWNGRADE}`]);
+    assert.equal(downgrade.reasons[0].message, 'This is a downgrade, from 1.0.0 to 0.1.0');
+
+    const allowed = await checkCompatibility(image(builder(0x00000100)), client, { allowDowngrade: true });
+    assert.equal(allowed.compatible, true);
+    assert.deepEqual(reasons(allowed), [`warning ${GBL_COMPATIBILITY.DOWNGRADE}`]);
+
+    const same = await checkCompatibility(image(builder(0x00010000)), client);
+    assert.equal(same.compatible, true);
+    assert.deepEqual(reasons(same), [`warning ${GBL_COMPATIBILITY.SAME_VERSION}`]);
+  });
+
+  it('compares bootloader upgrades with the device bootloader', async () => {
+    const { client } = await connect({ geckoBootloaderVersion: { major: 2, minor: 4, customer: 0 } });
+    const bootloader = (major, minor) =>
+      image(
+        new GeckoBootloaderImageBuilder().setBootloader({
+          bootloaderVersion: { major, minor, customer: 0 },
+          address: 0,
+          data: new Uint8Array(16),
+        }),
+      );
+
+    assert.deepEqual(reasons(await checkCompatibility(bootloader(2, 5), client)), []);
+    assert.deepEqual(reasons(await checkCompatibility(bootloader(2, 4), client)), [
+      `warning ${GBL_COMPATIBILITY.BOOTLOADER_SAME_VERSION}`,
+    ]);
+    assert.deepEqual(reasons(await checkCompatibility(bootloader(2, 3), client)), [
+      `error ${GBL_COMPATIBILITY.BOOTLOADER_DOWNGRADE}`,
+    ]);
+  });
+
+  it('checks the version dependency', async () => {
+    const { client } = await connect();
+    const dependency = (version) =>
+      image(
+        builder(0x00020000).setVersionDependency({
+          imageType: GBL_VERSION_DEPENDENCY_TYPE.APPLICATION,
+          statement: GBL_VERSION_DEPENDENCY_OPERATOR.GREATER_OR_EQUAL,
+          version,
+        }),
+      );
+
+    assert.deepEqual(reasons(await checkCompatibility(dependency(0x00010000), client)), []);
+
+    const verdict = await checkCompatibility(dependency(0x00010500), client);
+    assert.deepEqual(reasons(verdict), [`error ${GBL_COMPATIBILITY.VERSION_DEPENDENCY}`]);
+    assert.equal(verdict.reasons[0].message, 'Device does not satisfy the dependency: application version >= 1.5.0');
+  });
+
+  it('checks the image against the requirements', async () => {
+    const { client } = await connect({ otaVersion: 2 });
+    const verdict = await checkCompatibility(image(builder(0x00020000)), client, {
+      requireSigned: true,
+      requireEncrypted: true,
+      minOtaVersion: 3,
+      maxImageSize: 100,
+    });
+
+    assert.equal(verdict.compatible, false);
+    assert.deepEqual(reasons(verdict), [
+      `error ${GBL_COMPATIBILITY.SIGNATURE_REQUIRED}`,
+      `error ${GBL_COMPATIBILITY.ENCRYPTION_REQUIRED}`,
+      `error ${GBL_COMPATIBILITY.IMAGE_TOO_LARGE}`,
+      `error ${GBL_COMPATIBILITY.OTA_VERSION}`,
+    ]);
+  });
+
+  it('rejects invalid images', async () => {
+    const { client } = await connect();
+    const bytes = new Uint8Array(builder(0x00020000).build());
+    bytes[bytes.length - 1] ^= 0xff;
+
+    assert.deepEqual(reasons(await checkCompatibility(new GeckoBootloaderImage(bytes.buffer), client)), [
+      `error ${GBL_COMPATIBILITY.INVALID_IMAGE}`,
+    ]);
+  });
+
+  it('warns when device versions are unavailable', async () => {
+    const { client, target } = await connect();
+    target.failNext('read');
+
+    const verdict = await checkCompatibility(image(builder(0x00020000)), client, { minOtaVersion: 3 });
+    assert.equal(verdict.compatible, true);
+    assert.equal(verdict.device.applicationVersion, null);
+    assert.deepEqual(reasons(verdict), [`warning ${GBL_COMPATIBILITY.DEVICE_VERSION_UNAVAILABLE}`]);
+  });
+});
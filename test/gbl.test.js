@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { generateKeyPairSync } from 'node:crypto';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+
+const CLI = fileURLToPath(new URL('../bin/gbl.js', import.meta.url));
+
+const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const firmware = Uint8Array.from({ length: 1000 }, (_, i) => (i * 7) & 0xff);
+
+/**
+ * Run the CLI.
+ * @param {...string} args - Command line arguments.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} The exit code and output.
+ */
+function gbl(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Build an image of the test firmware.
+ * @param {number} version - The application version.
+ * @returns {GeckoBootloaderImageBuilder} The builder.
+ */
+function builder(version) {
+  return new GeckoBootloaderImageBuilder()
+    .setApplication({ type: 1, version })
+    .addProg({ flashStartAddress: 0x1000, data: firmware });
+}
+
+describe('gbl', () => {
+  let dir;
+  const path = (name) => join(dir, name);
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'gbl-'));
+
+    const corrupted = new Uint8Array(builder(0x00010203).build());
+    corrupted[corrupted.length - 1] ^= 0xff;
+
+    await writeFile(path('firmware.bin'), firmware);
+    await writeFile(path('v1.gbl'), new Uint8Array(builder(0x00010203).build()));
+    await writeFile(path('v2.gbl'), new Uint8Array(builder(0x00020000).build()));
+    await writeFile(path('corrupted.gbl'), corrupted);
+    await writeFile(
+      path('signed.gbl'),
+      new Uint8Array((await builder(0x00010203).sign(privateKey.export({ format: 'jwk' }))).build()),
+    );
+    await writeFile(path('public.pem'), publicKey.export({ format: 'pem', type: 'spki' }));
+    await writeFile(
+      path('other.pem'),
+      generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).publicKey.export({ format: 'pem', type: 'spki' }),
+    );
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('creates an image from a raw binary', async () => {
+    const { code, stdout } = await gbl(
+      'create',
+      path('firmware.bin'),
+      '--app-version',
+      '1.2.3',
+      '--address',
+      '0x1000',
+      '--type',
+      'zigbee',
+      '--output',
+      path('created.gbl'),
+    );
+
+    assert.equal(code, 0);
+    assert.match(stdout, /created\.gbl \(\d+ bytes\)/);
+    assert.deepEqual(await readFile(path('created.gbl')), await readFile(path('v1.gbl')));
+  });
+
+  it('prints image information as JSON', async () => {
+    const { code, stdout } = await gbl('info', path('v2.gbl'), '--json');
+    const output = JSON.parse(stdout);
+
+    assert.equal(code, 0);
+    assert.equal(output.valid, true);
+    assert.deepEqual(output.diagnostics, []);
+    assert.equal(output.signed, false);
+    assert.deepEqual(
+      output.tags.map(({ name }) => name),
+      ['header', 'application', 'prog', 'end'],
+    );
+  });
+
+  it('extracts the program data', async () => {
+    const { code } = await gbl('extract', path('v2.gbl'), '--output', path('extracted'));
+
+    assert.equal(code, 0);
+    assert.deepEqual(await readdir(path('extracted')), ['prog-0-0x00001000.bin']);
+    assert.deepEqual(new Uint8Array(await readFile(path('extracted/prog-0-0x00001000.bin'))), firmware);
+  });
+
+  it('exits with 0 when verification succeeds', async () => {
+    const { code, stdout } = await gbl('verify', path('signed.gbl'), '--sign-key', path('public.pem'));
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Structure and CRC32 OK/);
+    assert.match(stdout, /Signature OK/);
+  });
+
+  it('exits with 1 on usage and I/O errors', async () => {
+    assert.equal((await gbl()).code, 1);
+    assert.equal((await gbl('unknown')).code, 1);
+    assert.equal((await gbl('toString')).code, 1);
+    assert.equal((await gbl('info')).code, 1);
+    assert.equal((await gbl('info', path('v2.gbl'), '--unknown')).code, 1);
+
+    const missing = await gbl('verify', path('missing.gbl'));
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /missing\.gbl: No such file or directory/);
+  });
+
+  it('exits with 2 on invalid images', async () => {
+    const verify = await gbl('verify', path('corrupted.gbl'));
+    assert.equal(verify.code, 2);
+    assert.match(verify.stderr, /error: CRC32 mismatch/);
+
+    const info = await gbl('info', path('corrupted.gbl'), '--json');
+    assert.equal(info.code, 2);
+    assert.equal(JSON.parse(info.stdout).valid, false);
+
+    assert.equal((await gbl('info', path('firmware.bin'))).code, 2);
+  });
+
+  it('exits with 3 when the CRC32 does not match', async () => {
+    const { stdout } = await gbl('info', path('v2.gbl'), '--json');
+    const crc = JSON.parse(stdout).crc32.toString(16);
+
+    assert.equal((await gbl('verify', path('v2.gbl'), '--crc', crc)).code, 0);
+    assert.equal((await gbl('verify', path('v2.gbl'), '--crc', `0x${crc}`)).code, 0);
+    assert.equal((await gbl('verify', path('v2.gbl'), '--crc', '0x12345678')).code, 3);
+  });
+
+  it('exits with 4 when the signature is missing or invalid', async () => {
+    const unsigned = await gbl('verify', path('v2.gbl'), '--sign-key', path('public.pem'));
+    assert.equal(unsigned.code, 4);
+    assert.match(unsigned.stderr, /Image is not signed/);
+
+    const invalid = await gbl('verify', path('signed.gbl'), '--sign-key', path('other.pem'));
+    assert.equal(invalid.code, 4);
+    assert.match(invalid.stderr, /Signature is invalid/);
+  });
+
+  it('exits with 5 when images differ', async () => {
+    const identical = await gbl('diff', path('v2.gbl'), path('v2.gbl'));
+    assert.equal(identical.code, 0);
+
+    const different = await gbl('diff', path('v1.gbl'), path('v2.gbl'), '--json');
+    const output = JSON.parse(different.stdout);
+    assert.equal(different.code, 5);
+    assert.equal(output.identical, false);
+    assert.ok(output.tags.some(({ status }) => status === 'changed'));
+  });
+});
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { lz4Compress, lz4Decompress } from '../src/lz4.js';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('lz4', () => {
+  it('decompresses a block with literals and an overlapping match', () => {
+    const block = Uint8Array.of(0x35, 0x61, 0x62, 0x63, 0x03, 0x00, 0x50, 0x58, 0x59, 0x5a, 0x57, 0x56);
+
+    assert.equal(text(lz4Decompress(block)), 'abcabcabcabcXYZWV');
+  });
+
+  it('round trips repetitive and random data', () => {
+    const repetitive = new TextEncoder().encode('Gecko Bootloader '.repeat(1000));
+    const random = Uint8Array.from({ length: 5000 }, (_, i) => (i * 2654435761) >>> 24);
+
+    for (const data of [repetitive, random, new Uint8Array(0), Uint8Array.of(1)]) {
+      assert.deepEqual(lz4Decompress(lz4Compress(data)), data);
+    }
+    assert.ok(lz4Compress(repetitive).length < repetitive.length / 10);
+  });
+
+  it('rejects truncated blocks and invalid match offsets', () => {
+    assert.throws(() => lz4Decompress(Uint8Array.of(0x50, 0x61)), /Truncated LZ4 block/);
+    assert.throws(() => lz4Decompress(Uint8Array.of(0x10, 0x61, 0x05, 0x00, 0x50)), /Invalid LZ4 match offset/);
+  });
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { lzmaCompress, lzmaDecompress } from '../src/lzma.js';
+
+const hex = (digits) => Uint8Array.from(digits.match(/../g), (byte) => Number.parseInt(byte, 16));
+
+describe('lzma', () => {
+  it('decompresses a stream with an end marker and unknown size', () => {
+    // Compressed by liblzma, in the "alone" format with a 4 KiB dictionary
+    const stream = hex('5d00100000ffffffffffffffff0023994866dc79745b04469085a6212fa724ae049b39f587fffffb6f8000');
+
+    assert.equal(new TextDecoder().decode(lzmaDecompress(stream)), 'Gecko Bootloader '.repeat(8));
+  });
+
+  it('round trips repetitive and random data', () => {
+    const repetitive = new TextEncoder().encode('Gecko Bootloader '.repeat(1000));
+    const random = Uint8Array.from({ length: 5000 }, (_, i) => (i * 2654435761) >>> 24);
+
+    for (const data of [repetitive, random, new Uint8Array(0), Uint8Array.of(1)]) {
+      assert.deepEqual(lzmaDecompress(lzmaCompress(data)), data);
+    }
+    assert.ok(lzmaCompress(repetitive).length < repetitive.length / 10);
+  });
+
+  it('rejects truncated and invalid streams', () => {
+    const compressed = lzmaCompress(new TextEncoder().encode('Gecko Bootloader '.repeat(100)));
+
+    assert.throws(() => lzmaDecompress(compressed.subarray(0, 10)), /Truncated LZMA header/);
+    assert.throws(() => lzmaDecompress(compressed.subarray(0, -4)), /Truncated LZMA stream/);
+    assert.throws(() => lzmaDecompress(Uint8Array.of(0xff, ...compressed.subarray(1))), /Invalid LZMA properties/);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { GeckoBootloaderImage } from '../src/GeckoBootloaderImage.js';
+import { GeckoBootloaderImageBuilder } from '../src/GeckoBootloaderImageBuilder.js';
+import {
+  decodeVersionDependency,
+  encodeBootloaderVersion,
+  evaluateVersionDependency,
+  formatVersion,
+  GBL_VERSION_DEPENDENCY_OPERATOR,
+  GBL_VERSION_DEPENDENCY_TYPE,
+} from '../src/versionDependency.js';
+
+const { APPLICATION, BOOTLOADER, SE } = GBL_VERSION_DEPENDENCY_TYPE;
+const { LESS, LESS_OR_EQUAL, EQUAL, GREATER_OR_EQUAL, GREATER } = GBL_VERSION_DEPENDENCY_OPERATOR;
+
+describe('versionDependency', () => {
+  it('formats versions', () => {
+    assert.equal(formatVersion(0x00010203), '1.2.3');
+    assert.equal(formatVersion(0x01020304), '1.2.3.4');
+    assert.equal(formatVersion(0xff000000), '255.0.0.0');
+    assert.equal(encodeBootloaderVersion({ major: 2, minor: 4, customer: 0x0102 }), 0x02040102);
+  });
+
+  describe('decodeVersionDependency', () => {
+    it('decodes the dependency tag of a parsed image', () => {
+      const image = new GeckoBootloaderImage(
+        new GeckoBootloaderImageBuilder()
+          .setVersionDependency({ imageType: APPLICATION, statement: GREATER_OR_EQUAL, version: 0x00010203 })
+          .build(),
+      );
+
+      assert.deepEqual(decodeVersionDependency(image.versionDependency), {
+        imageType: 'application',
+        operator: '>=',
+        version: 0x00010203,
+        description: 'application version >= 1.2.3',
+      });
+    });
+
+    it('describes unknown image types and operators', () => {
+      assert.equal(
+        decodeVersionDependency({ imageType: 0x7f, statement: LESS, version: 1 }).description,
+        'image type 0x7f version < 0.0.1',
+      );
+
+      const decoded = decodeVersionDependency({ imageType: SE, statement: 0x07, version: 0x00020000 });
+      assert.equal(decoded.imageType, 'se');
+      assert.equal(decoded.operator, null);
+      assert.equal(decoded.description, 'se version (unknown operator 0x07) 2.0.0');
+    });
+  });
+
+  describe('evaluateVersionDependency', () => {
+    const version = 0x00010203;
+
+    it('compares the device version using each operator', () => {
+      const cases = [
+        [LESS, [true, false, false]],
+        [LESS_OR_EQUAL, [true, true, false]],
+        [EQUAL, [false, true, false]],
+        [GREATER_OR_EQUAL, [false, true, true]],
+        [GREATER, [false, false, true]],
+      ];
+
+      for (const [statement, expected] of cases) {
+        const results = [version - 1, version, version + 1].map(
+          (application) =>
+            evaluateVersionDependency({ imageType: APPLICATION, statement, version }, { application }).satisfied,
+        );
+        assert.deepEqual(results, expected, `operator ${statement}`);
+      }
+    });
+
+    it('accepts bootloader versions as objects', () => {
+      const dependency = { imageType: BOOTLOADER, statement: GREATER_OR_EQUAL, version: 0x02040000 };
+
+      assert.deepEqual(evaluateVersionDependency(dependency, { bootloader: { major: 2, minor: 4, customer: 1 } }), {
+        satisfied: true,
+        description: 'bootloader version >= 2.4.0.0',
+        actual: 0x02040001,
+      });
+      assert.equal(
+        evaluateVersionDependency(dependency, { bootloader: { major: 2, minor: 3, customer: 9 } }).satisfied,
+        false,
+      );
+    });
+
+    it('cannot evaluate unknown device versions, image types or operators', () => {
+      const versions = { application: version, bootloader: 0x02040000 };
+
+      assert.deepEqual(evaluateVersionDependency({ imageType: SE, statement: EQUAL, version }, versions), {
+        satisfied: null,
+        description: 'se version == 1.2.3',
+        actual: null,
+      });
+      assert.equal(evaluateVersionDependency({ imageType: 0x7f, statement: EQUAL, version }, versions).satisfied, null);
+      assert.equal(
+        evaluateVersionDependency({ imageType: APPLICATION, statement: 0x07, version }, versions).satisfied,
+        null,
+      );
+    });
+  });
+});